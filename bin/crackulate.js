@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * crackulate - Runs calculation documents from the command line
+ *
+ * Usage: crackulate run <file> [--json | --format text|table|json] [--set name=value ...]
+ *
+ * Prints every line of the document with its result. Other documents referenced with
+ * `@"Name".variable` or `import "Name"` are read from `Name.calc` next to the file.
+ * Exit codes: 0 when every line evaluates, 1 when any line has an error, 2 for usage errors
+ * (unknown options, unreadable files, invalid --set values).
+ */
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import Decimal from 'decimal.js';
+import { evaluateDocument } from '../js/engine.js';
+
+const USAGE = `Usage: crackulate run <file> [options]
+
+Options:
+  --format <text|table|json>  Output format (default: text)
+  --json                      Same as --format json
+  --set <name=value>          Give a variable a value, replacing its assignment in the document
+                              (repeatable, e.g. --set price="50 EUR")
+  -h, --help                  Show this help`;
+
+const FORMATS = ['text', 'table', 'json'];
+const DOCUMENT_EXTENSION = '.calc';
+
+/**
+ * Error for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse the command line
+ * @param {string[]} args - Arguments after the node executable and script
+ * @returns {{file: string, format: string, inputs: Object}|{help: true}} Options
+ */
+function parseCommandLine(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string' },
+        json: { type: 'boolean' },
+        set: { type: 'string', multiple: true },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command, file, ...extra] = positionals;
+  if (command !== 'run') {
+    throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+  if (!file) throw new UsageError('Missing file to run');
+  if (extra.length > 0) throw new UsageError(`Unexpected argument: ${extra[0]}`);
+
+  const format = values.json ? 'json' : values.format ?? 'text';
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`Unknown format "${format}" - use ${FORMATS.join(', ')}`);
+  }
+  if (values.json && values.format && values.format !== 'json') {
+    throw new UsageError('--json cannot be combined with another --format');
+  }
+
+  return { file, format, inputs: parseInputs(values.set ?? []) };
+}
+
+/**
+ * Parse --set options
+ * @param {string[]} settings - `name=value` strings
+ * @returns {Object} Value text by variable name
+ */
+function parseInputs(settings) {
+  const inputs = {};
+  for (const setting of settings) {
+    const match = /^([A-Za-z_]\w*)\s*=(.*)$/.exec(setting);
+    if (!match || !match[2].trim()) {
+      throw new UsageError(`Invalid --set "${setting}" - use name=value, e.g. --set price=50`);
+    }
+    inputs[match[1]] = match[2].trim();
+  }
+  return inputs;
+}
+
+/**
+ * Read a document file
+ * @param {string} file - File path
+ * @returns {Promise<string|null>} Content, or null if the file does not exist
+ */
+async function readDocument(file) {
+  try {
+    return await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Describe a line's result for text and table output
+ * @param {Object} line - Line result from evaluateDocument
+ * @returns {string} Result text
+ */
+function describeResult(line) {
+  if (line.type === 'error') {
+    return line.span ? `error at col ${line.span.start + 1}: ${line.error}` : `error: ${line.error}`;
+  }
+  const result = line.unit ? `${line.text} ${line.unit}` : line.text;
+  return line.overridden ? `${result} (set)` : result;
+}
+
+/**
+ * Format results as the document with a result column
+ * @param {Object[]} lines - Line results
+ * @returns {string} Output
+ */
+function formatText(lines) {
+  const width = Math.min(40, Math.max(0, ...lines.map(line => line.source.trimEnd().length)));
+  return lines.map(line => {
+    const source = line.source.trimEnd();
+    const result = describeResult(line);
+    return result ? `${source.padEnd(width)}  ${result}` : source;
+  }).join('\n');
+}
+
+/**
+ * Format the lines that have a result as a table
+ * @param {Object[]} lines - Line results
+ * @returns {string} Output
+ */
+function formatTable(lines) {
+  const rows = [['Line', 'Expression', 'Result']];
+  lines
+    .filter(line => describeResult(line))
+    .forEach(line => rows.push([String(line.line), line.source.trim(), describeResult(line)]));
+
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  const render = row => row.map((cell, column) => cell.padEnd(widths[column])).join(' | ').trimEnd();
+  const rule = widths.map(width => '-'.repeat(width)).join('-+-');
+  return [render(rows[0]), rule, ...rows.slice(1).map(render)].join('\n');
+}
+
+/**
+ * Format results as JSON, with evaluated values given as text
+ * @param {string} file - Document file
+ * @param {Object} result - Result of evaluateDocument
+ * @returns {string} Output
+ */
+function formatJson(file, { lines, errors, variables, documents }) {
+  return JSON.stringify({
+    file,
+    lines: lines.map(({ value, ...line }) => ({ ...line, value: value === null ? null : String(value) })),
+    errors,
+    variables: Object.fromEntries(Object.entries(variables).map(([name, value]) => [name, String(value)])),
+    documents
+  }, null, 2);
+}
+
+/**
+ * Run the command line
+ * @param {string[]} args - Arguments after the node executable and script
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  const options = parseCommandLine(args);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const content = await readDocument(options.file);
+  if (content === null) throw new UsageError(`File not found: ${options.file}`);
+  // A final newline ends the last line rather than starting an empty one
+  const text = content.replace(/\r?\n$/, '');
+
+  const directory = path.dirname(options.file);
+  const result = await evaluateDocument(text, {
+    Decimal,
+    document: path.basename(options.file, path.extname(options.file)),
+    documents: name => readDocument(path.join(directory, path.extname(name) ? name : name + DOCUMENT_EXTENSION)),
+    inputs: options.inputs
+  });
+
+  if (options.format === 'json') {
+    console.log(formatJson(options.file, result));
+  } else {
+    console.log(options.format === 'table' ? formatTable(result.lines) : formatText(result.lines));
+  }
+  return result.errors.length > 0 ? 1 : 0;
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  console.error(`crackulate: ${error.message}`);
+  if (error instanceof UsageError) console.error(USAGE);
+  process.exitCode = 2;
+}
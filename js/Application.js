@@ -6,11 +6,20 @@ import { eventBus } from './core/EventBus.js';
 import { EditorController } from './controllers/EditorController.js';
 import { FileController } from './controllers/FileController.js';
 import { TabController } from './controllers/TabController.js';
+import { ExchangeRateController } from './controllers/ExchangeRateController.js';
+import { ErrorPanelController } from './controllers/ErrorPanelController.js';
+import { AutocompleteController } from './controllers/AutocompleteController.js';
+import { FindController } from './controllers/FindController.js';
+import { RenameController } from './controllers/RenameController.js';
 
 // Views
 import { EditorView } from './views/EditorView.js';
 import { FileModalView } from './views/FileModalView.js';
 import { TabView } from './views/TabView.js';
+import { ErrorPanelView } from './views/ErrorPanelView.js';
+import { AutocompleteView } from './views/AutocompleteView.js';
+import { FindBarView } from './views/FindBarView.js';
+import { RenameModalView } from './views/RenameModalView.js';
 
 // Services
 import { CalculationService } from './services/CalculationService.js';
@@ -19,6 +28,7 @@ import { NotificationService } from './services/NotificationService.js';
 import { ConfirmationService } from './services/ConfirmationService.js';
 import { SharingService } from './services/SharingService.js';
 import { TabService } from './services/TabService.js';
+import { ExchangeRateService } from './services/ExchangeRateService.js';
 
 // Utils
 import { AppTitleHandler } from './utils/AppTitleHandler.js';
@@ -86,10 +96,38 @@ export class Application {
       return new FileService(container.resolve('storage'));
     });
 
-    // Calculation service with legacy parser/evaluator
-    this.#container.register('calculationService', () => {
-      return new CalculationService(null, null); // Will use dynamic imports
+    // Exchange rate service (singleton so currency units are registered once)
+    this.#container.registerSingleton('exchangeRateService', (container) => {
+      return new ExchangeRateService(container.resolve('storage'));
     });
+
+    // Calculation service (singleton so there is a single calculation worker)
+    this.#container.registerSingleton('calculationService', (container) => {
+      // Evaluates in a worker; other documents are looked up for @"Name".variable and import "Name"
+      return new CalculationService(null, null, (name) => this.#loadDocument(container, name));
+    });
+  }
+
+  /**
+   * Look up another document's content by name for cross-document references
+   * Open tabs are searched first (the active tab uses the live editor content), then saved files
+   * @param {DIContainer} container - DI container
+   * @param {string} name - Tab or file name
+   * @returns {Promise<string|null>} Document content, or null if there is no such document
+   */
+  async #loadDocument(container, name) {
+    const state = container.resolve('appState');
+    const tab = state.getState('tabs').find(tab => tab.name === name);
+    if (tab) {
+      return tab.id === state.getState('activeTabId') ? state.getState('editor.content') : tab.content;
+    }
+
+    const fileService = container.resolve('fileService');
+    if (await fileService.fileExists(name)) {
+      const { content } = await fileService.loadFile(name);
+      return content;
+    }
+    return null;
   }
   
   /**
@@ -117,6 +155,22 @@ export class Application {
     // File modal view
     const fileModalView = new FileModalView();
     this.#container.registerInstance('fileModalView', fileModalView);
+
+    // Error panel view
+    const errorPanelView = new ErrorPanelView();
+    this.#container.registerInstance('errorPanelView', errorPanelView);
+
+    // Autocomplete popup view
+    const autocompleteView = new AutocompleteView();
+    this.#container.registerInstance('autocompleteView', autocompleteView);
+
+    // Find bar view
+    const findBarView = new FindBarView();
+    this.#container.registerInstance('findBarView', findBarView);
+
+    // Rename symbol modal view
+    const renameModalView = new RenameModalView();
+    this.#container.registerInstance('renameModalView', renameModalView);
   }
 
   /**
@@ -151,7 +205,8 @@ export class Application {
     const editorController = new EditorController(
       this.#container.resolve('editorView'),
       this.#container.resolve('appState'),
-      this.#container.resolve('calculationService')
+      this.#container.resolve('calculationService'),
+      tabController
     );
     this.#controllers.push(editorController);
 
@@ -165,6 +220,48 @@ export class Application {
     );
     this.#controllers.push(fileController);
 
+    // Exchange rate controller
+    const exchangeRateController = new ExchangeRateController(
+      this.#container.resolve('exchangeRateService'),
+      this.#container.resolve('notificationService')
+    );
+    this.#controllers.push(exchangeRateController);
+
+    // Error panel controller
+    const errorPanelController = new ErrorPanelController(
+      this.#container.resolve('errorPanelView'),
+      this.#container.resolve('editorView'),
+      this.#container.resolve('appState')
+    );
+    this.#controllers.push(errorPanelController);
+
+    // Autocomplete controller
+    const autocompleteController = new AutocompleteController(
+      this.#container.resolve('autocompleteView'),
+      this.#container.resolve('editorView'),
+      this.#container.resolve('appState')
+    );
+    this.#controllers.push(autocompleteController);
+
+    // Find controller
+    const findController = new FindController(
+      this.#container.resolve('findBarView'),
+      this.#container.resolve('editorView'),
+      this.#container.resolve('appState'),
+      tabController
+    );
+    this.#controllers.push(findController);
+
+    // Rename controller
+    const renameController = new RenameController(
+      this.#container.resolve('renameModalView'),
+      this.#container.resolve('editorView'),
+      this.#container.resolve('appState'),
+      tabController,
+      this.#container.resolve('notificationService')
+    );
+    this.#controllers.push(renameController);
+
     // Register controllers for global access if needed
     this.#container.registerInstance('tabController', tabController);
     this.#container.registerInstance('editorController', editorController);
@@ -183,6 +280,28 @@ export class Application {
       });
     }
 
+    // Handle redo button
+    const redoBtn = document.getElementById('redo');
+    if (redoBtn) {
+      redoBtn.addEventListener('click', async () => {
+        await eventBus.emit('editor:redo');
+      });
+    }
+
+    // Enable undo and redo only when the active tab has something to undo or redo
+    eventBus.subscribe('history:changed', ({ canUndo, canRedo }) => {
+      if (undoBtn) undoBtn.disabled = !canUndo;
+      if (redoBtn) redoBtn.disabled = !canRedo;
+    });
+
+    // Handle find button
+    const findBtn = document.getElementById('find');
+    if (findBtn) {
+      findBtn.addEventListener('click', async () => {
+        await eventBus.emit('find:open', { replace: false });
+      });
+    }
+
     // Handle new tab button
     const newTabBtn = document.getElementById('new-tab');
     if (newTabBtn) {
@@ -218,6 +337,21 @@ export class Application {
         e.preventDefault();
         await eventBus.emit('file:new');
       }
+
+      // Ctrl/Cmd + F for find, Ctrl/Cmd + H for find and replace
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'f' || e.key === 'h')) {
+        e.preventDefault();
+        await eventBus.emit('find:open', { replace: e.key === 'h' });
+      }
+
+      // Ctrl/Cmd + Z for undo, Ctrl/Cmd + Shift + Z for redo (other text fields, e.g. the
+      // exchange rates textarea, keep their own undo)
+      const otherTextField = e.target instanceof HTMLInputElement || e.target.isContentEditable ||
+        (e.target instanceof HTMLTextAreaElement && !e.target.classList.contains('editor'));
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !otherTextField) {
+        e.preventDefault();
+        await eventBus.emit(e.shiftKey ? 'editor:redo' : 'editor:undo');
+      }
     });
     
     // Handle auto-save
@@ -317,6 +451,10 @@ export class Application {
       const appState = this.#container.resolve('appState');
       const sharingService = this.#container.resolve('sharingService');
       const notificationService = this.#container.resolve('notificationService');
+
+      // Register currency units before the first calculation runs
+      const rates = this.#container.resolve('exchangeRateService').load();
+      this.#container.resolve('calculationService').setExchangeRates(rates);
       
       let contentToLoad = null;
       let filename = null;
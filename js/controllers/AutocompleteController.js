@@ -0,0 +1,138 @@
+import { CompletionProvider } from '../utils/CompletionProvider.js';
+
+/**
+ * Autocomplete Controller - Offers completions for the word being typed in the editor
+ *
+ * Typing a name (or `#` for a line label) opens the popup; Ctrl+Space opens it on demand.
+ * Arrow keys move the selection, Enter or Tab inserts it, Escape closes the popup, and
+ * tapping an item inserts it. Candidates come from the variables of the last calculation.
+ */
+export class AutocompleteController {
+  #view;
+  #editorView;
+  #state;
+  #completion = null;
+  #unsubscribers = [];
+
+  constructor(view, editorView, state) {
+    this.#view = view;
+    this.#editorView = editorView;
+    this.#state = state;
+    this.#bindEvents();
+  }
+
+  /**
+   * Bind view events
+   */
+  #bindEvents() {
+    this.#unsubscribers.push(
+      this.#view.onSelect(this.#accept.bind(this)),
+      this.#editorView.onInput((content, e) => this.#handleInput(e)),
+      this.#editorView.onKeyDown(this.#handleKeyDown.bind(this)),
+      this.#editorView.onBlur(() => this.#close()),
+      // Follow the cursor when the editor scrolls while the popup is open
+      this.#editorView.onScroll(() => {
+        if (this.#view.isOpen()) this.#update();
+      }),
+      this.#editorView.onClick(() => this.#close())
+    );
+  }
+
+  /**
+   * Open or update the popup as the user types
+   * Deleting only narrows a popup that is already open; programmatic edits close it
+   * @param {InputEvent} e - Input event
+   */
+  #handleInput(e) {
+    const typing = e.inputType === 'insertText' || e.inputType === 'insertCompositionText';
+    const deleting = e.inputType?.startsWith('delete') && this.#view.isOpen();
+
+    if (typing || deleting) {
+      this.#update();
+    } else {
+      this.#close();
+    }
+  }
+
+  /**
+   * Handle keys while the popup is open, and Ctrl+Space to open it
+   * @param {string} key - Key name
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  #handleKeyDown(key, e) {
+    if (key === ' ' && e.ctrlKey) {
+      e.preventDefault();
+      this.#update();
+      return;
+    }
+    if (!this.#view.isOpen()) return;
+
+    switch (key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.#view.moveSelection(1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.#view.moveSelection(-1);
+        break;
+      case 'Enter':
+      case 'Tab':
+        e.preventDefault();
+        this.#accept(this.#view.getSelected());
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.#close();
+        break;
+    }
+  }
+
+  /**
+   * Look up the completions at the cursor and show them, or close the popup if there are none
+   */
+  #update() {
+    const { start, end } = this.#editorView.getCursorPosition();
+    this.#completion = start === end
+      ? CompletionProvider.complete(this.#editorView.getContent(), start, {
+        variables: this.#state.getState('variables') ?? {},
+        results: this.#state.getState('results') ?? [],
+        definitions: this.#state.getState('definitions') ?? []
+      })
+      : null;
+
+    if (!this.#completion) {
+      this.#close();
+      return;
+    }
+    this.#view.show(this.#completion.items, this.#editorView.getCaretCoordinates(this.#completion.from));
+  }
+
+  /**
+   * Insert a completion in place of the word being typed
+   * @param {Object|null} item - Completion
+   */
+  #accept(item) {
+    const completion = this.#completion;
+    this.#close();
+    if (!item || !completion) return;
+    this.#editorView.replaceRange(completion.from, completion.to, item.insert);
+  }
+
+  /**
+   * Close the popup
+   */
+  #close() {
+    this.#completion = null;
+    if (this.#view.isOpen()) this.#view.hide();
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.#unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.#unsubscribers = [];
+    this.#view.destroy();
+  }
+}
@@ -1,4 +1,5 @@
 import { eventBus } from '../core/EventBus.js';
+import { LineReferenceTracker } from '../utils/LineReferenceTracker.js';
 
 /**
  * Editor Controller - Coordinates editor view and calculation service
@@ -9,11 +10,15 @@ export class EditorController {
   #calculationService;
   #debounceTimer;
   #unsubscribers = [];
+  #documentDependencies = [];
+  #tabController;
+  #beforeInput = null;
   
-  constructor(view, state, calculationService) {
+  constructor(view, state, calculationService, tabController) {
     this.#view = view;
     this.#state = state;
     this.#calculationService = calculationService;
+    this.#tabController = tabController;
     this.#bindEvents();
   }
   
@@ -23,7 +28,10 @@ export class EditorController {
   #bindEvents() {
     // Bind view events
     this.#unsubscribers.push(
+      this.#view.onBeforeInput(this.#handleBeforeInput.bind(this)),
       this.#view.onInput(this.#handleInput.bind(this)),
+      this.#view.onKeyDown(this.#handleKeyDown.bind(this)),
+      this.#view.onClick(() => this.#tabController.getHistory()?.seal()),
       this.#view.onScroll(this.#handleScroll.bind(this)),
       this.#view.onLineReferenceClick(this.#handleLineReferenceClick.bind(this))
     );
@@ -33,9 +41,30 @@ export class EditorController {
       this.#state.subscribe(this.#handleStateChange.bind(this))
     );
 
-    // Subscribe to undo events
+    // Subscribe to undo and redo events
     this.#unsubscribers.push(
-      eventBus.subscribe('editor:undo', this.#handleUndo.bind(this))
+      eventBus.subscribe('editor:undo', () => this.#applyHistory('undo')),
+      eventBus.subscribe('editor:redo', () => this.#applyHistory('redo'))
+    );
+
+    // Recalculate every line when the exchange rate table changes
+    this.#unsubscribers.push(
+      eventBus.subscribe('rates:changed', ({ table }) => {
+        this.#calculationService.setExchangeRates(table);
+        this.#calculateResults(this.#state.getState('editor.content'));
+      })
+    );
+
+    // Recalculate when a document this one refers to (@"Name".variable, import "Name") may have changed
+    const recalculateDependents = () => {
+      if (this.#documentDependencies.length > 0) {
+        this.#calculateResults(this.#state.getState('editor.content'));
+      }
+    };
+    this.#unsubscribers.push(
+      eventBus.subscribe('document:changed', recalculateDependents),
+      eventBus.subscribe('tab:renamed', recalculateDependents),
+      eventBus.subscribe('tab:closed', recalculateDependents)
     );
 
     // Bind line reference modal events
@@ -51,17 +80,10 @@ export class EditorController {
   async #initializeView() {
     const content = this.#state.getState('editor.content');
     const variables = this.#state.getState('variables');
-    const history = this.#state.getState('history');
-    
-    // Initialize history if empty
-    if (history.length === 0 && content) {
-      await this.#state.setState({
-        'history': [content]
-      });
-    }
     
     this.#view.setContent(content);
     this.#view.updateVariableToolbar(Object.keys(variables));
+    this.#publishHistory();
     
     // Trigger initial calculation if content exists
     if (content && content.trim()) {
@@ -73,25 +95,19 @@ export class EditorController {
    * Handle editor input with debouncing
    * Optimized: Reduced debounce to 200ms for more responsive feel
    */
-  async #handleInput(content) {
-    // Add to history for undo functionality (throttled)
-    const currentHistory = this.#state.getState('history');
-    const lastEntry = currentHistory[currentHistory.length - 1];
-
-    // Only add to history if content changed significantly (prevents history spam)
-    let newHistory = currentHistory;
-    if (content !== lastEntry && currentHistory.length < 100) {
-      newHistory = [...currentHistory, content];
-    } else if (currentHistory.length >= 100) {
-      // Keep history size manageable
-      newHistory = [...currentHistory.slice(1), content];
-    }
+  async #handleInput(content, e) {
+    const previous = this.#state.getState('editor.content') ?? '';
+
+    // Keep #N references on the same logical line when lines are inserted, deleted or moved
+    content = this.#renumberLineReferences(content);
+
+    // Record the edit (and any renumbering it caused) as one undo step
+    this.#recordEdit(previous, content, EditorController.#editKind(e?.inputType));
 
     // Update state immediately for responsive UI
     await this.#state.setState({
       'editor.content': content,
-      'ui.hasUnsavedChanges': true,
-      'history': newHistory
+      'ui.hasUnsavedChanges': true
     });
 
     // Debounce calculations for performance (reduced to 200ms for better responsiveness)
@@ -111,30 +127,118 @@ export class EditorController {
   }
   
   /**
-   * Handle undo operation
+   * Remember the selection and scroll position before the browser edits the content
+   * The browser's own undo (e.g. from the context menu) is replaced by the editor's
+   * @param {string} inputType - Input type
+   * @param {InputEvent} e - Beforeinput event
    */
-  async #handleUndo() {
-    const history = this.#state.getState('history');
+  #handleBeforeInput(inputType, e) {
+    if (inputType === 'historyUndo' || inputType === 'historyRedo') {
+      e.preventDefault();
+      this.#applyHistory(inputType === 'historyUndo' ? 'undo' : 'redo');
+      return;
+    }
+    const { start, end } = this.#view.getCursorPosition();
+    this.#beforeInput = { selection: { start, end }, scrollTop: this.#view.getScrollTop() };
+  }
 
-    if (history.length > 1) {
-      // Remove current state and get previous one
-      const newHistory = [...history];
-      newHistory.pop(); // Remove current state
-      const previousContent = newHistory[newHistory.length - 1];
+  /**
+   * Start a new undo step when the cursor is moved with the keyboard
+   * @param {string} key - Key name
+   */
+  #handleKeyDown(key) {
+    if (/^(Arrow|Home$|End$|Page)/.test(key)) {
+      this.#tabController.getHistory()?.seal();
+    }
+  }
 
-      // Update state with previous content
-      await this.#state.setState({
-        'editor.content': previousContent,
-        'history': newHistory,
-        'ui.hasUnsavedChanges': true
-      });
+  /**
+   * Classify an edit for grouping into undo steps
+   * @param {string} [inputType] - Input type of the input event; absent for programmatic edits
+   * @returns {string} 'typing', 'deleting' or 'edit'
+   */
+  static #editKind(inputType) {
+    if (inputType === 'insertText' || inputType === 'insertCompositionText') return 'typing';
+    if (inputType === 'deleteContentBackward' || inputType === 'deleteContentForward') return 'deleting';
+    return 'edit';
+  }
 
-      // Update view
-      this.#view.setContent(previousContent);
+  /**
+   * Record an edit in the active tab's undo history
+   * @param {string} before - Content before the edit
+   * @param {string} after - Content after the edit
+   * @param {string} kind - Kind of edit, see UndoHistory.record
+   */
+  #recordEdit(before, after, kind) {
+    const history = this.#tabController.getHistory();
+    const beforeInput = this.#beforeInput;
+    this.#beforeInput = null;
+    if (!history) return;
+
+    const { start, end } = this.#view.getCursorPosition();
+    history.record(before, after, {
+      kind,
+      selectionBefore: beforeInput?.selection,
+      selectionAfter: { start, end },
+      scrollBefore: beforeInput?.scrollTop ?? this.#view.getScrollTop(),
+      scrollAfter: this.#view.getScrollTop()
+    });
+    this.#publishHistory();
+  }
+
+  /**
+   * Undo or redo a step of the active tab's history, restoring its selection and scroll position
+   * @param {string} direction - 'undo' or 'redo'
+   */
+  async #applyHistory(direction) {
+    const history = this.#tabController.getHistory();
+    const step = history?.[direction](this.#view.getContent());
+    await this.#publishHistory();
+    if (!step) return;
+
+    // A calculation still waiting for the edit being undone is no longer wanted
+    clearTimeout(this.#debounceTimer);
+
+    this.#view.setContent(step.text);
+    this.#view.setCursorPosition(step.selection.start, step.selection.end);
+    this.#view.setScrollTop(step.scrollTop);
 
-      // Recalculate results
-      await this.#calculateResults(previousContent);
+    await this.#state.setState({
+      'editor.content': step.text,
+      'ui.hasUnsavedChanges': true
+    });
+    await this.#calculateResults(step.text);
+  }
+
+  /**
+   * Tell the toolbar whether the active tab can undo or redo
+   */
+  async #publishHistory() {
+    const history = this.#tabController.getHistory();
+    await eventBus.emit('history:changed', {
+      canUndo: history?.canUndo() ?? false,
+      canRedo: history?.canRedo() ?? false
+    });
+  }
+
+  /**
+   * Rewrite absolute line references after an edit that changed the line structure
+   * @param {string} content - Edited content
+   * @returns {string} Content with references renumbered
+   */
+  #renumberLineReferences(content) {
+    const previous = this.#state.getState('editor.content') ?? '';
+    if (previous === content) {
+      return content;
     }
+
+    const { start } = this.#view.getCursorPosition();
+    const renumbered = LineReferenceTracker.renumber(previous, content, start);
+    if (renumbered.content !== content) {
+      this.#view.setContent(renumbered.content);
+      this.#view.setCursorPosition(renumbered.cursor);
+    }
+    return renumbered.content;
   }
 
   /**
@@ -200,6 +304,19 @@ export class EditorController {
 
     if (!modal || !input) return;
 
+    // Offer the labels defined in the document (e.g. `subtotal: 40 + 60`)
+    const labelList = document.getElementById('line-ref-labels');
+    if (labelList) {
+      const labels = this.#state.getState('results')
+        .map(result => result.label)
+        .filter(Boolean);
+      labelList.replaceChildren(...labels.map(label => {
+        const option = document.createElement('option');
+        option.value = label;
+        return option;
+      }));
+    }
+
     modal.classList.remove('hidden');
     document.body.classList.add('modal-open');
 
@@ -228,17 +345,17 @@ export class EditorController {
 
     if (!input) return;
 
-    const lineNumber = parseInt(input.value, 10);
+    const target = input.value.trim().replace(/^#/, '');
 
-    // Validate line number
-    if (isNaN(lineNumber) || lineNumber < 1) {
+    // Validate: a line number (3), a relative offset (-1) or a label (subtotal)
+    if (!/^(-?[1-9][0-9]*|[a-zA-Z][a-zA-Z0-9]*)$/.test(target)) {
       input.value = '';
       input.focus();
       return;
     }
 
     // Insert the line reference at saved position
-    this.#view.insertAtSavedPosition(`#${lineNumber}`);
+    this.#view.insertAtSavedPosition(`#${target}`);
 
     // Hide the modal
     this.#hideLineReferenceModal();
@@ -252,21 +369,26 @@ export class EditorController {
       const lines = content.split('\n');
       const variables = this.#state.getState('variables');
       
-      const { results, updatedVariables } = await this.#calculationService.processLines(
+      const { results, updatedVariables, documents, definitions } = await this.#calculationService.processLines(
         lines,
-        variables
+        variables,
+        { document: this.#state.getState('currentFile') }
       );
+      this.#documentDependencies = documents;
       
       // Update state with results
       await this.#state.setState({
         results,
-        variables: updatedVariables
+        variables: updatedVariables,
+        definitions
       });
       
       // Update line numbers
       this.#view.updateLineNumbers(lines.length);
       
     } catch (error) {
+      // A newer edit superseded this calculation; its own results will follow
+      if (error.name === 'AbortError') return;
       console.error('Calculation error:', error);
     }
   }
@@ -287,9 +409,17 @@ export class EditorController {
     
     // Update editor content when changed externally (e.g., file load)
     if ('editor.content' in updates && updates['editor.content'] !== this.#view.getContent()) {
+      // A change within the same tab can be undone; a tab switch brings that tab's own history
+      if (!('activeTabId' in updates)) {
+        this.#recordEdit(this.#view.getContent(), updates['editor.content'], 'edit');
+      }
       this.#view.setContent(updates['editor.content']);
       await this.#calculateResults(updates['editor.content']);
     }
+
+    if ('activeTabId' in updates) {
+      this.#publishHistory();
+    }
   }
   
   /**
@@ -0,0 +1,91 @@
+/**
+ * Error Panel Controller - Keeps the error panel in step with the results and jumps to error locations
+ *
+ * Error spans count characters in the trimmed line (see js/errors.js); they are turned into
+ * editor offsets by adding the line's start and leading whitespace.
+ */
+export class ErrorPanelController {
+  #view;
+  #editorView;
+  #state;
+  #unsubscribers = [];
+
+  constructor(view, editorView, state) {
+    this.#view = view;
+    this.#editorView = editorView;
+    this.#state = state;
+    this.#bindEvents();
+  }
+
+  /**
+   * Bind view events and state subscriptions
+   */
+  #bindEvents() {
+    this.#unsubscribers.push(
+      this.#view.onLocationClick(this.#handleLocationClick.bind(this)),
+      // Tapping a `!` in the results column explains it; there are no tooltips on touch screens
+      this.#editorView.onErrorClick((index) => this.#view.show(index + 1)),
+      this.#state.subscribe(({ updates }) => {
+        if ('results' in updates) {
+          this.#view.update(this.#collectErrors(updates.results));
+        }
+      })
+    );
+
+    this.#view.update(this.#collectErrors(this.#state.getState('results') ?? []));
+  }
+
+  /**
+   * Build the error panel entries for the failing lines
+   * @param {Array} results - Calculation results
+   * @returns {Array<Object>} Entries with line, column, span, message and code
+   */
+  #collectErrors(results) {
+    const lines = this.#editorView.getContent().split('\n');
+
+    return results
+      .map((result, index) => ({ result, index }))
+      .filter(({ result }) => result.type === 'error')
+      .map(({ result, index }) => {
+        const source = lines[index] ?? '';
+        const indent = source.length - source.trimStart().length;
+        return {
+          line: result.line || index + 1,
+          column: result.span ? indent + result.span.start + 1 : null,
+          span: result.span ?? null,
+          message: result.error || 'Calculation error',
+          code: result.code || 'EVALUATION_ERROR'
+        };
+      });
+  }
+
+  /**
+   * Select the text an error is about, or the whole line when it has no span
+   * @param {Object} error - Error panel entry
+   */
+  #handleLocationClick(error) {
+    const lines = this.#editorView.getContent().split('\n');
+    const source = lines[error.line - 1];
+    if (source === undefined) return;
+
+    const lineStart = lines.slice(0, error.line - 1).reduce((offset, line) => offset + line.length + 1, 0);
+    const indent = source.length - source.trimStart().length;
+    const lineEnd = lineStart + source.trimEnd().length;
+
+    // The line may have been edited since it was calculated, so keep the selection on it
+    const start = error.span ? Math.min(lineStart + indent + error.span.start, lineEnd) : lineStart + indent;
+    const end = error.span ? Math.min(lineStart + indent + error.span.end, lineEnd) : lineEnd;
+
+    this.#editorView.focus();
+    this.#editorView.setCursorPosition(start, end);
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.#unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.#unsubscribers = [];
+    this.#view.destroy();
+  }
+}
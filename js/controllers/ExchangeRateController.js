@@ -0,0 +1,118 @@
+import { eventBus } from '../core/EventBus.js';
+
+/**
+ * Exchange Rate Controller - Coordinates the exchange rate modal and rate service
+ */
+export class ExchangeRateController {
+  #rateService;
+  #notificationService;
+  #unsubscribers = [];
+
+  constructor(rateService, notificationService) {
+    this.#rateService = rateService;
+    this.#notificationService = notificationService;
+    this.#bindEvents();
+  }
+
+  /**
+   * Bind toolbar button and modal events
+   */
+  #bindEvents() {
+    const openBtn = document.getElementById('rates');
+    const modal = document.getElementById('rates-modal');
+    const closeBtn = document.getElementById('rates-close');
+    const cancelBtn = document.getElementById('rates-cancel');
+    const saveBtn = document.getElementById('rates-save');
+
+    if (!openBtn || !modal || !closeBtn || !cancelBtn || !saveBtn) {
+      console.warn('Exchange rate modal elements not found');
+      return;
+    }
+
+    openBtn.addEventListener('click', () => this.#showModal());
+
+    // Close modal handlers
+    closeBtn.addEventListener('click', () => this.#hideModal());
+    cancelBtn.addEventListener('click', () => this.#hideModal());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.#hideModal();
+    });
+
+    // ESC key to close
+    const escapeHandler = (e) => {
+      if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+        this.#hideModal();
+      }
+    };
+    document.addEventListener('keydown', escapeHandler);
+    this.#unsubscribers.push(() => document.removeEventListener('keydown', escapeHandler));
+
+    saveBtn.addEventListener('click', () => this.#handleSave());
+  }
+
+  /**
+   * Show the modal filled with the active rate table
+   */
+  #showModal() {
+    const modal = document.getElementById('rates-modal');
+    const baseInput = document.getElementById('rates-base');
+    const asOfInput = document.getElementById('rates-as-of');
+    const ratesInput = document.getElementById('rates-input');
+
+    if (!modal || !baseInput || !asOfInput || !ratesInput) return;
+
+    const table = this.#rateService.getTable();
+    baseInput.value = table.base;
+    asOfInput.value = table.asOf || '';
+    ratesInput.value = this.#rateService.formatRates(table.rates);
+
+    modal.classList.remove('hidden');
+    document.body.classList.add('modal-open');
+    setTimeout(() => ratesInput.focus(), 100);
+  }
+
+  /**
+   * Hide the modal
+   */
+  #hideModal() {
+    const modal = document.getElementById('rates-modal');
+
+    if (!modal) return;
+
+    modal.classList.add('hidden');
+    document.body.classList.remove('modal-open');
+  }
+
+  /**
+   * Validate and save the edited rate table
+   */
+  async #handleSave() {
+    const baseInput = document.getElementById('rates-base');
+    const asOfInput = document.getElementById('rates-as-of');
+    const ratesInput = document.getElementById('rates-input');
+
+    if (!baseInput || !asOfInput || !ratesInput) return;
+
+    try {
+      const table = this.#rateService.saveTable({
+        base: baseInput.value,
+        asOf: asOfInput.value || null,
+        rates: this.#rateService.parseRates(ratesInput.value)
+      });
+
+      this.#hideModal();
+      await this.#notificationService.success('Exchange rates saved');
+      await eventBus.emit('rates:changed', { table });
+    } catch (error) {
+      await this.#notificationService.error(error.message);
+    }
+  }
+
+  /**
+   * Cleanup controller
+   */
+  destroy() {
+    this.#unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.#unsubscribers = [];
+  }
+}
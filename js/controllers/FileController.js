@@ -138,6 +138,7 @@ export class FileController {
     try {
       await this.#fileService.deleteFile(fileName);
       await this.#notificationService.success(`Deleted "${fileName}"`);
+      await eventBus.emit('document:changed', { name: fileName });
       
       // If deleted file is currently open, clear it
       if (this.#state.getState('currentFile') === fileName) {
@@ -196,6 +197,7 @@ export class FileController {
       'editor.content': '',
       currentFile: null,
       variables: {},
+      definitions: [],
       results: [],
       'ui.hasUnsavedChanges': false
     });
@@ -240,6 +242,7 @@ export class FileController {
       
       this.#modalView.close();
       await this.#notificationService.success(`Saved as "${fileName}"`);
+      await eventBus.emit('document:changed', { name: fileName });
       
     } catch (error) {
       await this.#notificationService.error(error.message);
@@ -0,0 +1,240 @@
+import { eventBus } from '../core/EventBus.js';
+import { TextSearch } from '../utils/TextSearch.js';
+
+/**
+ * Find Controller - Finds and replaces text in the editor and, optionally, in every open tab
+ *
+ * Ctrl+F opens the find bar and Ctrl+H opens it with the replace field. Matches are marked in
+ * the editor as the query changes; Enter and Shift+Enter move between them. Replacements go
+ * through the tab's content, so each replace (or replace all) is one undo step in its tab.
+ */
+export class FindController {
+  #view;
+  #editorView;
+  #state;
+  #tabController;
+  #matches = [];
+  #current = -1;
+  #unsubscribers = [];
+
+  /**
+   * Most matches listed for each other tab
+   */
+  static #TAB_MATCH_LIMIT = 20;
+
+  constructor(view, editorView, state, tabController) {
+    this.#view = view;
+    this.#editorView = editorView;
+    this.#state = state;
+    this.#tabController = tabController;
+    this.#bindEvents();
+  }
+
+  /**
+   * Bind view events and state subscriptions
+   */
+  #bindEvents() {
+    this.#unsubscribers.push(
+      this.#view.onSearch(() => this.#search(this.#editorView.getCursorPosition().start, true)),
+      this.#view.onNext(() => this.#move(1)),
+      this.#view.onPrevious(() => this.#move(-1)),
+      this.#view.onReplace(this.#handleReplace.bind(this)),
+      this.#view.onReplaceAll(this.#handleReplaceAll.bind(this)),
+      this.#view.onClose(this.#close.bind(this)),
+      this.#view.onTabResultClick(this.#handleTabResultClick.bind(this))
+    );
+
+    // Keep the matches in step with the content as it is edited, replaced or switched
+    this.#unsubscribers.push(
+      this.#state.subscribe(({ updates }) => {
+        const otherTabsChanged = 'tabs' in updates && this.#view.getOptions().allTabs;
+        if (this.#view.isOpen() && ('editor.content' in updates || otherTabsChanged)) {
+          this.#search(this.#editorView.getCursorPosition().start, false);
+        }
+      })
+    );
+
+    this.#unsubscribers.push(
+      eventBus.subscribe('find:open', this.#open.bind(this))
+    );
+  }
+
+  /**
+   * Open the find bar, searching for the selected text if there is a short single-line selection
+   * @param {Object} [options] - Open options
+   * @param {boolean} [options.replace] - Show the replace field too
+   */
+  #open({ replace = false } = {}) {
+    const { start, end } = this.#editorView.getCursorPosition();
+    const selected = this.#editorView.getContent().slice(start, end);
+    const query = selected && !selected.includes('\n') && selected.length <= 100 ? selected : undefined;
+
+    this.#view.open({ replace, query });
+    this.#search(start, Boolean(query));
+  }
+
+  /**
+   * Close the find bar and clear the marks
+   */
+  #close() {
+    this.#view.close();
+    this.#matches = [];
+    this.#current = -1;
+    this.#editorView.setSearchMatches([]);
+    this.#editorView.focus();
+  }
+
+  /**
+   * Find the matches of the query, making the first match at or after an offset current
+   * @param {number} from - Offset from which to pick the current match
+   * @param {boolean} reveal - Select the current match and scroll it into view
+   */
+  #search(from, reveal) {
+    const query = this.#view.getQuery();
+    const options = this.#view.getOptions();
+
+    try {
+      this.#matches = TextSearch.find(this.#editorView.getContent(), query, options);
+    } catch {
+      // An unfinished regular expression, e.g. `(`
+      this.#matches = [];
+      this.#current = -1;
+      this.#editorView.setSearchMatches([]);
+      this.#view.showStatus({ message: 'Invalid regular expression', invalid: true });
+      this.#view.showTabResults([]);
+      return;
+    }
+
+    const next = this.#matches.findIndex(match => match.start >= from);
+    this.#current = this.#matches.length === 0 ? -1 : Math.max(next, 0);
+    this.#showMatches(reveal);
+    this.#view.showTabResults(options.allTabs && query ? this.#searchOtherTabs(query, options) : []);
+  }
+
+  /**
+   * Move to the next or previous match, wrapping around at either end
+   * @param {number} delta - 1 for next, -1 for previous
+   */
+  #move(delta) {
+    if (this.#matches.length === 0) return;
+    this.#current = (this.#current + delta + this.#matches.length) % this.#matches.length;
+    this.#showMatches(true);
+  }
+
+  /**
+   * Mark the matches in the editor and show the count
+   * @param {boolean} reveal - Select the current match and scroll it into view
+   */
+  #showMatches(reveal) {
+    this.#editorView.setSearchMatches(this.#matches, this.#current);
+    this.#view.showStatus({ current: this.#current, total: this.#matches.length });
+
+    const match = this.#matches[this.#current];
+    if (reveal && match) {
+      this.#editorView.revealRange(match.start, match.end);
+    }
+  }
+
+  /**
+   * Find the matches in every other open tab
+   * @param {string} query - Query
+   * @param {Object} options - Search options
+   * @returns {Array<Object>} Tabs with matches, see FindBarView.showTabResults
+   */
+  #searchOtherTabs(query, options) {
+    const activeTabId = this.#state.getState('activeTabId');
+    return this.#tabController.getAllTabs()
+      .filter(tab => tab.id !== activeTabId)
+      .map(tab => {
+        const content = tab.content ?? '';
+        const matches = TextSearch.find(content, query, options)
+          .slice(0, FindController.#TAB_MATCH_LIMIT)
+          .map(({ start }) => {
+            const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+            const lineEnd = content.indexOf('\n', start);
+            return {
+              start,
+              line: content.slice(0, lineStart).split('\n').length,
+              preview: content.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim()
+            };
+          });
+        return { tabId: tab.id, name: tab.name, matches };
+      })
+      .filter(result => result.matches.length > 0);
+  }
+
+  /**
+   * Switch to the tab of a match listed under other tabs and select it
+   * @param {string} tabId - Tab ID
+   * @param {number} start - Offset of the match in that tab
+   */
+  async #handleTabResultClick(tabId, start) {
+    await eventBus.emit('tab:switch', { tabId });
+    this.#search(start, true);
+  }
+
+  /**
+   * Replace the current match and move to the next one
+   */
+  async #handleReplace() {
+    const match = this.#matches[this.#current];
+    if (!match) return;
+
+    const options = this.#view.getOptions();
+    const content = this.#editorView.getContent();
+    const replaced = TextSearch.replace(content, [match], this.#view.getReplacement(), options);
+
+    // The next match starts after the replacement, which may be longer or shorter than the match
+    const after = match.end + replaced.length - content.length;
+    await this.#tabController.updateTabContent(this.#state.getState('activeTabId'), replaced);
+    this.#search(after, true);
+  }
+
+  /**
+   * Replace every match, in every open tab if that option is on
+   */
+  async #handleReplaceAll() {
+    const query = this.#view.getQuery();
+    const replacement = this.#view.getReplacement();
+    const options = this.#view.getOptions();
+    const activeTabId = this.#state.getState('activeTabId');
+
+    const tabs = options.allTabs
+      ? this.#tabController.getAllTabs().map(tab => ({
+        id: tab.id,
+        content: tab.id === activeTabId ? this.#editorView.getContent() : tab.content ?? ''
+      }))
+      : [{ id: activeTabId, content: this.#editorView.getContent() }];
+
+    let found;
+    try {
+      // Every match is replaced, not just the ones find() would mark
+      found = tabs.map(tab => ({ ...tab, matches: TextSearch.find(tab.content, query, { ...options, limit: Infinity }) }));
+    } catch {
+      // An unfinished regular expression; searching again shows it as invalid
+      this.#search(this.#editorView.getCursorPosition().start, false);
+      return;
+    }
+
+    let count = 0;
+    for (const tab of found) {
+      if (tab.matches.length === 0) continue;
+      count += tab.matches.length;
+      await this.#tabController.updateTabContent(tab.id, TextSearch.replace(tab.content, tab.matches, replacement, options));
+    }
+
+    this.#search(this.#editorView.getCursorPosition().start, false);
+    if (count > 0) {
+      this.#view.showStatus({ current: this.#current, total: this.#matches.length, message: `Replaced ${count}` });
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.#unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.#unsubscribers = [];
+    this.#view.destroy();
+  }
+}
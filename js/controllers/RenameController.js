@@ -0,0 +1,143 @@
+import { SymbolRenamer } from '../utils/SymbolRenamer.js';
+
+/**
+ * Rename Controller - Renames the variable or function under the cursor
+ *
+ * F2 (or a long press on a name) opens the rename modal. The definition and every use of the
+ * name in the document are rewritten from lexer token spans, and optionally the references to
+ * it in other tabs. Each changed tab gets one undo step.
+ */
+export class RenameController {
+  #view;
+  #editorView;
+  #state;
+  #tabController;
+  #notificationService;
+  #symbol = null;
+  #unsubscribers = [];
+
+  constructor(view, editorView, state, tabController, notificationService) {
+    this.#view = view;
+    this.#editorView = editorView;
+    this.#state = state;
+    this.#tabController = tabController;
+    this.#notificationService = notificationService;
+    this.#bindEvents();
+  }
+
+  /**
+   * Bind view events
+   */
+  #bindEvents() {
+    this.#unsubscribers.push(
+      this.#editorView.onKeyDown((key, e) => {
+        if (key === 'F2') {
+          e.preventDefault();
+          this.#start(this.#editorView.getCursorPosition().start);
+        }
+      }),
+      // A long press elsewhere is left to the browser (e.g. to select text)
+      this.#editorView.onLongPress((offset) => this.#start(offset, { quiet: true })),
+      this.#view.onNameInput((name) => {
+        if (this.#symbol) {
+          this.#view.showValidation(SymbolRenamer.validate(name, this.#symbol.name, this.#editorView.getContent()));
+        }
+      }),
+      this.#view.onConfirm(this.#handleConfirm.bind(this))
+    );
+  }
+
+  /**
+   * Open the rename modal for the name at an offset
+   * @param {number} offset - Content offset, e.g. of the cursor
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.quiet] - Do nothing, rather than explain, if there is no name at the offset
+   */
+  async #start(offset, { quiet = false } = {}) {
+    const content = this.#editorView.getContent();
+    const symbol = SymbolRenamer.symbolAt(content, offset);
+    if (!symbol) {
+      if (!quiet) {
+        await this.#notificationService.error('Put the cursor on a variable or function to rename it');
+      }
+      return;
+    }
+
+    this.#symbol = symbol;
+    const references = this.#otherTabReferences(symbol.name, symbol.name);
+    this.#view.show({
+      name: symbol.name,
+      uses: SymbolRenamer.rename(content, symbol.name, symbol.name).count,
+      references: references.reduce((sum, { count }) => sum + count, 0),
+      tabs: references.length
+    });
+  }
+
+  /**
+   * Work out how other tabs change when the active tab's name is renamed
+   * @param {string} oldName - Current name
+   * @param {string} newName - New name
+   * @returns {Array<{tabId: string, content: string, count: number}>} Tabs that refer to the name
+   */
+  #otherTabReferences(oldName, newName) {
+    const activeTab = this.#tabController.getActiveTab();
+    if (!activeTab) return [];
+
+    return this.#tabController.getAllTabs()
+      .filter(tab => tab.id !== activeTab.id)
+      .map(tab => ({
+        tabId: tab.id,
+        ...SymbolRenamer.renameReferences(tab.content ?? '', activeTab.name, oldName, newName)
+      }))
+      .filter(({ count }) => count > 0);
+  }
+
+  /**
+   * Rename the symbol in this document and, if chosen, in the tabs that refer to it
+   * @param {string} newName - New name
+   */
+  async #handleConfirm(newName) {
+    const symbol = this.#symbol;
+    if (!symbol) return;
+
+    const content = this.#editorView.getContent();
+    const problem = SymbolRenamer.validate(newName, symbol.name, content);
+    if (problem) {
+      this.#view.showValidation(problem);
+      return;
+    }
+
+    this.#view.close();
+    this.#symbol = null;
+    if (newName === symbol.name) return;
+
+    const renamed = SymbolRenamer.rename(content, symbol.name, newName);
+    let count = renamed.count;
+    const references = this.#view.getUpdateOtherTabs() ? this.#otherTabReferences(symbol.name, newName) : [];
+
+    await this.#tabController.updateTabContent(this.#state.getState('activeTabId'), renamed.content);
+    for (const reference of references) {
+      await this.#tabController.updateTabContent(reference.tabId, reference.content);
+      count += reference.count;
+    }
+
+    // Keep the renamed name under the cursor; each use before it changed length
+    const usesBefore = SymbolRenamer.uses(content, symbol.name).filter(({ start }) => start < symbol.start).length;
+    const start = symbol.start + usesBefore * (newName.length - symbol.name.length);
+    this.#editorView.setCursorPosition(start, start + newName.length);
+    this.#editorView.focus();
+
+    await this.#notificationService.success(
+      `Renamed "${symbol.name}" to "${newName}" in ${count} ${count === 1 ? 'place' : 'places'}`
+    );
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.#unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.#unsubscribers = [];
+    this.#view.destroy();
+  }
+}
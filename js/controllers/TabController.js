@@ -1,4 +1,5 @@
 import { eventBus } from '../core/EventBus.js';
+import { UndoHistory } from '../utils/UndoHistory.js';
 
 /**
  * TabController - Coordinates tab operations
@@ -8,6 +9,7 @@ export class TabController {
   #state;
   #tabService;
   #unsubscribers = [];
+  #histories = new Map();
   #TABS_STORAGE_KEY = 'crackulator_tabs';
   #ACTIVE_TAB_STORAGE_KEY = 'crackulator_active_tab_id';
 
@@ -128,7 +130,7 @@ export class TabController {
    * @returns {Promise} Resolves when animation completes
    */
   async #animateContentSwitch(switchCallback) {
-    const editorElement = document.querySelector('.editor');
+    const editorElement = document.querySelector('.editor-wrapper');
     const resultsElement = document.querySelector('.results');
 
     if (!editorElement || !resultsElement) {
@@ -175,6 +177,9 @@ export class TabController {
 
     // No confirmation needed - auto-save means everything is saved
 
+    // The closed tab's edits can no longer be undone
+    this.#histories.delete(tabId);
+
     // If only one tab, create a new one before closing
     if (tabs.length === 1) {
       const newTab = this.#tabService.createTab();
@@ -361,6 +366,47 @@ export class TabController {
     return this.#tabService.findTab(tabs, activeTabId);
   }
 
+  /**
+   * Get the undo history of a tab, kept in memory for as long as the tab is open
+   * @param {string} [tabId] - Tab ID, the active tab by default
+   * @returns {UndoHistory|null} Undo history, or null when no tab is active
+   */
+  getHistory(tabId = this.#state.getState('activeTabId')) {
+    if (!tabId) return null;
+    if (!this.#histories.has(tabId)) {
+      this.#histories.set(tabId, new UndoHistory());
+    }
+    return this.#histories.get(tabId);
+  }
+
+  /**
+   * Replace the content of a tab, as an edit that can be undone in that tab
+   * @param {string} tabId - Tab ID
+   * @param {string} content - New content
+   */
+  async updateTabContent(tabId, content) {
+    // The active tab's content lives in the editor, which records the edit itself
+    if (tabId === this.#state.getState('activeTabId')) {
+      await this.#state.setState({
+        'editor.content': content,
+        'ui.hasUnsavedChanges': true
+      });
+      return;
+    }
+
+    const tabs = this.#state.getState('tabs');
+    const tab = this.#tabService.findTab(tabs, tabId);
+    if (!tab || tab.content === content) return;
+
+    this.getHistory(tabId).record(tab.content, content);
+    await this.#state.setState({
+      tabs: this.#tabService.updateTab(tabs, tabId, { content })
+    });
+
+    // Documents that refer to this one by name recalculate
+    await eventBus.emit('document:changed', { name: tab.name });
+  }
+
   /**
    * Get all tabs
    * @returns {Array} All tabs
@@ -433,6 +479,7 @@ export class TabController {
     // Unsubscribe from all events
     this.#unsubscribers.forEach(unsubscribe => unsubscribe());
     this.#unsubscribers = [];
+    this.#histories.clear();
 
     // Clean up view
     this.#view.destroy();
@@ -12,9 +12,9 @@ export class AppState {
       scrollTop: 0
     },
     variables: {},
+    definitions: [],
     currentFile: null,
     results: [],
-    history: [],
     tabs: [],
     activeTabId: null,
     ui: {
@@ -46,6 +46,10 @@ export class AppState {
       return Array.isArray(results);
     });
 
+    this.registerValidator('definitions', (definitions) => {
+      return Array.isArray(definitions);
+    });
+
     this.registerValidator('tabs', (tabs) => {
       return Array.isArray(tabs);
     });
@@ -154,9 +158,9 @@ export class AppState {
       'editor.cursor': 0,
       'editor.scrollTop': 0,
       variables: {},
+      definitions: [],
       currentFile: null,
       results: [],
-      history: [],
       tabs: [],
       activeTabId: null,
       'ui.isModalOpen': false,
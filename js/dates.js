@@ -0,0 +1,209 @@
+// File Overview: js/dates.js
+// This file implements calendar dates for the evaluator, so that sprint and billing math such as
+// `deadline - today`, `today + 90 days` or `2026-10-19 + 2 weeks` works alongside numbers and units.
+//
+// 1. Date Values (`DateValue`):
+//    - A point in time stored as milliseconds since 1970-01-01 on a "floating" clock: the UTC fields
+//      of the timestamp are the wall-clock fields the user typed, so there are no time-zone or
+//      daylight-saving shifts and every day is exactly 24 hours long.
+//    - Dates are created from ISO literals (`2026-10-19`, `2026-10-19T14:30`) or the relative
+//      keywords `today`, `tomorrow`, `yesterday` and `now`.
+//
+// 2. Date Arithmetic (`dateArithmetic`):
+//    - date ± duration is a date. Durations are time quantities from units.js (3 weeks, 2h 30m).
+//      Whole months and years move along the calendar (2026-01-31 + 1 month is 2026-02-28);
+//      anything else is added as an exact number of seconds.
+//    - date - date is the difference in days.
+//
+// 3. Formatting (`formatDate`, `formatDuration`):
+//    - Dates are shown as ISO text by default, or with `as long`, `as short` or `as weekday`.
+//    - Durations can be shown as a compact `as duration` breakdown such as "5h 15m".
+
+import { isQuantity, isDuration, createQuantity, convertTo } from './units.js';
+import { Decimal } from './decimal.js';
+import { ErrorCodes, CalculationError, unknownNameError } from './errors.js';
+
+const MS_PER_DAY = 86400000;
+
+const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December'];
+const weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// **Date Value Type**
+// `time` is milliseconds on the floating clock; `hasTime` records whether a time of day is shown;
+// `format` is the display format chosen with `as` (undefined means ISO).
+class DateValue {
+  constructor(time, hasTime = false, format = undefined) {
+    this.time = time;
+    this.hasTime = hasTime;
+    this.format = format;
+  }
+
+  isNaN() {
+    return Number.isNaN(this.time);
+  }
+
+  toString() {
+    return formatDate(this, 'iso');
+  }
+}
+
+// Checks whether a value is a date.
+function isDate(value) {
+  return value instanceof DateValue;
+}
+
+// Builds a floating timestamp from calendar fields. `setUTCFullYear` is used because `Date.UTC`
+// maps the years 0-99 to 1900-1999.
+function fromFields(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month, day);
+  date.setUTCHours(hours, minutes, seconds, 0);
+  return date.getTime();
+}
+
+// **Date Literals**
+// Parses an ISO date literal such as `2026-10-19` or `2026-10-19T14:30`. Impossible dates such as
+// 2026-02-30 are errors rather than silently rolling over into the next month.
+function parseDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+  if (!match) throw new CalculationError(ErrorCodes.INVALID_DATE, `Invalid date: ${text}`);
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(field => Number(field || 0));
+  const time = fromFields(year, month - 1, day, hours, minutes, seconds);
+  const date = new Date(time);
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hours > 23 || minutes > 59 || seconds > 59) {
+    throw new CalculationError(ErrorCodes.INVALID_DATE, `Invalid date: ${text}`);
+  }
+  return new DateValue(time, match[4] !== undefined);
+}
+
+// Relative date keywords, evaluated against the local clock each time they are used.
+// They behave like constants: a variable of the same name takes precedence.
+const dateKeywords = {
+  today: () => localDate(0),
+  tomorrow: () => localDate(1),
+  yesterday: () => localDate(-1),
+  now: () => {
+    const now = new Date();
+    return new DateValue(fromFields(now.getFullYear(), now.getMonth(), now.getDate(),
+      now.getHours(), now.getMinutes(), now.getSeconds()), true);
+  }
+};
+
+// The local calendar date `offset` days from today.
+function localDate(offset) {
+  const now = new Date();
+  return new DateValue(fromFields(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+}
+
+// **Date Arithmetic**
+
+// Number of whole calendar months in a duration of months or years, or null for other durations.
+function calendarMonths(duration) {
+  if (duration.unit.length !== 1 || duration.unit[0].power !== 1 || !duration.value.isInteger()) return null;
+  if (duration.unit[0].name === 'month') return duration.value.toNumber();
+  if (duration.unit[0].name === 'year') return duration.value.toNumber() * 12;
+  return null;
+}
+
+// Moves a date by a duration (`sign` is 1 or -1).
+function addDuration(date, duration, sign) {
+  const months = calendarMonths(duration);
+  if (months !== null) {
+    const current = new Date(date.time);
+    const target = current.getUTCMonth() + sign * months;
+    // Clamp to the last day of the target month, so Jan 31 + 1 month is Feb 28 (or 29).
+    const lastDay = new Date(fromFields(current.getUTCFullYear(), target + 1, 0)).getUTCDate();
+    const time = fromFields(current.getUTCFullYear(), target, Math.min(current.getUTCDate(), lastDay),
+      current.getUTCHours(), current.getUTCMinutes(), current.getUTCSeconds());
+    return new DateValue(time, date.hasTime);
+  }
+  const ms = convertTo(duration, [{ name: 'ms', power: 1 }]).value.times(sign).round().toNumber();
+  return new DateValue(date.time + ms, date.hasTime || ms % MS_PER_DAY !== 0);
+}
+
+// The difference between two dates, in days.
+function difference(left, right) {
+  return createQuantity(new Decimal(left.time - right.time).dividedBy(MS_PER_DAY), [{ name: 'day', power: 1 }]);
+}
+
+// Describes an operand for error messages.
+function describe(value) {
+  if (isDate(value)) return 'a date';
+  if (isQuantity(value)) return value.label;
+  return 'a plain number';
+}
+
+// Applies a binary operator where at least one operand is a date.
+function dateArithmetic(operator, left, right) {
+  if (operator === '+') {
+    if (isDate(left) && isDate(right)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, 'Cannot add two dates; subtract them to get the time between them');
+    }
+    if (isDate(left) && isDuration(right)) return addDuration(left, right, 1);
+    if (isDuration(left) && isDate(right)) return addDuration(right, left, 1);
+  }
+  if (operator === '-') {
+    if (isDate(left) && isDate(right)) return difference(left, right);
+    if (isDate(left) && isDuration(right)) return addDuration(left, right, -1);
+  }
+  if ((operator === '+' || operator === '-') && !isQuantity(left) && !isQuantity(right)) {
+    throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Cannot ${operator === '+' ? 'add' : 'subtract'} a plain number and a date; give it a unit, e.g. 5 days`);
+  }
+  throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Cannot apply ${operator} to ${describe(left)} and ${describe(right)}`);
+}
+
+// **Formatting**
+
+// Renderers for dates, keyed by the name used after `as`.
+const dateFormats = {
+  iso: (date) => {
+    const iso = new Date(date.time).toISOString();
+    return date.hasTime ? iso.slice(0, 16) : iso.slice(0, 10);
+  },
+  long: (date) => {
+    const d = new Date(date.time);
+    return `${weekdayNames[d.getUTCDay()]}, ${d.getUTCDate()} ${monthNames[d.getUTCMonth()]} ${d.getUTCFullYear()}`;
+  },
+  short: (date) => {
+    const d = new Date(date.time);
+    return `${d.getUTCDate()} ${monthNames[d.getUTCMonth()].slice(0, 3)} ${d.getUTCFullYear()}`;
+  },
+  weekday: (date) => weekdayNames[new Date(date.time).getUTCDay()]
+};
+
+// Returns a copy of `date` that is displayed in the given format.
+function withDateFormat(date, format) {
+  if (!Object.hasOwn(dateFormats, format)) {
+    throw unknownNameError(ErrorCodes.UNKNOWN_FORMAT, `Unknown date format: ${format} (expected iso, long, short or weekday)`,
+      format, Object.keys(dateFormats));
+  }
+  return new DateValue(date.time, date.hasTime, format);
+}
+
+// Renders a date in its display format (ISO unless one was chosen with `as`).
+function formatDate(date, format = date.format || 'iso') {
+  return dateFormats[format](date);
+}
+
+// Renders a duration as days, hours, minutes and seconds, e.g. "1d 4h 30m" or "-(2h 15m)".
+function formatDuration(duration) {
+  // Rounded to nanoseconds, so conversion noise (1 week 2 days is 9d, not 9d 1e-14s) is not shown.
+  let seconds = convertTo(duration, [{ name: 's', power: 1 }]).value.toDecimalPlaces(9);
+  const sign = seconds.isNegative();
+  seconds = seconds.abs();
+  const parts = [];
+  for (const [suffix, size] of [['d', 86400], ['h', 3600], ['m', 60]]) {
+    const count = seconds.dividedToIntegerBy(size);
+    if (!count.isZero()) parts.push(`${count.toString()}${suffix}`);
+    seconds = seconds.minus(count.times(size));
+  }
+  if (!seconds.isZero() || parts.length === 0) parts.push(`${seconds.toString()}s`);
+  if (!sign) return parts.join(' ');
+  return parts.length === 1 ? `-${parts[0]}` : `-(${parts.join(' ')})`;
+}
+
+// Export the date type, literal parsing, keywords, arithmetic and formatting for the evaluator.
+export {
+  DateValue, isDate, parseDate, dateKeywords, dateArithmetic, withDateFormat, formatDate, formatDuration
+};
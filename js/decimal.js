@@ -0,0 +1,23 @@
+// File Overview: js/decimal.js
+// This file supplies the Decimal constructor (from decimal.js) to the calculation modules:
+// the evaluator, units and dates all import `Decimal` from here instead of reading a global.
+//
+// - In the page, decimal.js is loaded from a CDN as `window.Decimal`, which is picked up here
+//   automatically.
+// - Anywhere else (Node, a Web Worker), the host passes its own copy to `setDecimal` before
+//   evaluating anything. The modules only use Decimal while evaluating, never while loading,
+//   so it can be provided after they have been imported.
+//
+// Set it once: values created with one Decimal constructor are not recognised by another.
+
+let Decimal = globalThis.Decimal;
+
+// Provides the Decimal constructor used by all calculation modules.
+function setDecimal(constructor) {
+  if (typeof constructor !== 'function' || typeof constructor.acos !== 'function') {
+    throw new Error('setDecimal expects the Decimal constructor exported by decimal.js');
+  }
+  Decimal = constructor;
+}
+
+export { Decimal, setDecimal };
@@ -46,6 +46,7 @@ let currentFileName = null; // Stores the name of the currently open file, if an
 function updateResults() {
   const lines = editor.value.split('\n'); // Get all lines from the editor.
   const results = []; // Array to hold results for each line.
+  const errors = []; // Error messages by line index, shown on the '!' of failing lines.
   // Create a temporary scope for this evaluation run. It starts as a copy of the globalScope
   // and is updated by assignment operations within the current set of lines.
   let tempScope = { ...globalScope }; // Shallow copy is sufficient as values are numbers.
@@ -82,7 +83,8 @@ function updateResults() {
       }
     } catch (e) {
       console.error(e); // Log the actual error to the console for debugging purposes.
-      results.push('e'); // Display 'e' for lines that cause an error.
+      results.push('e'); // Mark lines that cause an error; line references check for 'e'.
+      errors[index] = e.message;
     }
   });
 
@@ -90,7 +92,18 @@ function updateResults() {
   // This ensures that deleted variable definitions are properly removed.
   globalScope = tempScope;
   // Update the results display in the DOM. Each result gets its own div.
-  resultsDiv.innerHTML = results.map(result => `<div>${result}</div>`).join('');
+  // Failing lines show '!' with the error message as a tooltip, like the main editor view.
+  resultsDiv.replaceChildren(...results.map((result, index) => {
+    const div = document.createElement('div');
+    if (errors[index] !== undefined) {
+      div.className = 'result error';
+      div.textContent = '!';
+      div.title = `Error on line ${index + 1}: ${errors[index]}`;
+    } else {
+      div.textContent = result;
+    }
+    return div;
+  }));
   updateLineNumbers(); // Update line numbers
   updateVariableToolbar(); // Refresh the variable toolbar to reflect any changes in globalScope.
 }
@@ -0,0 +1,123 @@
+// File Overview: js/engine.js
+// This file is the headless entry point to the calculator: `evaluateDocument` takes the text of a
+// document and returns a typed result for every line, without touching the DOM, storage or
+// workers. It runs unchanged in Node and in the browser.
+//
+// 1. Decimal: the caller passes the decimal.js constructor as `options.Decimal` (see js/decimal.js).
+//    In the page, where decimal.js is already a global, it can be omitted.
+//
+// 2. Other documents: `@"Name".variable` and `import "Name"` are resolved through
+//    `options.documents`, either an object of document texts by name or a function that returns
+//    (or resolves to) a document's text, or null when there is no such document.
+//
+// 3. Currencies: `options.exchangeRates` is a rate table such as
+//    `{ base: 'USD', asOf: '2026-10-19', rates: { EUR: 0.92 } }` (see ExchangeRateService). Without
+//    one, the app's default table is used.
+//
+//    Decimal and the currency units are module-wide, so calls run one at a time: each sets them
+//    for its own run and restores the previous ones afterwards. Overlapping calls queue up and
+//    never see each other's rates.
+//
+// 4. Inputs: `options.inputs` gives variables a value from outside, as expression text by name
+//    (e.g. `{ price: '50 EUR' }`). A line assigning the variable uses the input value instead of
+//    its own (its result is marked `overridden`); variables the document never assigns are defined.
+//
+// 5. Results (`lines`): one entry per line with its 1-based `line` number, its `source` text,
+//    `type` ('number', 'date', 'boolean', 'list', 'function', 'import', 'null', 'nan', 'error',
+//    'empty', 'comment', 'heading' or 'text'), the evaluated `value` (a Decimal, Quantity,
+//    DateValue, boolean or array) and its display `text`, plus `unit`, `format`, `label` or
+//    `overridden` where they apply. Failed lines have an `error` message with its `code`, `span`
+//    (`{ start, end }` offsets into `source`, or null) and `suggestions` (see js/errors.js). `errors` repeats the failed lines, and `variables` holds
+//    the variables the document defines.
+//
+// Example (Node):
+//   import Decimal from 'decimal.js';
+//   import { evaluateDocument } from './js/engine.js';
+//   const { lines } = await evaluateDocument('price = 40 EUR\nprice * 3 in USD', { Decimal });
+
+import { Decimal, setDecimal } from './decimal.js';
+import { registerUnit, unregisterUnit, unitsOfDimension } from './units.js';
+import { CalculationEngine } from './services/CalculationEngine.js';
+import { ExchangeRateService } from './services/ExchangeRateService.js';
+
+// Registers currency units; never stores anything.
+const exchangeRates = new ExchangeRateService(null);
+
+// The end of the last queued call; the next call starts once it has settled.
+let queue = Promise.resolve();
+
+// Turns the `documents` option into the lookup function CalculationEngine expects.
+function documentSourceFor(documents) {
+  if (typeof documents === 'function') return documents;
+  if (!documents) return null;
+  return async (name) => (Object.hasOwn(documents, name) ? documents[name] : null);
+}
+
+// Result types that have no value to show (the app displays a placeholder for them).
+const textlessTypes = ['empty', 'comment', 'heading', 'text', 'error'];
+
+// Converts an engine result row into the public line result.
+function toLineResult(result, index, source) {
+  const line = {
+    line: index + 1,
+    source,
+    type: result.type,
+    value: result.raw ?? null,
+    text: textlessTypes.includes(result.type) ? '' : result.value
+  };
+  for (const key of ['unit', 'format', 'label', 'error', 'code', 'span', 'suggestions', 'overridden']) {
+    if (result[key] !== undefined) line[key] = result[key];
+  }
+  // The engine locates errors in the trimmed line; callers get offsets into `source`
+  if (line.span) {
+    const indent = source.length - source.trimStart().length;
+    line.span = { start: line.span.start + indent, end: line.span.end + indent };
+  }
+  return line;
+}
+
+// Evaluates a document. Returns { lines, errors, variables, documents }, where `documents` lists
+// the other documents it depends on, directly or indirectly.
+function evaluateDocument(text, options = {}) {
+  const run = queue.then(() => evaluateAlone(text, options));
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Evaluates a document with its own Decimal and exchange rates, restoring the previous ones after.
+async function evaluateAlone(text, {
+  Decimal: decimal, document, documents, exchangeRates: table, inputs, signal
+} = {}) {
+  const previousDecimal = Decimal;
+  const previousCurrencies = unitsOfDimension('currency');
+
+  try {
+    if (decimal) setDecimal(decimal);
+    if (!Decimal) {
+      throw new Error('evaluateDocument needs Decimal: pass the decimal.js constructor as options.Decimal');
+    }
+    exchangeRates.useTable(table ?? ExchangeRateService.DEFAULT_TABLE);
+
+    const engine = new CalculationEngine(null, null, documentSourceFor(documents), { logErrors: false });
+    const sourceLines = String(text).split('\n');
+    const { results, updatedVariables, documents: dependencies } = await engine.processLines(sourceLines, {}, {
+      document,
+      signal,
+      inputs
+    });
+
+    const lines = results.map((result, index) => toLineResult(result, index, sourceLines[index]));
+    return {
+      lines,
+      errors: lines.filter(line => line.type === 'error').map(({ line, error, code, span }) => ({ line, error, code, span })),
+      variables: Object.fromEntries(Object.keys(updatedVariables).map(name => [name, updatedVariables[name]])),
+      documents: dependencies
+    };
+  } finally {
+    unitsOfDimension('currency').forEach(unit => unregisterUnit(unit.symbol));
+    previousCurrencies.forEach(registerUnit);
+    if (previousDecimal) setDecimal(previousDecimal);
+  }
+}
+
+export { evaluateDocument, setDecimal };
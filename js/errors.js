@@ -0,0 +1,134 @@
+// File Overview: js/errors.js
+// This file defines the errors raised while reading and evaluating a line, so that the editor,
+// the error panel and the command-line runner can say what went wrong and where.
+//
+// 1. `CalculationError`: an Error with
+//    - `code`: one of `ErrorCodes`, e.g. 'UNDEFINED_VARIABLE', stable for tools to match on;
+//    - `span`: `{ start, end }` character offsets of the offending text within the (trimmed) line,
+//      or null when the error is not about a particular part of it;
+//    - `suggestions`: names the user probably meant, e.g. ['total'] for `totl`.
+//    The lexer gives errors the span of the offending characters and the parser that of the
+//    offending token. Errors from the evaluator, units and dates get the span of the innermost
+//    AST node being evaluated when they were thrown (see `locateError`).
+//
+// 2. Suggestions (`closestNames`, `didYouMean`): candidates within a small edit distance of an
+//    unknown name, ignoring case, closest first.
+//
+// Errors are plain data once they leave the engine: `toErrorInfo` turns one into the
+// `{ code, span, suggestions }` fields of a result row.
+
+const ErrorCodes = Object.freeze({
+  // Reading the line (lexer and parser)
+  UNEXPECTED_CHARACTER: 'UNEXPECTED_CHARACTER',
+  UNEXPECTED_TOKEN: 'UNEXPECTED_TOKEN',
+  UNEXPECTED_END: 'UNEXPECTED_END',
+  INVALID_NUMBER: 'INVALID_NUMBER',
+  INVALID_REFERENCE: 'INVALID_REFERENCE', // Document references and imports; see INVALID_LINE_REFERENCE for #n
+  UNTERMINATED_STRING: 'UNTERMINATED_STRING',
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
+  // Names
+  UNDEFINED_VARIABLE: 'UNDEFINED_VARIABLE',
+  UNKNOWN_FUNCTION: 'UNKNOWN_FUNCTION',
+  UNKNOWN_UNIT: 'UNKNOWN_UNIT',
+  UNKNOWN_FORMAT: 'UNKNOWN_FORMAT',
+  UNKNOWN_DOCUMENT: 'UNKNOWN_DOCUMENT',
+  // Line references and labels
+  UNKNOWN_LABEL: 'UNKNOWN_LABEL',
+  DUPLICATE_LABEL: 'DUPLICATE_LABEL',
+  DELETED_REFERENCE: 'DELETED_REFERENCE',
+  INVALID_LINE_REFERENCE: 'INVALID_LINE_REFERENCE',
+  REFERENCED_ERROR: 'REFERENCED_ERROR',
+  CIRCULAR_REFERENCE: 'CIRCULAR_REFERENCE',
+  // Values
+  ARGUMENT_COUNT: 'ARGUMENT_COUNT',
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  TYPE_MISMATCH: 'TYPE_MISMATCH',
+  UNIT_MISMATCH: 'UNIT_MISMATCH',
+  INVALID_DATE: 'INVALID_DATE',
+  // Limits
+  RECURSION_LIMIT: 'RECURSION_LIMIT',
+  TIME_LIMIT: 'TIME_LIMIT',
+  // Anything else, e.g. a plain Error from a bug
+  EVALUATION_ERROR: 'EVALUATION_ERROR'
+});
+
+class CalculationError extends Error {
+  constructor(code, message, { span = null, suggestions = [] } = {}) {
+    super(message);
+    this.name = 'CalculationError';
+    this.code = code;
+    this.span = span;
+    this.suggestions = suggestions;
+  }
+}
+
+// Gives an error without a location the span of the AST node being evaluated. Plain Errors become
+// CalculationErrors with the generic code, keeping their message.
+function locateError(error, node) {
+  const located = error instanceof CalculationError
+    ? error
+    : new CalculationError(ErrorCodes.EVALUATION_ERROR, error?.message ?? String(error));
+  if (!located.span && node && node.start !== undefined && node.end !== undefined) {
+    located.span = { start: node.start, end: node.end };
+  }
+  return located;
+}
+
+// Describes an error as the extra fields of an error result row.
+function toErrorInfo(error) {
+  return {
+    code: error?.code ?? ErrorCodes.EVALUATION_ERROR,
+    span: error?.span ?? null,
+    suggestions: error?.suggestions ?? []
+  };
+}
+
+// Edit distance between two strings, counting a swap of adjacent characters as one edit
+// (so `totla` is one edit away from `total`).
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Finds the candidates close enough to `name` to be what the user meant: one edit for short
+// names, up to a third of the name's length for longer ones.
+function closestNames(name, candidates, limit = 3) {
+  const target = name.toLowerCase();
+  const allowed = Math.max(1, Math.floor(target.length / 3));
+
+  return [...new Set(candidates)]
+    .filter(candidate => candidate !== name)
+    .map(candidate => ({ candidate, distance: editDistance(target, candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= allowed)
+    .sort((x, y) => x.distance - y.distance || x.candidate.localeCompare(y.candidate))
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
+
+// Renders suggestions for the end of a message, e.g. " — did you mean total?".
+function didYouMean(suggestions) {
+  if (suggestions.length === 0) return '';
+  const names = suggestions.length === 1
+    ? suggestions[0]
+    : `${suggestions.slice(0, -1).join(', ')} or ${suggestions[suggestions.length - 1]}`;
+  return ` — did you mean ${names}?`;
+}
+
+// Builds the error for an unknown name, suggesting the closest known names.
+function unknownNameError(code, message, name, candidates) {
+  const suggestions = closestNames(name, candidates);
+  return new CalculationError(code, message + didYouMean(suggestions), { suggestions });
+}
+
+export { ErrorCodes, CalculationError, locateError, toErrorInfo, closestNames, didYouMean, unknownNameError };
@@ -4,55 +4,629 @@
 // The evaluator recursively traverses the AST, performing operations based on the type
 // of each node. It handles:
 // - Numbers: Returns their literal value.
-// - Variables: Looks up their value in the current `scope`. Throws an error if undefined.
-// - Line References (#N): Looks up the result of a previous line. Throws an error for invalid references.
-// - Binary Operations (+, -, *, /): Recursively evaluates left and right operands, then performs the operation.
-//   Handles division by zero by returning NaN.
+// - Variables: Looks up their value in the current `scope`, falling back to the built-in
+//   constants (pi, e, ...). Throws an error if undefined.
+// - Line References (#N, #-1, #label): Looks up the result of a previous line, by number, relative to the
+//   current line (#-1 is the line above) or by label. Throws an error for invalid references.
+// - Document References (@"Rates".vat, import "Rates"): Read variables of another tab or saved file.
+//   The caller evaluates those documents first and passes their variables in the scope under `DOCUMENTS`.
+// - Labels (subtotal: 40 + 60): Name a line, so it can be referenced as #subtotal or simply subtotal.
+// - Lists ([1, 2, 3]) and Line Ranges (#3..#8): Evaluate to arrays of values. Aggregate functions
+//   (sum, avg, min, max, count, median, stdev) accept them; other operations reject them.
+// - Unary Operations (-, +): Negates (or passes through) the evaluated operand.
+// - Binary Operations (+, -, *, /, %, ^): Recursively evaluates left and right operands, then performs the operation.
+//   Handles division and modulo by zero by returning NaN.
+// - Function Calls (sqrt(x), max(a, b), ...): Evaluates the arguments and applies a function from
+//   the built-in `functions` registry, checking the number of arguments first.
 // - Assignments (=): Evaluates the expression on the right-hand side and updates the `scope`
 //   with the new variable value. Returns the assigned value.
+// - Display Formats (x as hex, hex(x), bin(x), ...): Tag a result so it is shown in another
+//   notation. The value itself is unchanged, so further arithmetic produces ordinary decimals.
+// - Percentages (20%, 15% of 80, 15% off 80, 30 as % of 120): A percentage evaluates to its
+//   fraction (20% is 0.2) tagged with the `percent` display format. Adding or subtracting a
+//   percentage to a plain number applies it to that number, so `200 + 10%` is 220 and
+//   `x - 5%` is a 5% discount. With `*` and `/` a percentage acts as its fraction.
+// - Quantities (5 km, 9.81 m/s^2) and Conversions (60 mph to km/h): Numbers with units are
+//   evaluated to `Quantity` values, and all arithmetic goes through the unit-aware operations in
+//   units.js, which check dimensions (so `5 m + 3 s` is an error).
+// - Function Definitions (f(x) = ...): Stores a user-defined function (a closure over the document
+//   scope) in the `scope`. When called, its parameters live in a local scope that shadows the
+//   document scope. User-defined functions take precedence over built-ins of the same name, and
+//   nested calls are limited to `MAX_CALL_DEPTH` so runaway recursion reports an error. `withTimeLimit`
+//   also stops calls that run for too long, such as exponential recursion.
+// - Comparisons (<, <=, >, >=, ==, !=) and Logic (and, or, not): Produce booleans (true/false).
+//   Values with units are compared after conversion, so `1 km > 900 m` is true. `and`/`or` only
+//   evaluate their right operand when needed. Numbers count as true unless they are zero.
+// - Conditionals (cond ? a : b, if(cond, a, b)): Evaluate only the chosen branch, so recursive
+//   user-defined functions such as `fact(n) = n <= 1 ? 1 : n * fact(n - 1)` terminate.
+// - Dates (2026-10-19, today) and Durations (3 weeks, 2h 30m): Dates are `DateValue`s from dates.js.
+//   Adding or subtracting a duration moves a date, and subtracting two dates gives the number of
+//   days between them. Durations are ordinary time quantities, so `1h 45m * 3` is 5.25 h, and
+//   `x as duration` shows one as e.g. "5h 15m". Dates can be shown `as long`, `as short` or `as weekday`.
+//
+// Errors are `CalculationError`s (js/errors.js) with a code, the span of the node they concern and,
+// for unknown names, "did you mean" suggestions drawn from the names in scope.
+//
 // The `evaluate` function takes the AST node, the current variable scope, an array of
 // results from previous lines (for line references), and the current line number as input.
 
-// Access Decimal from global scope (loaded via CDN)
-const Decimal = window.Decimal;
+import {
+  isQuantity, isDuration, createQuantity, resolveUnit, add, subtract, multiply, divide, modulo, power, negate,
+  convertTo, compareValues
+} from './units.js';
+import { isDate, parseDate, dateKeywords, dateArithmetic, withDateFormat, formatDate, formatDuration } from './dates.js';
+import { Decimal } from './decimal.js';
+import { ErrorCodes, CalculationError, locateError, unknownNameError } from './errors.js';
+
+// **Built-in Constants**
+// Names that resolve to a value when no variable of the same name has been defined,
+// so a document can still use `e = 5` as an ordinary variable. Numeric constants are getters
+// because Decimal may only be provided after this module has loaded (see js/decimal.js).
+const constants = {
+  get pi() { return Decimal.acos(-1); },
+  get tau() { return Decimal.acos(-1).times(2); },
+  get e() { return Decimal.exp(1); },
+  get phi() { return new Decimal(5).sqrt().plus(1).dividedBy(2); },
+  true: true,
+  false: false
+};
+
+// **Built-in Function Registry**
+// Maps a function name to its signature (shown in error messages), the accepted number of
+// arguments, and an implementation that receives the evaluated arguments as Decimals.
+// Functions marked `preservesUnit` are applied to the number of a quantity and keep its unit
+// (e.g. round(5.6 km) is 6 km); other functions reject quantities.
+// All functions use Decimal's own arbitrary-precision implementations; trigonometry is in radians.
+const functions = {
+  sqrt: { signature: 'sqrt(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.sqrt() },
+  cbrt: { signature: 'cbrt(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.cbrt() },
+  abs: { signature: 'abs(x)', minArgs: 1, maxArgs: 1, preservesUnit: true, fn: (x) => x.abs() },
+  round: {
+    signature: 'round(x, digits?)', minArgs: 1, maxArgs: 2, preservesUnit: true,
+    fn: (x, digits) => digits === undefined ? x.round() : x.toDecimalPlaces(toInteger(digits, 'round'), Decimal.ROUND_HALF_UP)
+  },
+  floor: { signature: 'floor(x)', minArgs: 1, maxArgs: 1, preservesUnit: true, fn: (x) => x.floor() },
+  ceil: { signature: 'ceil(x)', minArgs: 1, maxArgs: 1, preservesUnit: true, fn: (x) => x.ceil() },
+  trunc: { signature: 'trunc(x)', minArgs: 1, maxArgs: 1, preservesUnit: true, fn: (x) => x.trunc() },
+  pow: { signature: 'pow(x, y)', minArgs: 2, maxArgs: 2, fn: (x, y) => x.pow(y) },
+  exp: { signature: 'exp(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.exp() },
+  ln: { signature: 'ln(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.ln() },
+  log: {
+    signature: 'log(x, base?)', minArgs: 1, maxArgs: 2,
+    fn: (x, base) => base === undefined ? x.log(10) : x.log(base)
+  },
+  log10: { signature: 'log10(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.log(10) },
+  log2: { signature: 'log2(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.log(2) },
+  sin: { signature: 'sin(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.sin() },
+  cos: { signature: 'cos(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.cos() },
+  tan: { signature: 'tan(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.tan() },
+  asin: { signature: 'asin(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.asin() },
+  acos: { signature: 'acos(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.acos() },
+  atan: { signature: 'atan(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.atan() },
+  atan2: { signature: 'atan2(y, x)', minArgs: 2, maxArgs: 2, fn: (y, x) => Decimal.atan2(y, x) },
+  sinh: { signature: 'sinh(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.sinh() },
+  cosh: { signature: 'cosh(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.cosh() },
+  tanh: { signature: 'tanh(x)', minArgs: 1, maxArgs: 1, fn: (x) => x.tanh() },
+  hex: { signature: 'hex(x)', minArgs: 1, maxArgs: 1, fn: (x) => withDisplayFormat(x, 'hex') },
+  bin: { signature: 'bin(x)', minArgs: 1, maxArgs: 1, fn: (x) => withDisplayFormat(x, 'bin') },
+  oct: { signature: 'oct(x)', minArgs: 1, maxArgs: 1, fn: (x) => withDisplayFormat(x, 'oct') },
+  sci: { signature: 'sci(x)', minArgs: 1, maxArgs: 1, fn: (x) => withDisplayFormat(x, 'sci') },
+  sum: { signature: 'sum(values...)', minArgs: 1, maxArgs: Infinity, aggregate: true, fn: (values) => aggregate(values, sumOf) },
+  avg: {
+    signature: 'avg(values...)', minArgs: 1, maxArgs: Infinity, aggregate: true,
+    fn: (values) => aggregate(values, numbers => sumOf(numbers).dividedBy(requireValues('avg', numbers, 1).length))
+  },
+  min: { signature: 'min(values...)', minArgs: 1, maxArgs: Infinity, aggregate: true, fn: (values) => aggregate(values, numbers => Decimal.min(...requireValues('min', numbers, 1))) },
+  max: { signature: 'max(values...)', minArgs: 1, maxArgs: Infinity, aggregate: true, fn: (values) => aggregate(values, numbers => Decimal.max(...requireValues('max', numbers, 1))) },
+  count: { signature: 'count(values...)', minArgs: 1, maxArgs: Infinity, aggregate: true, fn: (values) => new Decimal(values.length) },
+  median: {
+    signature: 'median(values...)', minArgs: 1, maxArgs: Infinity, aggregate: true,
+    fn: (values) => aggregate(values, numbers => {
+      const sorted = [...requireValues('median', numbers, 1)].sort((a, b) => a.comparedTo(b));
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[middle] : sorted[middle - 1].plus(sorted[middle]).dividedBy(2);
+    })
+  },
+  stdev: {
+    signature: 'stdev(values...)', minArgs: 1, maxArgs: Infinity, aggregate: true,
+    fn: (values) => aggregate(values, numbers => {
+      // Sample standard deviation (divides by n - 1).
+      const mean = sumOf(requireValues('stdev', numbers, 2)).dividedBy(numbers.length);
+      const squares = numbers.map(x => x.minus(mean).pow(2));
+      return sumOf(squares).dividedBy(numbers.length - 1).sqrt();
+    })
+  }
+};
+
+// **Aggregates**
+// Functions marked `aggregate` receive every value of their arguments as one flat array, so
+// lists and line ranges can be mixed with single values: sum(#3..#8), avg([1, 2, 3]), max(a, b).
+// Values with units are converted to the unit of the first one (plain numbers take that unit),
+// so sum(5 km, 300 m) is 5.3 km.
+function aggregate(values, fn) {
+  const quantity = values.find(isQuantity);
+  if (!quantity) return fn(values);
+  const numbers = values.map(value => (isQuantity(value) ? convertTo(value, quantity.unit).value : value));
+  return createQuantity(fn(numbers), quantity.unit);
+}
+
+function sumOf(numbers) {
+  return numbers.reduce((total, x) => total.plus(x), new Decimal(0));
+}
+
+// Checks that an aggregate received enough values and returns them.
+function requireValues(name, numbers, minimum) {
+  if (numbers.length < minimum) {
+    throw new CalculationError(ErrorCodes.ARGUMENT_COUNT, `${name}() needs at least ${minimum} value${minimum === 1 ? '' : 's'}`);
+  }
+  return numbers;
+}
+
+// **Display Formats**
+// Renderers for the notations a result can be shown in, keyed by the name used after `as`.
+// Every rendering is a literal the lexer reads back, so `#N` references to a formatted line work.
+const displayFormats = {
+  hex: (x) => x.toHexadecimal().replace(/^(-?0x)(.*)$/, (_, prefix, digits) => prefix + digits.toUpperCase()),
+  bin: (x) => x.toBinary(),
+  oct: (x) => x.toOctal(),
+  sci: (x) => x.toExponential(),
+  dec: (x) => x.toString(),
+  percent: (x) => `${x.times(100).toString()}%`
+};
+
+// Aliases accepted after `as` (e.g., `x as binary`).
+const formatAliases = {
+  binary: 'bin',
+  octal: 'oct',
+  hexadecimal: 'hex',
+  scientific: 'sci',
+  decimal: 'dec',
+  percentage: 'percent'
+};
+
+// Remembers the display format attached to a Decimal (or duration) result. A WeakMap keeps the values
+// untouched, and any arithmetic on them yields a fresh value without a format.
+const valueFormats = new WeakMap();
+
+// Returns a copy of `value` that is displayed in the given format.
+function withDisplayFormat(value, format) {
+  const name = formatAliases[format] || format;
+  if (!Object.hasOwn(displayFormats, name)) {
+    throw unknownNameError(ErrorCodes.UNKNOWN_FORMAT, `Unknown format: ${format} (expected hex, bin, oct, sci, dec or %)`,
+      format, [...Object.keys(displayFormats), ...Object.keys(formatAliases), 'duration']);
+  }
+  const copy = new Decimal(value);
+  valueFormats.set(copy, name);
+  return copy;
+}
+
+// Checks whether a value is a percentage (a fraction tagged with the `percent` format).
+function isPercent(value) {
+  return value instanceof Decimal && valueFormats.get(value) === 'percent';
+}
+
+// Converts a line result string back to a value for `#N` references. Percentages are shown as
+// e.g. "20%", so they are turned back into tagged fractions; anything else must be a number.
+function parseLineResult(text) {
+  if (typeof text === 'string' && text.endsWith('%')) {
+    return withDisplayFormat(new Decimal(text.slice(0, -1)).dividedBy(100), 'percent');
+  }
+  return new Decimal(text);
+}
+
+// Renders an evaluation result for display, honouring any attached display format.
+// Returns `{ text, format }`, where `format` is undefined for plain numbers.
+function formatResult(value) {
+  if (Array.isArray(value)) {
+    return { text: `[${value.map(item => formatResult(item).text).join(', ')}]`, format: undefined };
+  }
+  if (isDate(value)) {
+    return { text: formatDate(value), format: value.format };
+  }
+  if (isQuantity(value)) {
+    const format = valueFormats.get(value);
+    return { text: format === 'duration' ? formatDuration(value) : value.toString(), format };
+  }
+  const format = valueFormats.get(value);
+  if (!format || format === 'dec' || !value.isFinite()) {
+    return { text: value.toString(), format: undefined };
+  }
+  return { text: displayFormats[format](value), format };
+}
+
+// **Document References**
+
+// Key under which the scope keeps the other documents this one refers to (document name ->
+// `{ variables }`, or `{ error }` when the document is missing or part of a reference cycle).
+const DOCUMENTS = Symbol('documents');
+
+// Returns the variables of another document, or throws the reason it could not be evaluated.
+function documentVariables(name, scope) {
+  const document = scope[DOCUMENTS]?.[name];
+  if (!document) {
+    throw new CalculationError(ErrorCodes.UNKNOWN_DOCUMENT, `Unknown document: "${name}"`);
+  }
+  if (document.error) {
+    throw new CalculationError(document.code ?? ErrorCodes.UNKNOWN_DOCUMENT, document.error);
+  }
+  return document.variables;
+}
+
+// **Line References**
+
+// Key under which the document scope keeps its line labels (label name -> 1-based line number).
+// A symbol keeps the labels out of the variable list.
+const LINE_LABELS = Symbol('lineLabels');
+
+// Resolves a line reference node to a 1-based line number, plus the reference as written for error
+// messages: `#3` is absolute, `#-1` is relative to the current line and `#subtotal` is a label.
+function resolveLineReference(ref, scope, currentLine) {
+  if (ref.label !== undefined) {
+    const line = scope[LINE_LABELS]?.[ref.label];
+    if (line === undefined && ref.label === 'REF') {
+      // Written by the editor in place of a reference whose line was deleted.
+      throw new CalculationError(ErrorCodes.DELETED_REFERENCE, '#REF: the referenced line was deleted');
+    }
+    if (line === undefined) {
+      throw unknownNameError(ErrorCodes.UNKNOWN_LABEL, `Unknown line label: #${ref.label}`, `#${ref.label}`,
+        Object.keys(scope[LINE_LABELS] ?? {}).map(label => `#${label}`));
+    }
+    return { line, text: `#${ref.label}` };
+  }
+  if (ref.offset !== undefined) {
+    return { line: currentLine + 1 + ref.offset, text: `#${ref.offset}` };
+  }
+  return { line: ref.line, text: `#${ref.line}` };
+}
+
+// Returns the value of a previous line for a line reference (`line` is 1-based, `text` is the
+// reference as written).
+function lineValue(line, lineResults, currentLine, text = `#${line}`) {
+  const lineIndex = line - 1; // Convert 1-based line number to 0-based array index.
+  // Validate the line reference:
+  // - Must not refer to the current line or future lines (circular dependency).
+  // - Must be within the bounds of the `lineResults` array.
+  // - The referenced line must have a valid result (not undefined).
+  if (lineIndex >= currentLine || lineIndex < 0 || lineResults[lineIndex] === undefined) {
+    throw new CalculationError(ErrorCodes.INVALID_LINE_REFERENCE, `Invalid line reference: ${text}`);
+  }
+  const refValue = lineResults[lineIndex];
+  // Check if the referenced line resulted in an error.
+  if (refValue === 'e') {
+    throw new CalculationError(ErrorCodes.REFERENCED_ERROR, `Cannot reference an error: ${text}`);
+  }
+  // Lines without a numeric result (e.g. function definitions) cannot be referenced.
+  if (isUserFunction(refValue)) {
+    throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Line ${text} does not have a numeric result`);
+  }
+  // Evaluated values (Decimals, quantities, dates, lists and booleans) are used as they are.
+  if (typeof refValue === 'object' || isBoolean(refValue)) {
+    return refValue;
+  }
+  // Convert the referenced result (which might be a string) to a Decimal for precise arithmetic.
+  try {
+    return parseLineResult(refValue);
+  } catch {
+    throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Line ${text} does not have a numeric result`);
+  }
+}
+
+// **Booleans and Comparisons**
+
+// Checks whether a value is a boolean (the result of a comparison, or true/false).
+function isBoolean(value) {
+  return typeof value === 'boolean';
+}
+
+// Converts a condition to a boolean. Numbers count as true unless they are zero (or NaN).
+function toBoolean(value) {
+  if (isBoolean(value)) return value;
+  if (value instanceof Decimal) return !value.isZero() && !value.isNaN();
+  throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Expected a condition (true/false), got ${isDate(value) ? 'a date' : value}`);
+}
+
+// Applies a comparison operator. Numbers, quantities and dates are ordered; true/false values
+// can only be tested for equality.
+function compare(operator, left, right) {
+  if (Array.isArray(left) || Array.isArray(right)) {
+    throw new CalculationError(ErrorCodes.TYPE_MISMATCH, 'Cannot compare lists; use e.g. sum() or avg() to combine their values');
+  }
+  if (isBoolean(left) || isBoolean(right)) {
+    if (!isBoolean(left) || !isBoolean(right) || (operator !== '==' && operator !== '!=')) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Cannot compare ${left} ${operator} ${right}`);
+    }
+    return (left === right) === (operator === '==');
+  }
+  let order;
+  if (isDate(left) || isDate(right)) {
+    if (!isDate(left) || !isDate(right)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Cannot compare a date with ${isDate(left) ? right : left}`);
+    }
+    order = Math.sign(left.time - right.time);
+  } else {
+    order = compareValues(left, right); // Converts compatible units, e.g. 1 km > 900 m.
+  }
+  switch (operator) {
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    case '==': return order === 0;
+    case '!=': return order !== 0;
+    default:
+      throw new CalculationError(ErrorCodes.EVALUATION_ERROR, `Unknown operator: ${operator}`);
+  }
+}
+
+// Maximum nesting of user-defined function calls before evaluation is aborted.
+const MAX_CALL_DEPTH = 256;
+// Number of user-defined function calls currently being evaluated.
+let callDepth = 0;
+// Time (from Date.now()) after which user-defined function calls are aborted, and the limit it came from.
+let deadline = Infinity;
+let timeLimit = Infinity;
+
+// Runs `fn` (typically a top-level `evaluate`) with a time limit in milliseconds. Calls to user-defined
+// functions are the only way a line can run for long (e.g. `fib(n) = n < 2 ? n : fib(n-1) + fib(n-2)`),
+// so they check the limit and throw once it has passed.
+function withTimeLimit(milliseconds, fn) {
+  const saved = [deadline, timeLimit];
+  deadline = Date.now() + milliseconds;
+  timeLimit = milliseconds;
+  try {
+    return fn();
+  } finally {
+    [deadline, timeLimit] = saved;
+  }
+}
+
+// Creates the value stored in the scope for a user-defined function. `toString` renders the
+// signature, which is what the results column shows for a definition line.
+function createUserFunction(name, params, body, closure) {
+  return {
+    type: 'function',
+    name,
+    params,
+    body,
+    closure,
+    toString() { return `${name}(${params.join(', ')})`; }
+  };
+}
+
+// Checks whether a scope value is a user-defined function rather than a number.
+function isUserFunction(value) {
+  return value !== null && typeof value === 'object' && value.type === 'function';
+}
+
+// Calls a user-defined function with already evaluated arguments. Parameters are bound in a
+// local scope whose prototype is the captured document scope, so lookups fall through to
+// document variables while parameters shadow variables of the same name.
+function callUserFunction(fn, args, lineResults, currentLine) {
+  checkArity(fn.name, { minArgs: fn.params.length, maxArgs: fn.params.length, signature: fn.toString() }, args.length);
+
+  if (callDepth >= MAX_CALL_DEPTH) {
+    throw new CalculationError(ErrorCodes.RECURSION_LIMIT, `Maximum call depth exceeded in ${fn.name}() (possible infinite recursion)`);
+  }
+  if (Date.now() > deadline) {
+    throw new CalculationError(ErrorCodes.TIME_LIMIT, `Evaluation took longer than ${timeLimit / 1000} s in ${fn.name}() (possible runaway recursion)`);
+  }
+
+  const localScope = Object.create(fn.closure);
+  fn.params.forEach((param, i) => { localScope[param] = args[i]; });
+
+  callDepth++;
+  try {
+    return evaluate(fn.body, localScope, lineResults, currentLine);
+  } finally {
+    callDepth--;
+  }
+}
+
+// Converts a Decimal argument to a JavaScript integer, for arguments such as a digit count.
+function toInteger(value, functionName) {
+  if (!value.isInteger() || value.isNegative()) {
+    throw new CalculationError(ErrorCodes.INVALID_ARGUMENT, `${functionName}() expects a non-negative whole number of digits`);
+  }
+  return value.toNumber();
+}
+
+// Validates the argument count of a call against a registry entry.
+function checkArity(name, definition, argCount) {
+  const { minArgs, maxArgs, signature } = definition;
+  if (argCount >= minArgs && argCount <= maxArgs) return;
+
+  let expected;
+  if (minArgs === maxArgs) {
+    expected = `${minArgs} argument${minArgs === 1 ? '' : 's'}`;
+  } else if (maxArgs === Infinity) {
+    expected = `at least ${minArgs} argument${minArgs === 1 ? '' : 's'}`;
+  } else {
+    expected = `${minArgs} to ${maxArgs} arguments`;
+  }
+  throw new CalculationError(ErrorCodes.ARGUMENT_COUNT, `${name}() expects ${expected}, got ${argCount} (usage: ${signature})`);
+}
+
+// Lists every name visible in a scope, including those inherited from enclosing scopes and
+// keywords such as `total`, for "did you mean" suggestions.
+// With `onlyFunctions`, lists the user-defined functions instead. Keywords are getters that can
+// throw (e.g. `prev` on the first line), so only plain values are inspected.
+function scopeNames(scope, { onlyFunctions = false } = {}) {
+  const names = [];
+  for (let current = scope; current && current !== Object.prototype; current = Object.getPrototypeOf(current)) {
+    for (const [name, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(current))) {
+      if (!onlyFunctions || ('value' in descriptor && isUserFunction(descriptor.value))) names.push(name);
+    }
+  }
+  return names;
+}
 
 // **Evaluator Function**
 // Takes an Abstract Syntax Tree (AST) node, a scope object (for variable storage),
 // an array of line results (for line references), and the current line index.
 // Recursively evaluates the AST to produce a numerical result or perform an assignment.
+// Errors are CalculationErrors located at the innermost node they were thrown from (see js/errors.js).
 function evaluate(ast, scope, lineResults, currentLine) {
+  try {
+    return evaluateNode(ast, scope, lineResults, currentLine);
+  } catch (error) {
+    throw locateError(error, ast);
+  }
+}
+
+// Evaluates a single AST node; see `evaluate`.
+function evaluateNode(ast, scope, lineResults, currentLine) {
   // Base case: if the AST node is null or undefined (e.g., from an empty expression), return null.
   if (!ast) return null;
 
   // Handle number literals: return their value as a Decimal for precise arithmetic.
   if (ast.type === 'number') return new Decimal(ast.value);
 
+  // Handle date literals (e.g., 2026-10-19), rejecting impossible dates such as 2026-02-30.
+  if (ast.type === 'date') return parseDate(ast.value);
+
   // Handle variables: look up the variable name in the current scope.
   if (ast.type === 'variable') {
-    if (!(ast.name in scope)) {
-      // If the variable is not found in the scope, it's an error.
-      throw new Error(`Undefined variable: ${ast.name}`);
+    if (ast.name in scope) {
+      const value = scope[ast.name];
+      if (isUserFunction(value)) {
+        throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `${ast.name} is a function; call it as ${value}`);
+      }
+      return value; // Return the variable's value.
+    }
+    // Fall back to built-in constants such as pi.
+    if (Object.hasOwn(constants, ast.name)) {
+      return constants[ast.name];
+    }
+    // Relative dates such as `today` are read from the clock each time.
+    if (Object.hasOwn(dateKeywords, ast.name)) {
+      return dateKeywords[ast.name]();
+    }
+    // If the variable is not found in the scope, it's an error.
+    throw unknownNameError(ErrorCodes.UNDEFINED_VARIABLE, `Undefined variable: ${ast.name}`, ast.name,
+      [...scopeNames(scope), ...Object.keys(constants), ...Object.keys(dateKeywords)]);
+  }
+
+  // Handle references to another document's variables (e.g., @"Rates".vat).
+  if (ast.type === 'documentReference') {
+    const variables = documentVariables(ast.document, scope);
+    if (!Object.hasOwn(variables, ast.name)) {
+      throw unknownNameError(ErrorCodes.UNDEFINED_VARIABLE, `Undefined variable: ${ast.name} in "${ast.document}"`,
+        ast.name, Object.keys(variables));
+    }
+    const value = variables[ast.name];
+    if (isUserFunction(value)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `${ast.name} in "${ast.document}" is a function; import "${ast.document}" to call it`);
+    }
+    return value;
+  }
+
+  // Handle imports (e.g., import "Rates"), which copy every variable and function of another
+  // document into this one. Later assignments shadow imported names. Returns the imported names.
+  if (ast.type === 'import') {
+    const variables = documentVariables(ast.document, scope);
+    const names = Object.keys(variables);
+    names.forEach(name => { scope[name] = variables[name]; });
+    return names;
+  }
+
+  // Handle function calls (e.g., sqrt(2), max(a, b, c)).
+  if (ast.type === 'call') {
+    // User-defined functions shadow built-ins of the same name.
+    if (ast.name in scope && isUserFunction(scope[ast.name])) {
+      const args = ast.args.map(arg => evaluate(arg, scope, lineResults, currentLine));
+      try {
+        return callUserFunction(scope[ast.name], args, lineResults, currentLine);
+      } catch (error) {
+        // Spans inside the body point into the line that defines the function, so point at the call instead
+        const located = locateError(error);
+        located.span = { start: ast.start, end: ast.end };
+        throw located;
+      }
+    }
+    if (!Object.hasOwn(functions, ast.name)) {
+      const userFunctions = scopeNames(scope, { onlyFunctions: true });
+      throw unknownNameError(ErrorCodes.UNKNOWN_FUNCTION, `Unknown function: ${ast.name}`, ast.name,
+        [...Object.keys(functions), ...userFunctions, 'if']);
+    }
+    const definition = functions[ast.name];
+    checkArity(ast.name, definition, ast.args.length);
+    // Evaluate every argument before applying the function.
+    const args = ast.args.map(arg => evaluate(arg, scope, lineResults, currentLine));
+    if (args.flat(Infinity).some(isBoolean)) {
+      throw new CalculationError(ErrorCodes.INVALID_ARGUMENT, `${ast.name}() does not accept true/false values`);
     }
-    return scope[ast.name]; // Return the variable's value.
+    if (definition.aggregate) {
+      // Lists and line ranges are flattened into a single list of values.
+      const values = args.flat(Infinity);
+      if (values.some(isDate)) {
+        throw new CalculationError(ErrorCodes.INVALID_ARGUMENT, `${ast.name}() does not accept dates`);
+      }
+      return definition.fn(values);
+    }
+    if (args.some(Array.isArray)) {
+      throw new CalculationError(ErrorCodes.INVALID_ARGUMENT, `${ast.name}() does not accept lists; use e.g. sum() or avg()`);
+    }
+    if (isQuantity(args[0]) && definition.preservesUnit) {
+      const [quantity, ...rest] = args;
+      return createQuantity(definition.fn(quantity.value, ...rest), quantity.unit);
+    }
+    if (args.some(isQuantity)) {
+      throw new CalculationError(ErrorCodes.INVALID_ARGUMENT, `${ast.name}() does not accept values with units`);
+    }
+    if (args.some(isDate)) {
+      throw new CalculationError(ErrorCodes.INVALID_ARGUMENT, `${ast.name}() does not accept dates`);
+    }
+    return definition.fn(...args);
   }
 
   // Handle line references (e.g., #2 refers to the result of line 2).
   if (ast.type === 'lineref') {
-    const lineIndex = ast.line - 1; // Convert 1-based line number to 0-based array index.
-    // Validate the line reference:
-    // - Must not refer to the current line or future lines (circular dependency).
-    // - Must be within the bounds of the `lineResults` array.
-    // - The referenced line must have a valid result (not undefined).
-    if (lineIndex >= currentLine || lineIndex < 0 || lineResults[lineIndex] === undefined) {
-      throw new Error(`Invalid line reference: #${ast.line}`);
+    const { line, text } = resolveLineReference(ast, scope, currentLine);
+    return lineValue(line, lineResults, currentLine, text);
+  }
+
+  // Handle line ranges (e.g., #3..#8 is the list of results of lines 3 to 8).
+  if (ast.type === 'lineRange') {
+    const start = resolveLineReference(ast.from, scope, currentLine).line;
+    const end = resolveLineReference(ast.to, scope, currentLine).line;
+    const [from, to] = start <= end ? [start, end] : [end, start];
+    const values = [];
+    for (let line = from; line <= to; line++) {
+      // Blank lines ('-'), annotations ('') and function definitions inside the range are skipped.
+      const refValue = lineResults[line - 1];
+      if ((line - 1 < currentLine && ['-', '', null].includes(refValue)) || isUserFunction(refValue)) continue;
+      values.push(lineValue(line, lineResults, currentLine));
     }
-    const refValue = lineResults[lineIndex];
-    // Check if the referenced line resulted in an error.
-    if (refValue === 'e') {
-      throw new Error(`Cannot reference an error: #${ast.line}`);
+    return values;
+  }
+
+  // Handle list literals (e.g., [1, 2, 3]).
+  if (ast.type === 'list') {
+    return ast.items.map(item => evaluate(item, scope, lineResults, currentLine));
+  }
+
+  // Handle unary operations (e.g., -5, -(a + b)).
+  if (ast.type === 'unary') {
+    const operand = evaluate(ast.operand, scope, lineResults, currentLine);
+    if (ast.operator === 'not') {
+      return !toBoolean(operand);
+    }
+    if (isBoolean(operand)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Cannot apply ${ast.operator} to ${operand}`);
+    }
+    if (Array.isArray(operand)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Cannot apply ${ast.operator} to a list`);
+    }
+    if (isDate(operand)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Cannot apply ${ast.operator} to a date`);
+    }
+    switch (ast.operator) {
+      // A negated percentage stays a percentage, so `x + -5%` is a discount.
+      case '-': return isPercent(operand) ? withDisplayFormat(operand.negated(), 'percent') : negate(operand);
+      case '+': return operand;
+      default:
+        throw new CalculationError(ErrorCodes.EVALUATION_ERROR, `Unknown operator: ${ast.operator}`);
     }
-    // Convert the referenced result (which might be a string) to a Decimal for precise arithmetic.
-    return new Decimal(refValue);
   }
 
   // Handle binary operations (e.g., addition, subtraction).
@@ -60,21 +634,80 @@ function evaluate(ast, scope, lineResults, currentLine) {
     // Recursively evaluate the left and right operands of the binary expression.
     const left = evaluate(ast.left, scope, lineResults, currentLine);
     const right = evaluate(ast.right, scope, lineResults, currentLine);
-    // Perform the operation based on the operator type using Decimal arithmetic.
+    if (Array.isArray(left) || Array.isArray(right)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Cannot apply ${ast.operator} to a list; use e.g. sum() or avg() to combine its values`);
+    }
+    if (isBoolean(left) || isBoolean(right)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Cannot apply ${ast.operator} to ${isBoolean(left) ? left : right}`);
+    }
+    // Dates only combine with durations and other dates (see dates.js).
+    if (isDate(left) || isDate(right)) {
+      return dateArithmetic(ast.operator, left, right);
+    }
+    // Adding or subtracting percentages is contextual: a percentage on the right of a plain
+    // number is relative to that number, while two percentages combine as percentages.
+    if ((ast.operator === '+' || ast.operator === '-') && isPercent(right)) {
+      if (isPercent(left)) {
+        const sum = ast.operator === '+' ? left.plus(right) : left.minus(right);
+        return withDisplayFormat(sum, 'percent');
+      }
+      const factor = ast.operator === '+' ? right.plus(1) : new Decimal(1).minus(right);
+      return multiply(left, factor);
+    }
+    // Perform the operation based on the operator type using unit-aware Decimal arithmetic.
     switch (ast.operator) {
-      case '+': return left.plus(right);
-      case '-': return left.minus(right);
-      case '*': return left.times(right);
+      case '+': return add(left, right);
+      case '-': return subtract(left, right);
+      case '*': return multiply(left, right);
       case '/':
         // Handle division by zero: return NaN (Not a Number).
         // The updateResults function in domUtils.js will typically display this as '0' or handle it.
-        return right.isZero() ? new Decimal(NaN) : left.dividedBy(right);
+        return divide(left, right);
+      case '%':
+        // Modulo follows the sign of the dividend (like JavaScript's %); modulo by zero is NaN.
+        return modulo(left, right);
+      case '^': return power(left, right);
       default:
         // If the operator is unknown, it's an error.
-        throw new Error(`Unknown operator: ${ast.operator}`);
+        throw new CalculationError(ErrorCodes.EVALUATION_ERROR, `Unknown operator: ${ast.operator}`);
     }
   }
 
+  // Handle comparisons (e.g., price >= 100), which evaluate to true or false.
+  if (ast.type === 'comparison') {
+    const left = evaluate(ast.left, scope, lineResults, currentLine);
+    const right = evaluate(ast.right, scope, lineResults, currentLine);
+    return compare(ast.operator, left, right);
+  }
+
+  // Handle `and` / `or`. The right operand is only evaluated when it decides the result.
+  if (ast.type === 'logical') {
+    const left = toBoolean(evaluate(ast.left, scope, lineResults, currentLine));
+    if (ast.operator === 'and' ? !left : left) return left;
+    return toBoolean(evaluate(ast.right, scope, lineResults, currentLine));
+  }
+
+  // Handle conditionals (e.g., qty > 100 ? 0.9 : 1 or if(qty > 100, 0.9, 1)); only the chosen branch is evaluated.
+  if (ast.type === 'conditional') {
+    const condition = toBoolean(evaluate(ast.condition, scope, lineResults, currentLine));
+    return evaluate(condition ? ast.then : ast.otherwise, scope, lineResults, currentLine);
+  }
+
+  // Handle labelled lines (e.g., subtotal: 40 + 60). The label names the line for `#subtotal`
+  // references, and like a variable it holds the line's value.
+  if (ast.type === 'label') {
+    if (!Object.hasOwn(scope, LINE_LABELS)) scope[LINE_LABELS] = {};
+    const labels = scope[LINE_LABELS];
+    if (Object.hasOwn(labels, ast.name) && labels[ast.name] !== currentLine + 1) {
+      throw new CalculationError(ErrorCodes.DUPLICATE_LABEL, `Label ${ast.name} is already used on line ${labels[ast.name]}`);
+    }
+    // The label is registered first, so references to a failing line report its error.
+    labels[ast.name] = currentLine + 1;
+    const value = evaluate(ast.statement, scope, lineResults, currentLine);
+    scope[ast.name] = value;
+    return value;
+  }
+
   // Handle assignment operations (e.g., x = 10).
   if (ast.type === 'assignment') {
     // Recursively evaluate the expression on the right-hand side of the assignment.
@@ -86,9 +719,98 @@ function evaluate(ast, scope, lineResults, currentLine) {
     return value; // The result of an assignment expression is the assigned value itself.
   }
 
+  // Handle percentages (e.g., 20%), which evaluate to a tagged fraction.
+  if (ast.type === 'percent') {
+    const value = evaluate(ast.expression, scope, lineResults, currentLine);
+    if (isBoolean(value)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Cannot take a percentage of ${value}`);
+    }
+    if (Array.isArray(value)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, 'Cannot take a percentage of a list');
+    }
+    if (isDate(value)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, 'Cannot take a percentage of a date');
+    }
+    // A percentage is a plain fraction; `15% of $80` puts the unit on the base instead.
+    if (isQuantity(value)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Percentages apply to plain numbers, not ${value.label}`);
+    }
+    return withDisplayFormat(value.dividedBy(100), 'percent');
+  }
+
+  // Handle percentage phrases (e.g., 15% of 80, 15% off 80).
+  if (ast.type === 'percentOf') {
+    const fraction = evaluate(ast.percent, scope, lineResults, currentLine);
+    const base = evaluate(ast.base, scope, lineResults, currentLine);
+    return ast.operator === 'off' ? multiply(base, new Decimal(1).minus(fraction)) : multiply(base, fraction);
+  }
+
+  // Handle "as a percentage of" (e.g., 30 as % of 120 is 25%).
+  if (ast.type === 'percentOfTotal') {
+    const value = evaluate(ast.expression, scope, lineResults, currentLine);
+    const base = evaluate(ast.base, scope, lineResults, currentLine);
+    const ratio = divide(value, base);
+    if (isQuantity(ratio)) {
+      throw new CalculationError(ErrorCodes.UNIT_MISMATCH, `Cannot express ${value} as a percentage of ${base}`);
+    }
+    return withDisplayFormat(ratio, 'percent');
+  }
+
+  // Handle numbers with units (e.g., 5 km, 9.81 m/s^2).
+  if (ast.type === 'quantity') {
+    const value = evaluate(ast.expression, scope, lineResults, currentLine);
+    if (isDate(value)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, 'A date cannot have a unit');
+    }
+    if (isQuantity(value)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `${value} already has a unit; use 'to' to convert it`);
+    }
+    return createQuantity(value, resolveUnit(ast.unit));
+  }
+
+  // Handle unit conversions (e.g., 60 mph to km/h, 5 km in m).
+  if (ast.type === 'convert') {
+    const value = evaluate(ast.expression, scope, lineResults, currentLine);
+    if (isDate(value)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, 'Cannot convert a date; subtract another date to get a duration');
+    }
+    return convertTo(value, resolveUnit(ast.unit));
+  }
+
+  // Handle display-format suffixes (e.g., 255 as hex).
+  if (ast.type === 'format') {
+    const value = evaluate(ast.expression, scope, lineResults, currentLine);
+    if (isDate(value)) {
+      return withDateFormat(value, ast.format);
+    }
+    // Durations can be broken down into days, hours, minutes and seconds.
+    if (ast.format === 'duration') {
+      if (!isDuration(value)) {
+        throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Only durations can be shown as a duration, not ${isQuantity(value) ? value.label : 'a plain number'}`);
+      }
+      const copy = createQuantity(value.value, value.unit);
+      valueFormats.set(copy, 'duration');
+      return copy;
+    }
+    if (isQuantity(value)) {
+      throw new CalculationError(ErrorCodes.TYPE_MISMATCH, `Display formats apply to plain numbers, not ${value.label}`);
+    }
+    return withDisplayFormat(value, ast.format);
+  }
+
+  // Handle function definitions (e.g., discount(price, pct) = price * (1 - pct)).
+  if (ast.type === 'functionDefinition') {
+    // The function closes over the document scope, so it sees variables defined before the call.
+    const fn = createUserFunction(ast.name, ast.params, ast.body, scope);
+    scope[ast.name] = fn;
+    return fn;
+  }
+
   // If the AST node type is unknown or not handled, it's an error.
-  throw new Error('Unknown AST node type');
+  throw new CalculationError(ErrorCodes.EVALUATION_ERROR, 'Unknown AST node type');
 }
 
-// Export the evaluate function for use by other modules (specifically domUtils.js).
-export { evaluate };
+// Export the evaluate function for use by other modules (specifically domUtils.js), along with
+// the time limit wrapper, the built-in function and constant registries and the scope keys for other
+// documents and line labels.
+export { evaluate, withTimeLimit, functions, constants, isUserFunction, formatResult, DOCUMENTS, LINE_LABELS };
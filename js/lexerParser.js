@@ -10,11 +10,13 @@
 // 2. Lexer Function (`lexer`):
 //    - Purpose: To take a raw input string (a line from the editor) and break it
 //      down into a sequence of tokens. Each token is an object with a `type`
-//      (from `TokenTypes`) and a `value`.
+//      (from `TokenTypes`), a `value`, and the `start`/`end` offsets of its text in the line,
+//      so that tools such as reference renumbering can rewrite a token in place.
 //    - How it works: It iterates through the input string character by character,
 //      identifying patterns that correspond to different token types (numbers,
-//      variables, operators, parentheses, line references like #1, assignment operator =).
-//      Whitespace is ignored.
+//      variables, operators, parentheses, line references like #1, ISO dates, assignment operator =,
+//      quoted document names and references to another document's variables like @"Rates".vat).
+//      Whitespace is ignored, and `//` starts a comment that runs to the end of the line.
 //
 // 3. Parser Class (`Parser`):
 //    - Purpose: To take the sequence of tokens generated by the lexer and construct
@@ -22,27 +24,85 @@
 //      that represents the syntactic structure of the input expression or assignment.
 //    - How it works: It uses a recursive descent parsing strategy. It has methods
 //      to parse different parts of the grammar (assignments, expressions, terms, factors).
-//      - `parse()`: The main entry point, determines if the input is an assignment or an expression.
-//      - `parseAssignment()`: Parses `variable = expression`.
-//      - `parseExpression()`: Parses additions and subtractions (lower precedence).
-//      - `parseTerm()`: Parses multiplications and divisions (higher precedence).
-//      - `parseFactor()`: Parses numbers, variables, line references, or parenthesized expressions.
-//    - The parser consumes tokens one by one and builds up the AST nodes. If it encounters
-//      an unexpected token or structure, it throws an error.
+//      - `parse()`: The main entry point, determines if the input is an assignment, an expression
+//        or an `import "Rates"` statement, optionally preceded by a line label (e.g., `subtotal: 40 + 60`).
+//      - `parseConditional()`: Parses `condition ? a : b` (and `if(condition, a, b)` is parsed the same way).
+//      - `parseOr()`, `parseAnd()`, `parseNot()`: Parse the logical operators `or`, `and` and `not`.
+//      - `parseComparison()`: Parses comparisons (`<`, `<=`, `>`, `>=`, `==`, `!=`).
+//      - `parseConversion()`: Parses an expression with optional suffixes: `as <format>` (e.g., `x as hex`),
+//        `as % of <expression>` (e.g., `30 as % of 120`) and `to`/`in <unit>` (e.g., `60 mph to km/h`).
+//      - `parseUnit()`: Parses a unit such as `km`, `m/s^2` or `°C` after a number or in a conversion.
+//        Durations can be written in parts, e.g. `2h 30m` or `1 week 2 days`.
+//      - `parseAssignment()`: Parses `variable = expression` and function definitions
+//        such as `discount(price, pct) = price * (1 - pct)`.
+//      - `parseExpression()`: Parses additions and subtractions (lowest precedence).
+//      - `parseTerm()`: Parses multiplication, division and modulo (`%` or `mod`).
+//      - `parseUnary()`: Parses prefix plus/minus (e.g., -5, -(a+b), x * -2).
+//      - `parsePower()`: Parses exponentiation (`^` or `**`), which is right-associative.
+//      - `parsePostfix()`: Parses the percent postfix (`20%`) and the `15% of 80` / `15% off 80` phrases.
+//      - `parseFactor()`: Parses numbers, dates (`2026-10-19`), variables, function calls, line references,
+//        line ranges (`#3..#8`), document references (`@"Rates".vat`), lists, or parenthesized expressions.
+//      - `parseArguments()`: Parses the comma-separated argument list of a function call.
+//      - `parseList()`: Parses the comma-separated items of a list literal such as `[1, 2, 3]`.
+//    - The parser consumes tokens one by one and builds up the AST nodes. Every node records the
+//      `start`/`end` offsets of the text it was parsed from. If it encounters an unexpected token
+//      or structure, it throws a `CalculationError` (js/errors.js) with the span of that token.
 //
-// The `TokenTypes`, `lexer` function, and `Parser` class are exported for use by other
+// The parser consults the units registry (js/units.js) to recognise unit names after numbers.
+//
+// The `TokenTypes`, `Keywords`, `lexer` function, and `Parser` class are exported for use by other
 // modules (primarily `domUtils.js`, which orchestrates the processing of editor input).
 
+import { isUnitName, isTimeUnit } from './units.js';
+import { ErrorCodes, CalculationError } from './errors.js';
+
 // **Token Types Definition**
 // An enumeration of the different types of tokens that the lexer can identify.
 const TokenTypes = {
-  NUMBER: 'NUMBER',       // e.g., 3.14, 42
+  NUMBER: 'NUMBER',       // e.g., 3.14, 42, 1e6, 0xFF, 0b1010 (value is the literal text)
   VARIABLE: 'VARIABLE',   // e.g., x, myVar
-  OPERATOR: 'OPERATOR',   // e.g., +, -, *, /
+  OPERATOR: 'OPERATOR',   // e.g., +, -, *, /, ^, **, %, mod, <, <=, >, >=, ==, !=, and, or, not
   ASSIGN: 'ASSIGN',       // e.g., =
   LPAREN: 'LPAREN',       // e.g., (
   RPAREN: 'RPAREN',       // e.g., )
-  LINEREF: 'LINEREF'      // e.g., #1, #23 (references to line results)
+  COMMA: 'COMMA',         // e.g., , (separates function call arguments and list items)
+  LBRACKET: 'LBRACKET',   // e.g., [ (starts a list such as [1, 2, 3])
+  RBRACKET: 'RBRACKET',   // e.g., ]
+  RANGE: 'RANGE',         // e.g., .. (in line ranges such as #3..#8)
+  QUESTION: 'QUESTION',   // e.g., ? (in conditionals such as cond ? a : b)
+  COLON: 'COLON',         // e.g., :
+  CURRENCY: 'CURRENCY',   // e.g., $, €, £ (value is the currency code, e.g. 'USD')
+  DATE: 'DATE',           // e.g., 2026-10-19, 2026-10-19T14:30 (value is the literal text)
+  LINEREF: 'LINEREF',     // e.g., #1, #23, #-1 (relative) or #subtotal (label) (references to line results)
+  STRING: 'STRING',       // e.g., "Rates" (a document name, as in import "Rates"; value is the text without quotes)
+  DOCREF: 'DOCREF'        // e.g., @"Rates".vat (value is { document: 'Rates', name: 'vat' })
+};
+
+// **Keywords**
+// Words with a meaning of their own. The engine and the editor tools (highlighting, search,
+// completion, renaming) all read this list so that they agree on what is a keyword.
+//   - BLOCK: the numbers of the block above (`total`, `subtotal`) or the block itself (`above`)
+//   - PREVIOUS: the result of the line above
+//   - OPERATORS: lexed as OPERATOR tokens rather than names
+//   - SYNTAX: conversions (`5 km in m`), percentages (`20% off 50`), imports and `if(...)`
+// BLOCK and PREVIOUS keywords read a variable instead once one of the same name is defined.
+const Keywords = {
+  BLOCK: ['total', 'subtotal', 'above'],
+  PREVIOUS: ['prev', 'ans'],
+  OPERATORS: ['mod', 'and', 'or', 'not'],
+  SYNTAX: ['in', 'to', 'as', 'of', 'off', 'import', 'if']
+};
+Keywords.ALL = Object.values(Keywords).flat();
+Object.freeze(Keywords);
+
+// **Currency Symbols**
+// Symbols that the lexer turns into CURRENCY tokens, mapped to their ISO currency codes.
+const currencySymbols = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR'
 };
 
 // **Lexer Function**
@@ -54,8 +114,23 @@ function lexer(input) {
   let i = 0; // Current position in the input string.
   let loopCount = 0; // Protection against infinite loops
   const maxLoops = input.length * 10; // Reasonable upper bound
+  let tokenStart = 0; // Where the token being read in this iteration starts.
+  let spanned = 0; // Number of tokens that already have their span recorded.
+
+  // Records the `start`/`end` span of the tokens pushed since the last call, which all end at `i`.
+  const closeSpans = () => {
+    for (; spanned < tokens.length; spanned++) {
+      tokens[spanned].start = tokenStart;
+      tokens[spanned].end = i;
+    }
+    tokenStart = i;
+  };
+  // Builds a lexical error pointing at input[start..end).
+  const errorAt = (code, message, start, end = start + 1) =>
+    new CalculationError(code, message, { span: { start, end: Math.min(end, input.length) } });
 
   while (i < input.length) {
+    closeSpans();
     loopCount++;
     if (loopCount > maxLoops) {
       throw new Error('Lexer infinite loop detected');
@@ -68,52 +143,160 @@ function lexer(input) {
       continue;
     }
 
-    // Tokenize Line References (e.g., #12)
+    // Skip comments: everything after `//` is ignored (e.g., "rent = 1200 // monthly").
+    if (char === '/' && input[i + 1] === '/') {
+      break;
+    }
+
+    // Tokenize Line References: absolute (#12), relative to the current line (#-1 is the line
+    // above) or by label (#subtotal). Relative references have a negative value; labels a string.
     if (char === '#') {
-      i++; // Consume the '#'
-      let num = '';
-      while (i < input.length && /[0-9]/.test(input[i])) {
+      const reference = /^#(-?[0-9]+|[a-zA-Z][a-zA-Z0-9]*)/.exec(input.slice(i));
+      if (!reference) {
+        throw errorAt(ErrorCodes.INVALID_LINE_REFERENCE, 'Invalid line reference: missing line number or label after #', i);
+      }
+      const target = reference[1];
+      if (target === '-0' || target === '0') {
+        throw errorAt(ErrorCodes.INVALID_LINE_REFERENCE, `Invalid line reference: #${target}`, i, i + reference[0].length);
+      }
+      tokens.push({ type: TokenTypes.LINEREF, value: /^-?[0-9]/.test(target) ? parseInt(target, 10) : target });
+      i += reference[0].length;
+      continue;
+    }
+
+    // Tokenize references to a variable of another document (tab or saved file), e.g. @"Rates".vat.
+    if (char === '@') {
+      const reference = /^@"([^"]*)"\.([a-zA-Z][a-zA-Z0-9]*)/.exec(input.slice(i));
+      if (!reference) {
+        throw errorAt(ErrorCodes.INVALID_REFERENCE, 'Invalid document reference: expected @"Document".variable', i);
+      }
+      if (!reference[1].trim()) {
+        throw errorAt(ErrorCodes.INVALID_REFERENCE, 'Invalid document reference: missing document name', i,
+          i + reference[0].length);
+      }
+      tokens.push({ type: TokenTypes.DOCREF, value: { document: reference[1], name: reference[2] } });
+      i += reference[0].length;
+      continue;
+    }
+
+    // Tokenize quoted strings (document names, e.g. import "Rates").
+    if (char === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        throw errorAt(ErrorCodes.UNTERMINATED_STRING, 'Unterminated string: missing closing "', i, input.length);
+      }
+      tokens.push({ type: TokenTypes.STRING, value: input.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    // Tokenize Hexadecimal, Binary and Octal literals (e.g., 0xFF, 0b1010, 0o17)
+    // The token keeps the literal text, which Decimal parses exactly.
+    if (char === '0' && /[xXbBoO]/.test(input[i + 1] || '')) {
+      const prefix = input[i + 1].toLowerCase();
+      const digitPattern = { x: /[0-9a-fA-F]/, b: /[01]/, o: /[0-7]/ }[prefix];
+      let num = '0' + prefix;
+      i += 2; // Consume the prefix.
+      while (i < input.length && digitPattern.test(input[i])) {
         num += input[i];
         i++;
       }
-      if (num === '') throw new Error('Invalid line reference: missing line number after #');
-      tokens.push({ type: TokenTypes.LINEREF, value: parseInt(num) });
+      if (num.length === 2) {
+        throw errorAt(ErrorCodes.INVALID_NUMBER, `Invalid number: missing digits after ${num}`, tokenStart, i);
+      }
+      if (/[0-9a-zA-Z]/.test(input[i] || '')) {
+        throw errorAt(ErrorCodes.INVALID_NUMBER, `Invalid digit '${input[i]}' in ${num}`, i);
+      }
+      tokens.push({ type: TokenTypes.NUMBER, value: num });
+      continue;
+    }
+
+    // Tokenize ISO date literals (e.g., 2026-10-19 or 2026-10-19T14:30) before numbers, so
+    // they are not read as subtractions. The evaluator validates the calendar fields.
+    const date = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2})?)?(?![0-9a-zA-Z.])/.exec(input.slice(i));
+    if (date) {
+      tokens.push({ type: TokenTypes.DATE, value: date[0] });
+      i += date[0].length;
+      continue;
+    }
+
+    // Tokenize the range operator (..) of line ranges such as #3..#8.
+    if (char === '.' && input[i + 1] === '.') {
+      tokens.push({ type: TokenTypes.RANGE, value: '..' });
+      i += 2;
       continue;
     }
 
-    // Tokenize Numbers (integers and decimals)
+    // Tokenize Numbers (integers, decimals and scientific notation such as 1e6 or 2.5e-3)
+    // The token keeps the literal text so the evaluator can convert it to a Decimal without
+    // going through a floating-point number first.
     if (/[0-9]/.test(char) || char === '.') {
       let num = '';
       let hasDecimal = false;
-      while (i < input.length && (/[0-9]/.test(input[i]) || (input[i] === '.' && !hasDecimal))) {
+      while (i < input.length && (/[0-9]/.test(input[i]) || (input[i] === '.' && !hasDecimal && input[i + 1] !== '.'))) {
         if (input[i] === '.') hasDecimal = true;
         num += input[i];
         i++;
       }
       // Ensure that a standalone "." is not tokenized as a number, or handle it as an error.
-      if (num === '.') throw new Error('Invalid number: standalone decimal point.');
-      tokens.push({ type: TokenTypes.NUMBER, value: parseFloat(num) });
+      if (num === '.') throw errorAt(ErrorCodes.INVALID_NUMBER, 'Invalid number: standalone decimal point.', tokenStart);
+      // An exponent is only consumed when digits follow it, so `2e` is not swallowed.
+      const exponent = /^[eE][+-]?[0-9]+/.exec(input.slice(i));
+      if (exponent) {
+        num += exponent[0];
+        i += exponent[0].length;
+      }
+      tokens.push({ type: TokenTypes.NUMBER, value: num });
       continue;
     }
 
     // Tokenize Variables (alphanumeric, starting with a letter)
-    if (/[a-zA-Z]/.test(char)) {
-      let varName = '';
+    // A leading '°' allows temperature units such as °C and °F.
+    if (/[a-zA-Z°]/.test(char)) {
+      let varName = char;
+      i++;
       while (i < input.length && /[a-zA-Z0-9]/.test(input[i])) {
         varName += input[i];
         i++;
       }
+      // The `mod`, `and`, `or` and `not` keywords are operators, not variables.
+      if (Keywords.OPERATORS.includes(varName)) {
+        tokens.push({ type: TokenTypes.OPERATOR, value: varName });
+        continue;
+      }
       tokens.push({ type: TokenTypes.VARIABLE, value: varName });
       continue;
     }
 
-    // Tokenize Operators (+, -, *, /)
-    if (['+', '-', '*', '/'].includes(char)) {
+    // Tokenize the two-character power operator (**) before the single '*'.
+    if (char === '*' && input[i + 1] === '*') {
+      tokens.push({ type: TokenTypes.OPERATOR, value: '**' });
+      i += 2;
+      continue;
+    }
+
+    // Tokenize Operators (+, -, *, /, ^, %)
+    if (['+', '-', '*', '/', '^', '%'].includes(char)) {
       tokens.push({ type: TokenTypes.OPERATOR, value: char });
       i++;
       continue;
     }
 
+    // Tokenize Comparison Operators (<, <=, >, >=, ==, !=) before the assignment operator.
+    const comparison = /^(<=|>=|==|!=|<|>)/.exec(input.slice(i));
+    if (comparison) {
+      tokens.push({ type: TokenTypes.OPERATOR, value: comparison[0] });
+      i += comparison[0].length;
+      continue;
+    }
+
+    // Tokenize the Conditional Operator (? and :)
+    if (char === '?' || char === ':') {
+      tokens.push({ type: char === '?' ? TokenTypes.QUESTION : TokenTypes.COLON, value: char });
+      i++;
+      continue;
+    }
+
     // Tokenize Assignment Operator (=)
     if (char === '=') {
       tokens.push({ type: TokenTypes.ASSIGN, value: char });
@@ -135,10 +318,32 @@ function lexer(input) {
       continue;
     }
 
+    // Tokenize Currency Symbols (e.g., $120, 45€)
+    if (Object.hasOwn(currencySymbols, char)) {
+      tokens.push({ type: TokenTypes.CURRENCY, value: currencySymbols[char] });
+      i++;
+      continue;
+    }
+
+    // Tokenize List Brackets ([ and ])
+    if (char === '[' || char === ']') {
+      tokens.push({ type: char === '[' ? TokenTypes.LBRACKET : TokenTypes.RBRACKET, value: char });
+      i++;
+      continue;
+    }
+
+    // Tokenize Comma (,)
+    if (char === ',') {
+      tokens.push({ type: TokenTypes.COMMA, value: char });
+      i++;
+      continue;
+    }
+
     // If the character is not recognized, it's a lexical error.
-    throw new Error(`Unexpected character: ${char}`);
+    throw errorAt(ErrorCodes.UNEXPECTED_CHARACTER, `Unexpected character: ${char}`, i);
     // i++; // Original code had i++ here, which would skip the error char. Better to throw.
   }
+  closeSpans();
   return tokens;
 }
 
@@ -157,10 +362,47 @@ class Parser {
   // Helper method: Checks if there are more tokens to parse.
   hasNext() { return this.index < this.tokens.length; }
 
-  // Main parsing method. Determines if the token stream represents an assignment or an expression.
+  // Returns the `start`/`end` span from the token at index `first` to the last token consumed.
+  #spanFrom(first) {
+    return { start: this.tokens[first]?.start, end: this.tokens[this.index - 1]?.end };
+  }
+
+  // Records the text a node was parsed from (see #spanFrom) on the node and returns it.
+  #span(first, node) {
+    return Object.assign(node, this.#spanFrom(first));
+  }
+
+  // Builds a syntax error pointing at a token, or at the end of the line when there is none.
+  #errorAt(token, code, message) {
+    const end = this.tokens[this.tokens.length - 1]?.end ?? 0;
+    const span = token ? { start: token.start, end: token.end } : { start: end, end };
+    return new CalculationError(token ? code : ErrorCodes.UNEXPECTED_END, message, { span });
+  }
+
+  // Main parsing method. Determines if the token stream represents a labelled line, an assignment or an expression.
   // This implements a simple form of predictive parsing based on the first few tokens.
   parse() {
     if (!this.peek()) return null; // Handle empty input or no tokens.
+    const first = this.index;
+
+    // Check for a line label: VARIABLE COLON ... (e.g., `subtotal: 40 + 60`)
+    if (this.peek().type === TokenTypes.VARIABLE && this.tokens[this.index + 1]?.type === TokenTypes.COLON) {
+      const name = this.consume().value;
+      this.consume(); // Consume ':'.
+      if (!this.peek()) throw this.#errorAt(null, ErrorCodes.UNEXPECTED_END, `Expected an expression after the label ${name}:`);
+      return this.#span(first, { type: 'label', name, statement: this.parse() });
+    }
+
+    // Check for an import of another document's variables: import "Rates"
+    if (this.peek().type === TokenTypes.VARIABLE && this.peek().value === 'import' &&
+        this.tokens[this.index + 1]?.type === TokenTypes.STRING) {
+      this.consume(); // Consume 'import'.
+      const name = this.consume();
+      if (!name.value.trim()) {
+        throw this.#errorAt(name, ErrorCodes.INVALID_REFERENCE, 'import expects a document name, e.g. import "Rates"');
+      }
+      return this.#span(first, { type: 'import', document: name.value });
+    }
 
     // Check for assignment: VARIABLE ASSIGN ...
     // Look ahead one token to see if an ASSIGN token follows a VARIABLE token.
@@ -169,24 +411,193 @@ class Parser {
         this.tokens[this.index + 1].type === TokenTypes.ASSIGN) {
       return this.parseAssignment();
     }
+    // Check for a function definition: VARIABLE LPAREN ... RPAREN ASSIGN ...
+    if (this.peek().type === TokenTypes.VARIABLE && this.#isFunctionDefinition()) {
+      return this.parseAssignment();
+    }
     // Otherwise, assume it's an expression.
-    return this.parseExpression();
+    return this.parseConditional();
+  }
+
+  // Parses a conditional expression (lowest precedence), which is right-associative.
+  // Grammar: conditional -> or ( '?' conditional ':' conditional )?
+  // e.g. `qty > 100 ? 0.9 : 1`
+  parseConditional() {
+    const first = this.index;
+    const condition = this.parseOr();
+    if (!this.peek() || this.peek().type !== TokenTypes.QUESTION) return condition;
+    this.consume(); // Consume '?'.
+    const then = this.parseConditional();
+    const colon = this.consume();
+    if (!colon || colon.type !== TokenTypes.COLON) {
+      throw this.#errorAt(colon, ErrorCodes.UNEXPECTED_TOKEN, "Expected ':' in conditional expression (condition ? a : b)");
+    }
+    const otherwise = this.parseConditional();
+    return this.#span(first, { type: 'conditional', condition, then, otherwise });
+  }
+
+  // Parses logical `or` (lower precedence than `and`).
+  // Grammar: or -> and ( 'or' and )*
+  parseOr() {
+    const first = this.index;
+    let left = this.parseAnd();
+    while (this.#isOperator(this.peek(), ['or'])) {
+      const op = this.consume().value;
+      left = this.#span(first, { type: 'logical', operator: op, left, right: this.parseAnd() });
+    }
+    return left;
+  }
+
+  // Parses logical `and`.
+  // Grammar: and -> not ( 'and' not )*
+  parseAnd() {
+    const first = this.index;
+    let left = this.parseNot();
+    while (this.#isOperator(this.peek(), ['and'])) {
+      const op = this.consume().value;
+      left = this.#span(first, { type: 'logical', operator: op, left, right: this.parseNot() });
+    }
+    return left;
+  }
+
+  // Parses logical negation (e.g., not x > 5).
+  // Grammar: not -> 'not' not | comparison
+  parseNot() {
+    if (this.#isOperator(this.peek(), ['not'])) {
+      const first = this.index;
+      this.consume(); // Consume 'not'.
+      return this.#span(first, { type: 'unary', operator: 'not', operand: this.parseNot() });
+    }
+    return this.parseComparison();
+  }
+
+  // Parses comparisons (e.g., price >= 100, a != b).
+  // Grammar: comparison -> conversion ( ( '<' | '<=' | '>' | '>=' | '==' | '!=' ) conversion )*
+  parseComparison() {
+    const first = this.index;
+    let left = this.parseConversion();
+    while (this.#isOperator(this.peek(), ['<', '<=', '>', '>=', '==', '!='])) {
+      const op = this.consume().value;
+      left = this.#span(first, { type: 'comparison', operator: op, left, right: this.parseConversion() });
+    }
+    return left;
   }
 
-  // Parses an assignment statement (e.g., "variable = expression").
-  // Expected structure: VARIABLE ASSIGN expression
+  // Checks whether a token is one of the given operators.
+  #isOperator(token, operators) {
+    return Boolean(token) && token.type === TokenTypes.OPERATOR && operators.includes(token.value);
+  }
+
+  // Parses an expression followed by optional display-format and unit-conversion suffixes.
+  // Grammar: conversion -> expression ( 'as' VARIABLE | 'as' '%' ( 'of' expression )? | ( 'to' | 'in' ) unit )*
+  // e.g. `255 as hex`, `total as sci` or `60 mph to km/h`. Format and unit names are validated
+  // by the evaluator.
+  parseConversion() {
+    const first = this.index;
+    let expression = this.parseExpression();
+    let token = this.peek();
+    while (this.#isKeyword(token, 'to') || this.#isKeyword(token, 'in')) {
+      this.consume(); // Consume 'to' or 'in'.
+      if (!this.peek() || ![TokenTypes.VARIABLE, TokenTypes.CURRENCY].includes(this.peek().type)) {
+        throw this.#errorAt(this.peek(), ErrorCodes.UNEXPECTED_TOKEN, `Expected a unit after '${token.value}' (e.g., km, mph, °C, EUR)`);
+      }
+      expression = this.#span(first, { type: 'convert', expression, unit: this.parseUnit() });
+      token = this.peek();
+    }
+    if (token && token.type === TokenTypes.VARIABLE && token.value === 'as') {
+      this.consume(); // Consume 'as'.
+      // `as %` shows the value as a percentage; `as % of y` expresses it as a percentage of y.
+      if (this.peek() && this.peek().type === TokenTypes.OPERATOR && this.peek().value === '%') {
+        this.consume(); // Consume '%'.
+        if (this.#isKeyword(this.peek(), 'of')) {
+          this.consume(); // Consume 'of'.
+          const base = this.parseExpression();
+          return this.#span(first, { type: 'percentOfTotal', expression, base });
+        }
+        return this.#span(first, { type: 'format', format: 'percent', expression });
+      }
+      const format = this.consume();
+      if (!format || format.type !== TokenTypes.VARIABLE) {
+        throw this.#errorAt(format, ErrorCodes.UNEXPECTED_TOKEN, "Expected a format name after 'as' (e.g., hex, bin, oct, sci)");
+      }
+      return this.#span(first, { type: 'format', format: format.value, expression });
+    }
+    return expression;
+  }
+
+  // Looks ahead from a VARIABLE token to decide whether the line is a function definition,
+  // i.e. whether the parenthesized group that follows the name is itself followed by '='.
+  // This distinguishes `f(x) = x * 2` from a call such as `f(2) * 3`.
+  #isFunctionDefinition() {
+    let i = this.index + 1;
+    if (!this.tokens[i] || this.tokens[i].type !== TokenTypes.LPAREN) return false;
+    let depth = 0;
+    for (; i < this.tokens.length; i++) {
+      const { type } = this.tokens[i];
+      if (type === TokenTypes.LPAREN) depth++;
+      if (type === TokenTypes.RPAREN && --depth === 0) {
+        return this.tokens[i + 1]?.type === TokenTypes.ASSIGN;
+      }
+    }
+    return false;
+  }
+
+  // Parses an assignment statement (e.g., "variable = expression") or a function definition
+  // (e.g., "name(param1, param2) = expression").
+  // Expected structure: VARIABLE ( LPAREN params RPAREN )? ASSIGN expression
   parseAssignment() {
+    const first = this.index;
     const variable = this.consume().value; // Consume VARIABLE token.
+
+    // A parameter list after the name makes this a function definition.
+    if (this.peek() && this.peek().type === TokenTypes.LPAREN) {
+      this.consume(); // Consume '('.
+      const params = this.parseParameters();
+      this.consume(); // Consume ASSIGN token ('=').
+      const body = this.parseConditional(); // Parse the function body.
+      return this.#span(first, { type: 'functionDefinition', name: variable, params, body });
+    }
+
     this.consume(); // Consume ASSIGN token ('=').
-    const expression = this.parseExpression(); // Parse the expression on the right-hand side.
+    const expression = this.parseConditional(); // Parse the expression on the right-hand side.
     // Return an AST node representing the assignment.
-    return { type: 'assignment', variable, expression };
+    return this.#span(first, { type: 'assignment', variable, expression });
+  }
+
+  // Parses the parameter names of a function definition, after the opening parenthesis.
+  // Grammar: params -> ( VARIABLE ( ',' VARIABLE )* )? RPAREN
+  // Returns an array of parameter names.
+  parseParameters() {
+    const params = [];
+    if (this.peek() && this.peek().type === TokenTypes.RPAREN) {
+      this.consume(); // Consume ')' of an empty parameter list.
+      return params;
+    }
+
+    while (true) {
+      const param = this.consume();
+      if (!param || param.type !== TokenTypes.VARIABLE) {
+        throw this.#errorAt(param, ErrorCodes.INVALID_PARAMETER,
+          `Invalid parameter: ${param ? param.value : 'end of input'}. Parameters must be names.`);
+      }
+      if (params.includes(param.value)) {
+        throw this.#errorAt(param, ErrorCodes.INVALID_PARAMETER, `Duplicate parameter: ${param.value}`);
+      }
+      params.push(param.value);
+
+      const token = this.consume();
+      if (token && token.type === TokenTypes.RPAREN) return params;
+      if (!token || token.type !== TokenTypes.COMMA) {
+        throw this.#errorAt(token, ErrorCodes.UNEXPECTED_TOKEN, "Expected ',' or ')' in parameter list");
+      }
+    }
   }
 
   // Parses an expression (handles addition and subtraction).
   // Grammar: expression -> term ( ( '+' | '-' ) term )*
   // This means an expression is a term, optionally followed by + or - and another term, repeated.
   parseExpression() {
+    const first = this.index;
     let left = this.parseTerm(); // Parse the first term (left-hand side of potential +/-).
 
     // While the next token is an addition or subtraction operator:
@@ -194,55 +605,328 @@ class Parser {
       const op = this.consume().value; // Consume the operator token.
       const right = this.parseTerm(); // Parse the term on the right-hand side.
       // Create a binary operation AST node and update `left` for left-associativity.
-      left = { type: 'binary', operator: op, left, right };
+      left = this.#span(first, { type: 'binary', operator: op, left, right });
     }
     return left; // Return the resulting AST (or single term if no operators).
   }
 
-  // Parses a term (handles multiplication and division).
-  // Grammar: term -> factor ( ( '*' | '/' ) factor )*
-  // This means a term is a factor, optionally followed by * or / and another factor, repeated.
+  // Parses a term (handles multiplication, division and modulo).
+  // Grammar: term -> unary ( ( '*' | '/' | '%' | 'mod' ) unary )*
+  // This means a term is a unary expression, optionally followed by *, /, % or mod and another one, repeated.
   parseTerm() {
-    let left = this.parseFactor(); // Parse the first factor.
+    const first = this.index;
+    let left = this.parseUnary(); // Parse the first operand.
 
-    // While the next token is a multiplication or division operator:
-    while (this.peek() && this.peek().type === TokenTypes.OPERATOR && ['*', '/'].includes(this.peek().value)) {
-      const op = this.consume().value; // Consume the operator token.
-      const right = this.parseFactor(); // Parse the factor on the right-hand side.
+    // While the next token is a multiplication, division or modulo operator:
+    while (this.peek() && this.peek().type === TokenTypes.OPERATOR && ['*', '/', '%', 'mod'].includes(this.peek().value)) {
+      let op = this.consume().value; // Consume the operator token.
+      if (op === 'mod') op = '%'; // `mod` is an alias for `%`.
+      const right = this.parseUnary(); // Parse the operand on the right-hand side.
       // Create a binary operation AST node and update `left`.
-      left = { type: 'binary', operator: op, left, right };
+      left = this.#span(first, { type: 'binary', operator: op, left, right });
     }
-    return left; // Return the resulting AST (or single factor if no operators).
+    return left; // Return the resulting AST (or single operand if no operators).
+  }
+
+  // Parses a unary expression (prefix plus or minus).
+  // Grammar: unary -> ( '+' | '-' ) unary | power
+  // Unary minus binds looser than `^`, so -2^2 is -(2^2) = -4, as in standard math notation.
+  parseUnary() {
+    const token = this.peek();
+    if (token && token.type === TokenTypes.OPERATOR && ['+', '-'].includes(token.value)) {
+      const first = this.index;
+      const op = this.consume().value; // Consume the sign.
+      const operand = this.parseUnary(); // Allow repeated signs, e.g. --5.
+      return this.#span(first, { type: 'unary', operator: op, operand });
+    }
+    return this.parsePower();
+  }
+
+  // Parses exponentiation.
+  // Grammar: power -> postfix ( ( '^' | '**' ) unary )?
+  // The right-hand side is parsed as a unary expression, which makes `^` right-associative
+  // (2^3^2 is 2^(3^2)) and allows negative exponents such as 2^-1.
+  parsePower() {
+    const first = this.index;
+    const base = this.parsePostfix();
+    const token = this.peek();
+    if (token && token.type === TokenTypes.OPERATOR && ['^', '**'].includes(token.value)) {
+      this.consume(); // Consume the power operator.
+      const exponent = this.parseUnary();
+      return this.#span(first, { type: 'binary', operator: '^', left: base, right: exponent });
+    }
+    return base;
+  }
+
+  // Parses the percent postfix operator and the percentage phrases built on it.
+  // Grammar: postfix -> factor ( '%' ( ( 'of' | 'off' ) unary )? )?
+  // A '%' directly followed by something that starts an operand (e.g. `7 % 3`, `10 % -3`) is left
+  // for `parseTerm` to treat as modulo; otherwise it marks a percentage (e.g. `200 + 10%`).
+  parsePostfix() {
+    const first = this.index;
+    const operand = this.parseFactor();
+    const token = this.peek();
+    if (!token || token.type !== TokenTypes.OPERATOR || token.value !== '%' ||
+        this.#startsOperand(this.index + 1)) {
+      return operand;
+    }
+
+    this.consume(); // Consume '%'.
+    const percent = this.#span(first, { type: 'percent', expression: operand });
+    const next = this.peek();
+    if (this.#isKeyword(next, 'of') || this.#isKeyword(next, 'off')) {
+      this.consume(); // Consume 'of' or 'off'.
+      const base = this.parseUnary();
+      return this.#span(first, { type: 'percentOf', operator: next.value, percent, base });
+    }
+    return percent;
+  }
+
+  // Checks whether the token at an index can begin an operand, which makes a preceding '%' the
+  // modulo operator. Keywords that continue a percentage phrase or conversion (`of`, `off`, `as`,
+  // `to`, `in`) do not count as operands. A sign counts when it is written as one: spaced from
+  // what comes before and attached to its operand, so `10 % -3` is modulo but `10% - 3` and
+  // `10%-3` subtract from a percentage.
+  #startsOperand(index) {
+    const token = this.tokens[index];
+    if (!token) return false;
+    if (token.type === TokenTypes.OPERATOR && ['-', '+'].includes(token.value)) {
+      const previous = this.tokens[index - 1];
+      const next = this.tokens[index + 1];
+      return Boolean(previous && next) && previous.end < token.start && next.start === token.end &&
+        this.#startsOperand(index + 1);
+    }
+    if (token.type === TokenTypes.VARIABLE) {
+      return !['of', 'off', 'as', 'to', 'in'].includes(token.value);
+    }
+    return [TokenTypes.NUMBER, TokenTypes.DATE, TokenTypes.LINEREF, TokenTypes.DOCREF, TokenTypes.LPAREN,
+      TokenTypes.LBRACKET].includes(token.type);
+  }
+
+  // Checks whether a token is the given keyword (keywords are lexed as VARIABLE tokens).
+  #isKeyword(token, keyword) {
+    return Boolean(token) && token.type === TokenTypes.VARIABLE && token.value === keyword;
   }
 
   // Parses a factor (the most basic elements of an expression).
-  // Grammar: factor -> NUMBER | VARIABLE | LINEREF | LPAREN expression RPAREN
+  // Grammar: factor -> NUMBER | DATE | VARIABLE | VARIABLE 'above' | VARIABLE LPAREN arguments RPAREN | LINEREF ( RANGE LINEREF )?
+  //                   | CURRENCY factor | LBRACKET list | LPAREN expression RPAREN
   parseFactor() {
+    const first = this.index;
     const token = this.consume(); // Consume the current token.
-    if (!token) throw new Error('Unexpected end of input: Expected a factor (number, variable, #ref, or parenthesized expression).');
+    if (!token) {
+      throw this.#errorAt(null, ErrorCodes.UNEXPECTED_END,
+        'Unexpected end of input: Expected a factor (number, variable, #ref, or parenthesized expression).');
+    }
 
     if (token.type === TokenTypes.NUMBER) {
-      return { type: 'number', value: token.value }; // AST node for a number.
+      const number = this.#span(first, { type: 'number', value: token.value }); // AST node for a number.
+      return this.#parseUnitSuffix(number, first);
     }
     if (token.type === TokenTypes.VARIABLE) {
-      return { type: 'variable', name: token.value }; // AST node for a variable.
+      // A name directly followed by '(' is a function call, e.g. sqrt(2) or max(a, b).
+      if (this.peek() && this.peek().type === TokenTypes.LPAREN) {
+        this.consume(); // Consume '('.
+        const args = this.parseArguments();
+        // `if(condition, a, b)` is a conditional rather than a call, so only the chosen branch is evaluated.
+        if (token.value === 'if') {
+          if (args.length !== 3) {
+            throw new CalculationError(ErrorCodes.ARGUMENT_COUNT,
+              `if() expects 3 arguments, got ${args.length} (usage: if(condition, then, else))`,
+              { span: this.#spanFrom(first) });
+          }
+          const [condition, then, otherwise] = args;
+          return this.#span(first, { type: 'conditional', condition, then, otherwise });
+        }
+        return this.#span(first, { type: 'call', name: token.value, args }); // AST node for a function call.
+      }
+      // `average above`, `max above`, ... apply a function to the block of lines above, i.e. avg(above).
+      if (this.#isKeyword(this.peek(), 'above') && token.value !== 'above') {
+        const above = this.consume(); // Consume 'above'.
+        const name = token.value === 'average' ? 'avg' : token.value;
+        const block = { type: 'variable', name: 'above', start: above.start, end: above.end };
+        return this.#span(first, { type: 'call', name, args: [block] });
+      }
+      return this.#span(first, { type: 'variable', name: token.value }); // AST node for a variable.
+    }
+    if (token.type === TokenTypes.DATE) {
+      return this.#span(first, { type: 'date', value: token.value }); // AST node for a date literal.
     }
     if (token.type === TokenTypes.LINEREF) {
-      return { type: 'lineref', line: token.value }; // AST node for a line reference.
+      // `#3..#8` is the range of lines 3 to 8, e.g. for sum(#3..#8).
+      if (this.peek() && this.peek().type === TokenTypes.RANGE) {
+        this.consume(); // Consume '..'.
+        const end = this.consume();
+        if (!end || end.type !== TokenTypes.LINEREF) {
+          throw this.#errorAt(end, ErrorCodes.UNEXPECTED_TOKEN, `Expected a line reference after #${token.value}..`);
+        }
+        // AST node for a line range.
+        return this.#span(first, { type: 'lineRange', from: this.#lineReference(token), to: this.#lineReference(end) });
+      }
+      return this.#lineReference(token); // AST node for a line reference.
+    }
+    if (token.type === TokenTypes.DOCREF) {
+      // AST node for a variable of another document, e.g. @"Rates".vat.
+      return this.#span(first, { type: 'documentReference', document: token.value.document, name: token.value.name });
+    }
+    if (token.type === TokenTypes.LBRACKET) {
+      return this.#span(first, { type: 'list', items: this.parseList() }); // AST node for a list literal.
+    }
+    if (token.type === TokenTypes.CURRENCY) {
+      // A currency symbol in front of a value gives it that currency, e.g. $120 or $(a + b).
+      const amount = this.parseFactor();
+      return this.#span(first, { type: 'quantity', expression: amount, unit: [{ name: token.value, power: 1 }] });
     }
     if (token.type === TokenTypes.LPAREN) {
       // If it's an opening parenthesis, parse the inner expression.
-      const expr = this.parseExpression();
+      const expr = this.parseConditional();
       // Expect a closing parenthesis.
-      if (!this.peek() || this.consume().type !== TokenTypes.RPAREN) {
-        throw new Error('Expected closing parenthesis )');
+      const closing = this.consume();
+      if (!closing || closing.type !== TokenTypes.RPAREN) {
+        throw this.#errorAt(closing, ErrorCodes.UNEXPECTED_TOKEN, 'Expected closing parenthesis )');
       }
-      return expr; // Return the AST of the parenthesized expression.
+      return this.#parseUnitSuffix(expr, first); // Return the AST of the parenthesized expression.
     }
     // If the token is not a recognized factor type, it's a syntax error.
-    throw new Error(`Unexpected token: ${token.value} (type: ${token.type}). Expected a number, variable, line reference, or '('.`);
+    throw this.#errorAt(token, ErrorCodes.UNEXPECTED_TOKEN,
+      `Unexpected token: ${token.value} (type: ${token.type}). Expected a number, variable, line reference, or '('.`);
+  }
+
+  // Builds the AST node for a LINEREF token: `{ line }` for #3, `{ offset }` for #-1 and `{ label }` for #subtotal.
+  #lineReference(token) {
+    const span = { start: token.start, end: token.end };
+    if (typeof token.value === 'string') return { type: 'lineref', label: token.value, ...span };
+    if (token.value < 0) return { type: 'lineref', offset: token.value, ...span };
+    return { type: 'lineref', line: token.value, ...span };
+  }
+
+  // Attaches a unit to a number or parenthesized expression when a unit name follows it,
+  // e.g. `5 km` or `(a + b) kg`. Returns the node unchanged otherwise. `first` is the index of
+  // the node's first token.
+  #parseUnitSuffix(node, first) {
+    if (!this.#startsUnit()) return node;
+    if (node.type === 'number' && this.#startsDuration()) {
+      return this.#span(first, this.#parseDuration(node));
+    }
+    return this.#span(first, { type: 'quantity', expression: node, unit: this.parseUnit() });
+  }
+
+  // Checks whether the tokens ahead continue a duration written in parts: a time unit (or `m`)
+  // followed by another number and time unit, e.g. the `h 30 m` of `2h 30m`.
+  #startsDuration() {
+    const [unit, number, nextUnit] = this.tokens.slice(this.index, this.index + 3);
+    return this.#isDurationUnit(unit) && number?.type === TokenTypes.NUMBER && this.#isDurationUnit(nextUnit);
+  }
+
+  #isDurationUnit(token) {
+    return Boolean(token) && token.type === TokenTypes.VARIABLE && (token.value === 'm' || isTimeUnit(token.value));
+  }
+
+  // Parses a duration written in parts, such as `2h 30m` or `1 week 2 days`, into the sum of its
+  // parts. Within such a duration `m` means minutes rather than metres.
+  // Grammar: duration -> NUMBER timeUnit ( NUMBER timeUnit )+
+  #parseDuration(number) {
+    const part = (value) => {
+      const name = this.consume().value; // Consume the time unit.
+      return { type: 'quantity', expression: value, unit: [{ name: name === 'm' ? 'min' : name, power: 1 }] };
+    };
+    let node = part(number);
+    while (this.peek()?.type === TokenTypes.NUMBER && this.#isDurationUnit(this.tokens[this.index + 1])) {
+      const value = { type: 'number', value: this.consume().value };
+      node = { type: 'binary', operator: '+', left: node, right: part(value) };
+    }
+    return node;
+  }
+
+  // Checks whether the next token begins a unit (a unit name or a currency symbol). `in` is both a unit (inches) and the
+  // conversion keyword: it is the keyword when another unit follows it (`12 ft in m`).
+  #startsUnit() {
+    const token = this.peek();
+    if (token && token.type === TokenTypes.CURRENCY) return true; // e.g. 45€
+    if (!token || token.type !== TokenTypes.VARIABLE || !isUnitName(token.value)) return false;
+    if (token.value === 'in') {
+      const next = this.tokens[this.index + 1];
+      if (next && next.type === TokenTypes.CURRENCY) return false; // e.g. `$5 in €`
+      return !(next && next.type === TokenTypes.VARIABLE && next.value !== 'in' && isUnitName(next.value));
+    }
+    return true;
+  }
+
+  // Parses a unit expression into a list of `{ name, power }` terms.
+  // Grammar: unit -> unitTerm ( '/' unitTerm )*
+  //          unitTerm -> ( VARIABLE | CURRENCY ) ( ( '^' | '**' ) '-'? NUMBER )?
+  // e.g. `km` -> [km^1], `km/h` -> [km^1, h^-1], `m/s^2` -> [m^1, s^-2].
+  parseUnit() {
+    const terms = [this.#parseUnitTerm(1)];
+    // Only continue across '/' when a unit name follows, so `10 m / 2` stays a division.
+    while (this.peek() && this.peek().type === TokenTypes.OPERATOR && this.peek().value === '/' &&
+           this.tokens[this.index + 1]?.type === TokenTypes.VARIABLE &&
+           isUnitName(this.tokens[this.index + 1].value)) {
+      this.consume(); // Consume '/'.
+      terms.push(this.#parseUnitTerm(-1));
+    }
+    return terms;
+  }
+
+  // Parses a single unit name with an optional whole-number exponent (e.g. `m^2`).
+  #parseUnitTerm(sign) {
+    const name = this.consume().value;
+    let power = 1;
+    const token = this.peek();
+    if (token && token.type === TokenTypes.OPERATOR && ['^', '**'].includes(token.value)) {
+      const negative = this.tokens[this.index + 1]?.value === '-';
+      const exponent = this.tokens[this.index + (negative ? 2 : 1)];
+      if (exponent && exponent.type === TokenTypes.NUMBER && /^[0-9]+$/.test(exponent.value)) {
+        this.index += negative ? 3 : 2; // Consume '^', the optional '-' and the exponent.
+        power = parseInt(exponent.value, 10) * (negative ? -1 : 1);
+      }
+    }
+    return { name, power: power * sign };
+  }
+
+  // Parses the arguments of a function call, after the opening parenthesis has been consumed.
+  // Grammar: arguments -> ( expression ( ',' expression )* )? RPAREN
+  // Returns an array of argument ASTs (empty for a call like `f()`).
+  parseArguments() {
+    const args = [];
+    if (this.peek() && this.peek().type === TokenTypes.RPAREN) {
+      this.consume(); // Consume ')' of an empty argument list.
+      return args;
+    }
+
+    while (true) {
+      args.push(this.parseConditional());
+      const token = this.consume();
+      if (!token) throw this.#errorAt(null, ErrorCodes.UNEXPECTED_END, 'Expected closing parenthesis ) after function arguments');
+      if (token.type === TokenTypes.RPAREN) return args;
+      if (token.type !== TokenTypes.COMMA) {
+        throw this.#errorAt(token, ErrorCodes.UNEXPECTED_TOKEN,
+          `Unexpected token: ${token.value}. Expected ',' or ')' in function arguments.`);
+      }
+    }
+  }
+
+  // Parses the items of a list literal, after the opening bracket has been consumed.
+  // Grammar: list -> ( expression ( ',' expression )* )? RBRACKET
+  // Returns an array of item ASTs (empty for `[]`).
+  parseList() {
+    const items = [];
+    if (this.peek() && this.peek().type === TokenTypes.RBRACKET) {
+      this.consume(); // Consume ']' of an empty list.
+      return items;
+    }
+
+    while (true) {
+      items.push(this.parseConditional());
+      const token = this.consume();
+      if (!token) throw this.#errorAt(null, ErrorCodes.UNEXPECTED_END, 'Expected closing bracket ] after list items');
+      if (token.type === TokenTypes.RBRACKET) return items;
+      if (token.type !== TokenTypes.COMMA) {
+        throw this.#errorAt(token, ErrorCodes.UNEXPECTED_TOKEN, `Unexpected token: ${token.value}. Expected ',' or ']' in list.`);
+      }
+    }
   }
 }
 
-// Export the TokenTypes, lexer function, and Parser class for use in other modules.
-export { TokenTypes, lexer, Parser };
+// Export the TokenTypes, Keywords, lexer function, and Parser class for use in other modules.
+export { TokenTypes, Keywords, lexer, Parser };
@@ -0,0 +1,575 @@
+import { LineDependencyGraph } from './LineDependencyGraph.js';
+import { ErrorCodes, CalculationError, toErrorInfo } from '../errors.js';
+
+/**
+ * Calculation Engine - Handles mathematical expression evaluation
+ * High cohesion: Only responsible for calculation logic
+ * Runs inside the calculation worker; CalculationService talks to it (or, where workers are
+ * unavailable, runs it on the main thread).
+ */
+export class CalculationEngine {
+  #evaluator;
+  #parser;
+  #documentSource;
+  #logErrors;
+  #modules = null;
+  #parseCache = new Map();
+  #graph = new LineDependencyGraph();
+  static #PARSE_CACHE_LIMIT = 10000;
+  static #LINE_TIME_LIMIT = 2000; // Milliseconds one line may take before it is reported as runaway
+  static #YIELD_INTERVAL = 10; // Milliseconds between checks for cancellation
+  // A word, then words or numbers such as 3, 5:30 or $12.50, each optionally quoted or bracketed
+  static #PROSE = /^[A-Za-z][\w'’-]*[.,;:!?)"”]*(\s+[("“]?(?:[A-Za-z][\w'’-]*|[$€£]?\d[\d.,:]*)[.,;:!?)"”]*)+$/;
+  
+  /**
+   * @param {Object} evaluator - Legacy evaluator (unused, modules are imported dynamically)
+   * @param {Object} parser - Legacy parser (unused, modules are imported dynamically)
+   * @param {Function} [documentSource] - Looks up another document's content by name for
+   *   `@"Name".variable` and `import "Name"`; resolves to null when there is no such document
+   * @param {Object} [options] - Engine options
+   * @param {boolean} [options.logErrors=true] - Log line errors to the console (they are always in the results)
+   */
+  constructor(evaluator, parser, documentSource = null, { logErrors = true } = {}) {
+    this.#evaluator = evaluator;
+    this.#parser = parser;
+    this.#documentSource = documentSource;
+    this.#logErrors = logErrors;
+  }
+  
+  /**
+   * Process multiple lines of expressions
+   * Results of the previous call are reused for lines whose text and dependencies are unchanged,
+   * so an edit only re-evaluates the lines it affects.
+   * @param {string[]} lines - Array of expression lines
+   * @param {Object} variables - Current variable scope
+   * @param {Object} [options] - Processing options
+   * @param {string} [options.document] - Name of the document being processed, for cycle detection
+   * @param {AbortSignal} [options.signal] - Cancels the run, which then rejects with the abort reason
+   * @param {Object} [options.inputs] - Expression text by variable name, e.g. `{ price: '50 EUR' }`;
+   *   each variable starts with its input value, which also replaces the document's own assignment
+   * @returns {Promise<{results: Array, updatedVariables: Object, documents: string[], definitions: Array}>}
+   *   `documents` lists the other documents the lines depend on, directly or indirectly;
+   *   `definitions` lists what each line defines, see #definitionsOf
+   */
+  async processLines(lines, variables = {}, { document, signal, inputs = null } = {}) {
+    const { results, updatedVariables, dependencies, definitions } = await this.#processDocument(
+      lines,
+      document ? [document] : [],
+      // The dependency graph does not track inputs, so runs with inputs evaluate every line
+      inputs ? null : this.#graph,
+      signal,
+      inputs
+    );
+    
+    return { 
+      results, 
+      updatedVariables,
+      documents: dependencies,
+      definitions
+    };
+  }
+  
+  /**
+   * Forget cached parses and results, so the next run evaluates every line
+   * Needed when something outside the document changes, such as the exchange rates
+   * (which also decide how currency codes parse).
+   */
+  invalidate() {
+    this.#parseCache.clear();
+    this.#graph.clear();
+  }
+  
+  /**
+   * Process the lines of one document, after evaluating the documents it refers to
+   * @param {string[]} lines - Array of expression lines
+   * @param {string[]} stack - Names of the documents being processed, outermost first
+   * @param {LineDependencyGraph|null} graph - Dependency graph holding the previous run, if any
+   * @param {AbortSignal} [signal] - Cancels the run
+   * @param {Object} [inputs] - Input values by variable name, see processLines
+   * @returns {Promise<{results: Array, updatedVariables: Object, dependencies: string[], cycle: string|null,
+   *   definitions: Array}>}
+   */
+  async #processDocument(lines, stack, graph = null, signal = undefined, inputs = null) {
+    const modules = await this.#loadModules();
+    const { DOCUMENTS, LINE_LABELS } = modules.evaluator;
+    const texts = lines.map(line => line.trim());
+    const { documents, dependencies, cycle } = await this.#loadDocuments(texts, stack, modules, signal);
+    
+    const results = [];
+    const values = []; // Evaluated values, so references keep units and formats
+    const definitions = [];
+    const context = this.#createBlockContext(results, modules.evaluator.functions);
+    context[DOCUMENTS] = documents;
+    // Start with empty scope to ensure deleted variables are removed. Block keywords such as
+    // `total` live on its prototype, so a variable of the same name shadows them.
+    const tempScope = Object.create(context);
+    const overrides = inputs ? this.#evaluateInputs(inputs, modules) : new Map();
+    overrides.forEach((value, name) => {
+      tempScope[name] = value;
+    });
+    
+    // A cancelled run must not touch the graph, which may already belong to a newer run
+    signal?.throwIfAborted();
+    graph?.startRun(texts);
+    let lastYield = Date.now();
+    
+    for (const [index, trimmedLine] of texts.entries()) {
+      // Let a cancellation arrive now and then; an abandoned run leaves the graph's previous run in place
+      if (signal && Date.now() - lastYield > CalculationEngine.#YIELD_INTERVAL) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        lastYield = Date.now();
+      }
+      signal?.throwIfAborted();
+      
+      let record;
+      
+      if (!trimmedLine) {
+        record = { result: { value: '-', type: 'empty' } };
+      } else {
+        const parsed = this.#parse(trimmedLine, modules);
+        const lineDependencies = parsed.analysis && graph?.dependencies(index, parsed.analysis);
+        const previous = lineDependencies && graph.reusable(index, lineDependencies);
+        
+        if (previous) {
+          // Nothing this line reads has changed: replay its definitions instead of evaluating it
+          for (const [name, value] of previous.writes) {
+            if (name.startsWith('#')) {
+              if (!Object.hasOwn(tempScope, LINE_LABELS)) tempScope[LINE_LABELS] = {};
+              tempScope[LINE_LABELS][name.slice(1)] = index + 1;
+            } else {
+              tempScope[name] = value;
+            }
+          }
+          record = { ...previous, dependencies: lineDependencies.lines };
+        } else {
+          record = this.#processLine(trimmedLine, parsed, tempScope, values, index, modules, overrides);
+          record.dependencies = lineDependencies?.lines;
+          record.volatile = lineDependencies?.volatile;
+        }
+        record.analysis = parsed.analysis;
+        definitions.push(...CalculationEngine.#definitionsOf(parsed.ast, index));
+      }
+      
+      results.push(record.result);
+      values.push(record.result.raw ?? record.result.value);
+      graph?.record(index, record);
+    }
+    
+    graph?.finishRun();
+    
+    return { 
+      results, 
+      updatedVariables: tempScope,
+      dependencies,
+      cycle,
+      definitions
+    };
+  }
+  
+  /**
+   * Load the calculation modules once
+   * They are imported dynamically for backward compatibility.
+   * @returns {Promise<Object>} The lexerParser, evaluator, units and dates modules
+   */
+  #loadModules() {
+    this.#modules ??= Promise.all([
+      import('../lexerParser.js'),
+      import('../evaluator.js'),
+      import('../units.js'),
+      import('../dates.js')
+    ]).then(([lexerParser, evaluator, units, dates]) => ({ lexerParser, evaluator, units, dates }));
+    return this.#modules;
+  }
+  
+  /**
+   * Lex, parse and analyse a line, reusing the result for text seen before
+   * @param {string} trimmed - Trimmed line
+   * @param {Object} modules - Calculation modules
+   * @returns {Object} `{ast, analysis, aggregateKeywords, documents}` for expressions,
+   *   `{syntaxError, documents}` for lines that do not parse, or `{}` for annotations and empty input
+   */
+  #parse(trimmed, modules) {
+    // Least recently used lines are evicted first; Map keeps keys in insertion order
+    const cached = this.#parseCache.get(trimmed);
+    if (cached) {
+      this.#parseCache.delete(trimmed);
+      this.#parseCache.set(trimmed, cached);
+      return cached;
+    }
+    
+    const parsed = this.#parseUncached(trimmed, modules);
+    if (this.#parseCache.size >= CalculationEngine.#PARSE_CACHE_LIMIT) {
+      this.#parseCache.delete(this.#parseCache.keys().next().value);
+    }
+    this.#parseCache.set(trimmed, parsed);
+    return parsed;
+  }
+  
+  /**
+   * List what a parsed line defines, so editor tools need not parse the document again
+   * @param {Object} [ast] - Parsed line, if it parsed
+   * @param {number} line - 0-based line index
+   * @returns {Array<{name: string, line: number, kind: string}>} Definitions of kind `label`,
+   *   `variable`, `function` or `import` (whose name is the imported document)
+   */
+  static #definitionsOf(ast, line) {
+    const definitions = [];
+    let statement = ast;
+    if (statement?.type === 'label') {
+      definitions.push({ name: statement.name, line, kind: 'label' });
+      statement = statement.statement;
+    }
+    if (statement?.type === 'assignment') {
+      definitions.push({ name: statement.variable, line, kind: 'variable' });
+    } else if (statement?.type === 'functionDefinition') {
+      definitions.push({ name: statement.name, line, kind: 'function' });
+    } else if (statement?.type === 'import') {
+      definitions.push({ name: statement.document, line, kind: 'import' });
+    }
+    return definitions;
+  }
+  
+  /**
+   * Lex, parse and analyse a line
+   * @param {string} trimmed - Trimmed line
+   * @param {Object} modules - Calculation modules
+   * @returns {Object} Parsed line, see #parse
+   */
+  #parseUncached(trimmed, { lexerParser: { TokenTypes, Keywords, lexer, Parser }, units: { resolveUnit } }) {
+    if (this.#classifyAnnotation(trimmed)) return { documents: [] };
+    
+    let tokens;
+    try {
+      tokens = lexer(trimmed);
+    } catch (syntaxError) {
+      return { syntaxError, documents: [] };
+    }
+    
+    // Other documents named with @"Name".variable or import "Name"
+    const documents = [];
+    tokens.forEach((token, position) => {
+      if (token.type === TokenTypes.DOCREF) {
+        documents.push(token.value.document);
+      } else if (token.type === TokenTypes.STRING && position === 1 && tokens[0].value === 'import') {
+        documents.push(token.value);
+      }
+    });
+    
+    if (tokens.length === 0) return { documents };
+    
+    // Lines that total their block are left out of later totals in the same block,
+    // unless a variable shadows the keyword (checked when the line is evaluated)
+    const isAssignmentTarget = (position) => position === 0 &&
+      [TokenTypes.ASSIGN, TokenTypes.COLON].includes(tokens[1]?.type);
+    const aggregateKeywords = tokens
+      .filter((token, position) => token.type === TokenTypes.VARIABLE &&
+        Keywords.BLOCK.includes(token.value) && !isAssignmentTarget(position))
+      .map(token => token.value);
+    
+    try {
+      const parser = new Parser(tokens);
+      const ast = parser.parse();
+      
+      // Check if parser consumed all tokens
+      if (parser.hasNext()) {
+        const token = parser.peek();
+        const span = { start: token.start, end: token.end };
+        // A name right after a number is most likely a misspelt unit (e.g. `3 kmm`)
+        if (token.type === TokenTypes.VARIABLE && tokens[parser.index - 1]?.type === TokenTypes.NUMBER) {
+          try {
+            resolveUnit([{ name: token.value, power: 1 }]);
+          } catch (unitError) {
+            unitError.span = span;
+            throw unitError;
+          }
+        }
+        throw new CalculationError(ErrorCodes.UNEXPECTED_TOKEN, 'Extra tokens after expression', { span });
+      }
+      
+      return { ast, analysis: LineDependencyGraph.analyze(ast), aggregateKeywords, documents };
+    } catch (syntaxError) {
+      return { syntaxError, documents };
+    }
+  }
+  
+  /**
+   * Evaluate the other documents that lines refer to with `@"Name".variable` or `import "Name"`
+   * A document that is already being processed further up the stack is a cycle; the cycle is
+   * reported on every reference that leads into it.
+   * @param {string[]} texts - Trimmed lines
+   * @param {string[]} stack - Names of the documents being processed, outermost first
+   * @param {Object} modules - Calculation modules
+   * @param {AbortSignal} [signal] - Cancels the run
+   * @returns {Promise<{documents: Object, dependencies: string[], cycle: string|null}>}
+   */
+  async #loadDocuments(texts, stack, modules, signal) {
+    const names = new Set(texts.flatMap(text => (text ? this.#parse(text, modules).documents : [])));
+    
+    const documents = {};
+    const dependencies = new Set();
+    let cycle = null;
+    
+    for (const name of names) {
+      dependencies.add(name);
+      
+      if (stack.includes(name)) {
+        const path = [...stack.slice(stack.indexOf(name)), name];
+        documents[name] = { error: `Circular document reference: ${path.join(' → ')}`, code: ErrorCodes.CIRCULAR_REFERENCE };
+        cycle ??= documents[name].error;
+        continue;
+      }
+      
+      const content = this.#documentSource ? await this.#documentSource(name) : null;
+      if (content === null || content === undefined) {
+        documents[name] = {
+          error: `Unknown document: "${name}" (no open tab or saved file has that name)`,
+          code: ErrorCodes.UNKNOWN_DOCUMENT
+        };
+        continue;
+      }
+      
+      const source = await this.#processDocument(content.split('\n'), [...stack, name], null, signal);
+      source.dependencies.forEach(dependency => dependencies.add(dependency));
+      if (source.cycle) {
+        cycle ??= source.cycle;
+        documents[name] = { error: source.cycle, code: ErrorCodes.CIRCULAR_REFERENCE };
+      } else {
+        documents[name] = { variables: source.updatedVariables };
+      }
+    }
+    
+    return { documents, dependencies: [...dependencies], cycle };
+  }
+  
+  /**
+   * Evaluate input values, which may use numbers, units, dates and constants but not the document
+   * @param {Object} inputs - Expression text by variable name
+   * @param {Object} modules - Calculation modules
+   * @returns {Map<string, *>} Value by variable name
+   */
+  #evaluateInputs(inputs, modules) {
+    const values = new Map();
+    
+    for (const [name, text] of Object.entries(inputs)) {
+      const parsed = this.#parse(String(text).trim(), modules);
+      // Definitions (x = 5, f(x) = ...) and imports are not values
+      if (parsed.syntaxError || !parsed.ast || parsed.analysis.writes.length > 0 || parsed.ast.type === 'import') {
+        const reason = parsed.syntaxError?.message ?? 'expected a value such as 50 or 50 EUR';
+        throw new Error(`Invalid value for ${name}: ${reason}`);
+      }
+      try {
+        values.set(name, modules.evaluator.evaluate(parsed.ast, {}, [], 0));
+      } catch (error) {
+        throw new Error(`Invalid value for ${name}: ${error.message}`);
+      }
+    }
+    
+    return values;
+  }
+  
+  /**
+   * Process a single line expression
+   * @param {string} trimmed - Trimmed expression line
+   * @param {Object} parsed - Parsed line from #parse
+   * @param {Object} scope - Variable scope
+   * @param {Array} values - Values of the previous lines, for line references
+   * @param {number} index - Current line index
+   * @param {Object} modules - Calculation modules
+   * @param {Map<string, *>} [overrides] - Input values that replace assignments to their variables
+   * @returns {{result: Object, writes: Array}} Result object and the [name, value] pairs the line defined
+   */
+  #processLine(trimmed, parsed, scope, values, index, modules, overrides = new Map()) {
+    // Comment and heading lines are annotations and never evaluate
+    const annotation = this.#classifyAnnotation(trimmed);
+    if (annotation) {
+      return { result: { value: '', type: annotation } };
+    }
+    
+    try {
+      if (parsed.syntaxError) {
+        // Plain sentences are notes, not broken expressions
+        if (this.#isProse(trimmed)) {
+          return { result: { value: '', type: 'text' } };
+        }
+        throw parsed.syntaxError;
+      }
+      if (!parsed.ast) {
+        return { result: { value: '0', type: 'empty' } };
+      }
+      
+      const { ast, analysis } = parsed;
+      const { evaluate, withTimeLimit } = modules.evaluator;
+      const overridden = ast.type === 'assignment' && overrides.has(ast.variable);
+      if (overridden) {
+        scope[ast.variable] = overrides.get(ast.variable);
+      }
+      const value = overridden
+        ? scope[ast.variable]
+        : withTimeLimit(CalculationEngine.#LINE_TIME_LIMIT, () => evaluate(ast, scope, values, index));
+      
+      // Import lines show how many names they brought in
+      if (ast.type === 'import') {
+        return {
+          result: { value: `${value.length} imported`, type: 'import' },
+          writes: value.map(name => [name, scope[name]])
+        };
+      }
+      
+      const result = this.#describeValue(value, {
+        formatResult: modules.evaluator.formatResult,
+        isQuantity: modules.units.isQuantity,
+        displayDecimals: modules.units.displayDecimals,
+        isDate: modules.dates.isDate
+      });
+      // Lines that total their block are left out of later totals in the same block
+      if (parsed.aggregateKeywords.some(keyword => !Object.hasOwn(scope, keyword))) {
+        result.aggregatesBlock = true;
+      }
+      // Labelled lines (e.g. `subtotal: 40 + 60`) expose their label for the line reference picker
+      if (ast.type === 'label') result.label = ast.name;
+      if (overridden) result.overridden = true;
+      
+      const writes = analysis.writes.map(name => (name.startsWith('#') ? [name, index + 1] : [name, scope[name]]));
+      return { result, writes };
+    } catch (error) {
+      if (this.#logErrors) console.error('Calculation error:', error);
+      return { result: { value: 'e', type: 'error', error: error.message, ...toErrorInfo(error), line: index + 1 } };
+    }
+  }
+  
+  /**
+   * Describe an evaluated value as a result row
+   * @param {*} value - Evaluated value
+   * @param {Object} helpers - Formatting helpers from the evaluator, units and dates modules
+   * @returns {Object} Result object with the display value and type
+   */
+  #describeValue(value, { formatResult, isQuantity, displayDecimals, isDate }) {
+    // Handle null or NaN results like original code
+    if (value === null) {
+      return { value: '0', type: 'null' };
+    } else if (value.isNaN && value.isNaN()) {
+      return { value: '0', type: 'nan' };
+    }
+    
+    // Function definitions display their signature rather than a number
+    if (value.type === 'function') {
+      return { value: value.toString(), type: 'function', raw: value };
+    }
+    
+    // Comparisons and conditions produce true/false
+    if (typeof value === 'boolean') {
+      return { value: String(value), type: 'boolean', raw: value };
+    }
+    
+    // Lists (e.g. [1, 2, 3] or #3..#8) are rendered as text
+    if (Array.isArray(value)) {
+      return { value: formatResult(value).text, type: 'list', raw: value };
+    }
+    
+    // Dates are rendered as text (ISO unless another format was chosen with `as`)
+    if (isDate(value)) {
+      const { text, format } = formatResult(value);
+      return { value: text, type: 'date', format, raw: value };
+    }
+    
+    // Quantities carry their unit label separately from the number,
+    // unless they were formatted as a whole (e.g. `x as duration`)
+    if (isQuantity(value)) {
+      const formatted = formatResult(value);
+      if (formatted.format) {
+        return { value: formatted.text, type: 'number', format: formatted.format, raw: value };
+      }
+      
+      // Units such as currencies are shown with a fixed number of decimals
+      const decimals = displayDecimals(value.unit);
+      const text = decimals === undefined ? value.value.toString() : value.value.toFixed(decimals);
+      return { value: text, type: 'number', unit: value.label, raw: value };
+    }
+    
+    // Numbers tagged with a display format (e.g. `x as hex`) keep their notation
+    const { text, format } = formatResult(value);
+    
+    return { 
+      value: text, 
+      type: 'number',
+      format,
+      raw: value
+    };
+  }
+  
+  /**
+   * Create the block keywords that refer to the lines above the current one
+   * A block runs up to the previous blank line or heading. `results` is the array
+   * processLines is filling, so each keyword sees the lines processed so far.
+   * - `total` / `subtotal`: sum of the numbers in the block
+   * - `above`: list of the numbers in the block, e.g. `average above` or `max(above)`
+   * - `prev` / `ans`: result of the line immediately above
+   * @param {Array} results - Results of the lines processed so far
+   * @param {Object} functions - Built-in function registry of the evaluator
+   * @returns {Object} Object whose getters compute the keywords
+   */
+  #createBlockContext(results, functions) {
+    const blockValues = () => {
+      const values = [];
+      for (let i = results.length - 1; i >= 0; i--) {
+        const result = results[i];
+        if (result.type === 'empty' || result.type === 'heading') break;
+        if (result.type === 'number' && result.raw !== undefined && !result.aggregatesBlock) {
+          values.unshift(result.raw);
+        }
+      }
+      return values;
+    };
+    
+    const previousValue = (keyword) => {
+      const result = results[results.length - 1];
+      if (!result || result.raw === undefined || ['function', 'error'].includes(result.type)) {
+        throw new Error(`${keyword} refers to the line above, which has no value`);
+      }
+      return result.raw;
+    };
+    
+    const keywords = {
+      total: () => functions.sum.fn(blockValues()),
+      subtotal: () => functions.sum.fn(blockValues()),
+      above: blockValues,
+      prev: () => previousValue('prev'),
+      ans: () => previousValue('ans')
+    };
+    
+    const context = {};
+    for (const [name, compute] of Object.entries(keywords)) {
+      Object.defineProperty(context, name, {
+        get: compute,
+        // Assigning a variable of the same name (e.g. `total = 7`) shadows the keyword in the document scope
+        set(value) {
+          Object.defineProperty(this, name, { value, writable: true, enumerable: true, configurable: true });
+        }
+      });
+    }
+    return context;
+  }
+  
+  /**
+   * Classify lines that are annotations rather than expressions
+   * `# Heading` (a `#` followed by a space or another `#`) does not clash with `#N` references
+   * @param {string} trimmed - Trimmed line
+   * @returns {'comment'|'heading'|null} Annotation type, or null for expression lines
+   */
+  #classifyAnnotation(trimmed) {
+    if (trimmed.startsWith('//')) return 'comment';
+    if (/^#(#|\s|$)/.test(trimmed)) return 'heading';
+    return null;
+  }
+  
+  /**
+   * Check whether a line that failed to parse reads as prose
+   * A word followed by more words or plain numbers, with ordinary punctuation but no operators,
+   * e.g. `milk 3` or `call Bob at 5:30.`
+   * @param {string} trimmed - Trimmed line
+   * @returns {boolean} True if the line is prose
+   */
+  #isProse(trimmed) {
+    return CalculationEngine.#PROSE.test(trimmed);
+  }
+}
\ No newline at end of file
@@ -1,146 +1,219 @@
 /**
- * Calculation Service - Handles mathematical expression evaluation
- * High cohesion: Only responsible for calculation logic
+ * Calculation Service - Evaluates documents in a Web Worker, so long calculations never block typing
+ * High cohesion: Only responsible for getting calculations done
+ *
+ * The lexer, parser and evaluator run in js/workers/calculationWorker.js (see its header for the
+ * message protocol). A newer call supersedes an unfinished one, which is cancelled and rejects
+ * with an AbortError. A run that does not finish within the time limit is stopped by restarting
+ * the worker and reported as an error on every line. Where module workers are unavailable, the
+ * engine runs on the main thread instead, under the same time limit: the run is aborted between
+ * lines (a single line has the engine's own limit).
  */
+import { ErrorCodes } from '../errors.js';
+
 export class CalculationService {
-  #evaluator;
-  #parser;
-  
-  constructor(evaluator, parser) {
-    this.#evaluator = evaluator;
-    this.#parser = parser;
+  #documentSource;
+  #worker = null;
+  #engine = null;
+  #nextId = 1;
+  #pending = null;
+  #rates = null;
+  static #TIME_LIMIT = 10000; // Milliseconds a whole run may take
+
+  /**
+   * @param {Object} evaluator - Legacy evaluator (unused, modules are imported dynamically)
+   * @param {Object} parser - Legacy parser (unused, modules are imported dynamically)
+   * @param {Function} [documentSource] - Looks up another document's content by name for
+   *   `@"Name".variable` and `import "Name"`; resolves to null when there is no such document
+   */
+  constructor(evaluator, parser, documentSource = null) {
+    this.#documentSource = documentSource;
+    this.#startWorker();
   }
-  
+
   /**
    * Process multiple lines of expressions
    * @param {string[]} lines - Array of expression lines
    * @param {Object} variables - Current variable scope
-   * @returns {Promise<{results: Array, updatedVariables: Object}>}
+   * @param {Object} [options] - Processing options
+   * @param {string} [options.document] - Name of the document being processed, for cycle detection
+   * @returns {Promise<{results: Array, updatedVariables: Object, documents: string[], definitions: Array}>}
+   *   In worker results, `raw` values and variables are given as text
    */
-  async processLines(lines, variables = {}) {
-    const results = [];
-    const tempScope = {}; // Start with empty scope to ensure deleted variables are removed
-    
-    for (const [index, line] of lines.entries()) {
-      const trimmedLine = line.trim();
-      
-      if (!trimmedLine) {
-        results.push({ value: '-', type: 'empty' });
-        continue;
-      }
-      
-      try {
-        const result = await this.#processLine(line, tempScope, results, index);
-        results.push(result);
-      } catch (error) {
-        console.error('Line processing error:', error);
-        results.push({ 
-          value: 'e', 
-          type: 'error', 
-          error: error.message,
-          line: index + 1
-        });
+  async processLines(lines, variables = {}, { document } = {}) {
+    this.#cancelPending();
+
+    return new Promise((resolve, reject) => {
+      const id = this.#nextId++;
+      const timer = setTimeout(() => this.#handleTimeout(id), CalculationService.#TIME_LIMIT);
+      this.#pending = { id, lines, document, resolve, reject, timer };
+      if (this.#worker) {
+        this.#worker.postMessage({ type: 'process', id, lines, document });
+      } else {
+        this.#runOnMainThread(this.#pending);
       }
-    }
-    
-    return { 
-      results, 
-      updatedVariables: tempScope 
-    };
+    });
   }
-  
+
   /**
-   * Process a single line expression
-   * @param {string} line - Expression line
-   * @param {Object} scope - Variable scope
-   * @param {Array} results - Previous results for line references
-   * @param {number} index - Current line index
-   * @returns {Promise<Object>} Result object
+   * Forget cached parses and results, so the next run evaluates every line
    */
-  async #processLine(line, scope, results, index) {
-    const trimmed = line.trim();
-    
-    if (!trimmed) {
-      return { value: null, type: 'empty' };
-    }
-    
+  invalidate() {
+    this.#worker?.postMessage({ type: 'invalidate' });
+    this.#engine?.invalidate();
+  }
+
+  /**
+   * Use a new exchange rate table for currency units and recalculate every line on the next run
+   * The worker has its own unit registry, so the table registered on the page is sent to it
+   * @param {Object} table - Rate table from ExchangeRateService
+   */
+  setExchangeRates(table) {
+    this.#rates = table;
+    this.#worker?.postMessage({ type: 'rates', table });
+    this.invalidate();
+  }
+
+  /**
+   * Start the calculation worker, or leave it unset if module workers are unavailable
+   */
+  #startWorker() {
+    if (typeof Worker === 'undefined') return;
+
     try {
-      // Import current modules for backward compatibility
-      const { lexer, Parser } = await import('../lexerParser.js');
-      const { evaluate } = await import('../evaluator.js');
-      
-      const tokens = lexer(trimmed);
-      if (tokens.length === 0) {
-        return { value: '0', type: 'empty' };
-      }
-      
-      const parser = new Parser(tokens);
-      const ast = parser.parse();
-      
-      // Check if parser consumed all tokens
-      if (parser.hasNext()) {
-        throw new Error('Extra tokens after expression');
-      }
-      
-      // Convert results array to simple values for evaluator compatibility
-      const simpleResults = results.map(r => r.value);
-      const value = evaluate(ast, scope, simpleResults, index);
-      
-      // Handle null or NaN results like original code
-      if (value === null) {
-        return { value: '0', type: 'null' };
-      } else if (value.isNaN && value.isNaN()) {
-        return { value: '0', type: 'nan' };
-      }
-      
-      return { 
-        value: value.toString(), 
-        type: 'number',
-        raw: value
-      };
+      this.#worker = new Worker(new URL('../workers/calculationWorker.js', import.meta.url), { type: 'module' });
     } catch (error) {
-      console.error('Calculation error:', error);
-      return { value: 'e', type: 'error', error: error.message };
+      console.warn('Calculation worker unavailable, calculating on the main thread:', error);
+      this.#worker = null;
+      return;
+    }
+
+    this.#worker.addEventListener('message', ({ data }) => this.#handleMessage(data));
+    this.#worker.addEventListener('error', (event) => this.#handleWorkerError(event));
+
+    if (this.#rates) {
+      this.#worker.postMessage({ type: 'rates', table: this.#rates });
     }
   }
-  
+
   /**
-   * Format calculation result for display
-   * @param {*} value - Raw calculation result
-   * @returns {string} Formatted result
+   * Handle a message from the worker
+   * @param {Object} data - Message
    */
-  #formatResult(value) {
-    if (value === null || value === undefined) return '';
-    if (typeof value === 'number') {
-      if (!isFinite(value)) return '0';
-      
-      // Use Decimal.js for precise formatting if available
-      if (window.Decimal) {
-        try {
-          return new window.Decimal(value).toString();
-        } catch {
-          return value.toString();
-        }
-      }
-      
-      return value.toString();
+  async #handleMessage(data) {
+    if (data.type === 'document') {
+      const content = this.#documentSource ? await this.#documentSource(data.name) : null;
+      this.#worker?.postMessage({ type: 'document', requestId: data.requestId, content: content ?? null });
+      return;
+    }
+
+    // Answers to superseded runs have already been settled
+    const pending = this.#pending;
+    if (!pending || pending.id !== data.id) return;
+
+    if (data.type === 'result') {
+      this.#settle();
+      pending.resolve({
+        results: data.results,
+        updatedVariables: data.variables,
+        documents: data.documents,
+        definitions: data.definitions
+      });
+    } else if (data.type === 'error') {
+      this.#settle();
+      pending.reject(new Error(data.error));
     }
-    return String(value);
   }
-  
+
   /**
-   * Validate expression syntax without evaluation
-   * @param {string} expression - Expression to validate
-   * @returns {Promise<{valid: boolean, error?: string}>}
+   * Fall back to the main thread when the worker fails to load (e.g. its modules cannot be fetched)
+   * @param {ErrorEvent} event - Worker error event
    */
-  async validateExpression(expression) {
+  async #handleWorkerError(event) {
+    console.warn('Calculation worker failed, calculating on the main thread:', event.message);
+    this.#worker.terminate();
+    this.#worker = null;
+
+    // The unfinished run carries on there, within the time it has left
+    if (this.#pending) this.#runOnMainThread(this.#pending);
+  }
+
+  /**
+   * Run the engine on the main thread for a pending run, which a timeout or newer run may abort
+   * @param {Object} pending - Pending run
+   */
+  async #runOnMainThread(pending) {
+    pending.controller = new AbortController();
     try {
-      const { tokenize, parse } = await import('../lexerParser.js');
-      const tokens = tokenize(expression);
-      parse(tokens);
-      return { valid: true };
+      const engine = await this.#fallbackEngine();
+      const output = await engine.processLines(pending.lines, {}, {
+        document: pending.document,
+        signal: pending.controller.signal
+      });
+      if (this.#pending !== pending) return;
+      this.#settle();
+      pending.resolve(output);
     } catch (error) {
-      return { valid: false, error: error.message };
+      // An aborted run has already been settled by whatever aborted it
+      if (this.#pending !== pending) return;
+      this.#settle();
+      pending.reject(error);
+    }
+  }
+
+  /**
+   * Stop a run that exceeded the time limit by restarting the worker, or aborting it on the main thread
+   * @param {number} id - Run id
+   */
+  #handleTimeout(id) {
+    const pending = this.#pending;
+    if (!pending || pending.id !== id) return;
+
+    this.#settle();
+    if (pending.controller) {
+      pending.controller.abort();
+    } else {
+      this.#worker.terminate();
+      this.#startWorker();
+    }
+
+    const error = `Calculation took longer than ${CalculationService.#TIME_LIMIT / 1000} s and was stopped`;
+    const results = pending.lines.map((line, index) => (line.trim()
+      ? { value: 'e', type: 'error', error, code: ErrorCodes.TIME_LIMIT, span: null, suggestions: [], line: index + 1 }
+      : { value: '-', type: 'empty' }));
+    pending.resolve({ results, updatedVariables: {}, documents: [], definitions: [] });
+  }
+
+  /**
+   * Cancel the unfinished run, if any
+   */
+  #cancelPending() {
+    const pending = this.#pending;
+    if (!pending) return;
+
+    this.#settle();
+    pending.controller?.abort();
+    this.#worker?.postMessage({ type: 'cancel', id: pending.id });
+    pending.reject(new DOMException('Calculation superseded by newer input', 'AbortError'));
+  }
+
+  /**
+   * Clear the unfinished run and its timer
+   */
+  #settle() {
+    clearTimeout(this.#pending?.timer);
+    this.#pending = null;
+  }
+
+  /**
+   * Get the main-thread engine used when there is no worker
+   * @returns {Promise<CalculationEngine>} Engine
+   */
+  async #fallbackEngine() {
+    if (!this.#engine) {
+      const { CalculationEngine } = await import('./CalculationEngine.js');
+      this.#engine ??= new CalculationEngine(null, null, this.#documentSource);
     }
+    return this.#engine;
   }
-}
\ No newline at end of file
+}
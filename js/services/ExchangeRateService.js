@@ -0,0 +1,195 @@
+import { registerUnit, unregisterUnit } from '../units.js';
+
+/**
+ * Exchange Rate Service - Maintains the offline currency rate table
+ * High cohesion: Only responsible for storing exchange rates and exposing them as currency units
+ *
+ * Rates are user-maintained and stored locally, so currency conversion never needs the network.
+ * A table has a base currency, a "rates as of" date and the value of one base unit in each
+ * other currency, e.g. { base: 'USD', asOf: '2026-10-19', rates: { EUR: 0.92 } }.
+ */
+export class ExchangeRateService {
+  #storage;
+  #table;
+  #registeredCodes = new Set();
+  #STORAGE_KEY = 'calcedit_exchange_rates';
+
+  /**
+   * Starting table used until the user saves their own rates
+   * `asOf` is null because these are rough placeholders, not a dated snapshot
+   */
+  static DEFAULT_TABLE = {
+    base: 'USD',
+    asOf: null,
+    rates: {
+      EUR: 0.92,
+      GBP: 0.79,
+      JPY: 150,
+      CAD: 1.37,
+      AUD: 1.52,
+      CHF: 0.88,
+      CNY: 7.2,
+      INR: 83
+    }
+  };
+
+  constructor(storage) {
+    this.#storage = storage;
+    this.#table = ExchangeRateService.DEFAULT_TABLE;
+  }
+
+  /**
+   * Load the stored rate table and register its currencies as units
+   * @returns {Object} The active rate table
+   */
+  load() {
+    const saved = this.#storage.getItem(this.#STORAGE_KEY);
+
+    if (saved) {
+      try {
+        this.#table = this.validateTable(JSON.parse(saved));
+      } catch (error) {
+        console.warn('Ignoring invalid stored exchange rates:', error);
+      }
+    }
+
+    this.#applyTable();
+    return this.getTable();
+  }
+
+  /**
+   * Get a copy of the active rate table
+   * @returns {{base: string, asOf: string|null, rates: Object}}
+   */
+  getTable() {
+    return {
+      base: this.#table.base,
+      asOf: this.#table.asOf,
+      rates: { ...this.#table.rates }
+    };
+  }
+
+  /**
+   * Validate, store and apply a new rate table
+   * @param {Object} table - Rate table
+   * @returns {Object} The saved table
+   */
+  saveTable(table) {
+    const validated = this.validateTable(table);
+    const success = this.#storage.setItem(this.#STORAGE_KEY, JSON.stringify(validated));
+
+    if (!success) {
+      throw new Error('Storage operation failed - storage may be full');
+    }
+
+    return this.useTable(validated);
+  }
+
+  /**
+   * Validate and apply a rate table without storing it, e.g. one received from another thread
+   * @param {Object} table - Rate table
+   * @returns {Object} The active table
+   */
+  useTable(table) {
+    this.#table = this.validateTable(table);
+    this.#applyTable();
+    return this.getTable();
+  }
+
+  /**
+   * Validate a rate table
+   * @param {Object} table - Rate table to validate
+   * @returns {Object} Normalized table
+   */
+  validateTable(table) {
+    const base = String(table?.base || '').trim().toUpperCase();
+    if (!this.isCurrencyCode(base)) {
+      throw new Error(`Invalid base currency "${table?.base}" - use a 3-letter code such as USD`);
+    }
+
+    const asOf = table.asOf || null;
+    if (asOf !== null && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+      throw new Error(`Invalid "rates as of" date "${asOf}" - use YYYY-MM-DD`);
+    }
+
+    const rates = {};
+    for (const [code, rate] of Object.entries(table.rates || {})) {
+      const normalizedCode = code.trim().toUpperCase();
+      const value = Number(rate);
+      if (!this.isCurrencyCode(normalizedCode)) {
+        throw new Error(`Invalid currency code "${code}"`);
+      }
+      if (!isFinite(value) || value <= 0) {
+        throw new Error(`Invalid rate for ${normalizedCode}: ${rate}`);
+      }
+      if (normalizedCode !== base) {
+        rates[normalizedCode] = value;
+      }
+    }
+
+    return { base, asOf, rates };
+  }
+
+  /**
+   * Parse the editable text form of the rates ("EUR 0.92" per line)
+   * @param {string} text - Rate lines
+   * @returns {Object} Map of currency code to rate
+   */
+  parseRates(text) {
+    const rates = {};
+
+    text.split('\n').forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed) return;
+
+      const match = /^([A-Za-z]{3})\s*[=:]?\s*([0-9]*\.?[0-9]+)$/.exec(trimmed);
+      if (!match) {
+        throw new Error(`Line ${index + 1}: expected "CODE rate", e.g. "EUR 0.92"`);
+      }
+      rates[match[1].toUpperCase()] = Number(match[2]);
+    });
+
+    return rates;
+  }
+
+  /**
+   * Format rates as editable text
+   * @param {Object} rates - Map of currency code to rate
+   * @returns {string} One "CODE rate" pair per line
+   */
+  formatRates(rates) {
+    return Object.entries(rates)
+      .map(([code, rate]) => `${code} ${rate}`)
+      .join('\n');
+  }
+
+  /**
+   * Check if a string is a 3-letter currency code
+   * @param {string} code - Candidate code
+   * @returns {boolean} True if valid
+   */
+  isCurrencyCode(code) {
+    return /^[A-Z]{3}$/.test(code);
+  }
+
+  /**
+   * Register every currency in the active table as a unit
+   * Each factor converts one unit of the currency into the base currency
+   */
+  #applyTable() {
+    const { base, rates } = this.#table;
+    const codes = new Set([base, ...Object.keys(rates)]);
+
+    // Drop currencies that are no longer in the table
+    for (const code of this.#registeredCodes) {
+      if (!codes.has(code)) unregisterUnit(code);
+    }
+
+    registerUnit({ symbol: base, dimension: { currency: 1 }, factor: '1', decimals: 2 });
+    for (const [code, rate] of Object.entries(rates)) {
+      registerUnit({ symbol: code, dimension: { currency: 1 }, factor: `1/${rate}`, decimals: 2 });
+    }
+
+    this.#registeredCodes = codes;
+  }
+}
@@ -0,0 +1,261 @@
+import { Keywords } from '../lexerParser.js';
+import { LineReferenceTracker } from '../utils/LineReferenceTracker.js';
+
+/**
+ * Line Dependency Graph - Decides which lines of a document must be re-evaluated after an edit
+ *
+ * Each line depends on the lines that define the variables it reads (the last assignment above it),
+ * the lines it references (#3, #-1, #label, #3..#8) and, for block keywords such as `total`,
+ * the lines above it in its block. A line whose text and dependencies are unchanged since the
+ * previous run reuses its previous result; a re-evaluated line only invalidates the lines below it
+ * if its result actually changed.
+ *
+ * Usage per run: `startRun(texts)`, then for each line in order `dependencies()`, `reusable()`
+ * and `record()`, then `finishRun()`.
+ */
+export class LineDependencyGraph {
+  #records = [];
+  #texts = [];
+  #run = null;
+
+  static #VOLATILE_NAMES = ['today', 'tomorrow', 'yesterday', 'now'];
+
+  /**
+   * Collect what a line reads and writes from its AST
+   * @param {Object} ast - Parsed line
+   * @returns {Object} Analysis with `names`, `references`, `writes`, `volatile` and, for
+   *   function definitions, `definition` (the analysis of the body and its parameters)
+   */
+  static analyze(ast) {
+    const analysis = { names: new Set(), references: [], writes: [], volatile: false, definition: null };
+
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object' || typeof node.type !== 'string') return;
+
+      switch (node.type) {
+        case 'variable':
+        case 'call':
+          analysis.names.add(node.name);
+          break;
+        case 'lineref':
+          analysis.references.push({ from: node, to: node });
+          return;
+        case 'lineRange':
+          analysis.references.push({ from: node.from, to: node.to });
+          return;
+        case 'documentReference':
+        case 'import':
+          // Other documents are evaluated on every run, so lines that read them are too
+          analysis.volatile = true;
+          return;
+        case 'assignment':
+          analysis.writes.push(node.variable);
+          break;
+        case 'label':
+          analysis.writes.push(node.name, `#${node.name}`);
+          break;
+        case 'functionDefinition':
+          analysis.writes.push(node.name);
+          analysis.definition = { params: node.params, body: this.analyze(node.body) };
+          return; // The body is read when the function is called, not where it is defined
+      }
+
+      Object.values(node).forEach(child => {
+        if (child && typeof child === 'object') visit(child);
+      });
+    };
+
+    visit(ast);
+    return analysis;
+  }
+
+  /**
+   * Begin a run over the current lines of the document
+   * @param {string[]} texts - Trimmed line texts
+   */
+  startRun(texts) {
+    const map = LineReferenceTracker.mapLines(this.#texts, texts);
+    const origin = new Array(texts.length).fill(null);
+    map.forEach((target, old) => {
+      if (target !== null) origin[target] = old;
+    });
+
+    this.#run = {
+      texts,
+      map,
+      origin,
+      records: [],
+      definers: new Map()
+    };
+  }
+
+  /**
+   * Work out the lines a line depends on, using the definitions made so far in this run
+   * @param {number} index - Line index
+   * @param {Object} analysis - Analysis from analyze()
+   * @returns {{lines: number[], volatile: boolean}} Sorted line indices and whether the line must always run
+   */
+  dependencies(index, analysis) {
+    const lines = new Set();
+    let volatile = analysis.volatile;
+    const seenFunctions = new Set();
+
+    const addNames = (names, shadowed = []) => {
+      for (const name of names) {
+        if (shadowed.includes(name)) continue;
+        const definer = this.#run.definers.get(name);
+        if (definer === undefined) {
+          this.#addKeywordLines(name, index, lines);
+          if (LineDependencyGraph.#VOLATILE_NAMES.includes(name)) volatile = true;
+          continue;
+        }
+        lines.add(definer);
+        // Calling a user-defined function reads whatever its body reads, as of this line
+        const definition = this.#run.records[definer]?.analysis?.definition;
+        if (definition && !seenFunctions.has(definer)) {
+          seenFunctions.add(definer);
+          volatile ||= definition.body.volatile;
+          addNames(definition.body.names, definition.params);
+          addReferences(definition.body.references);
+        }
+      }
+    };
+
+    const addReferences = (references) => {
+      for (const { from, to } of references) {
+        const first = this.#resolveReference(from, index);
+        const last = this.#resolveReference(to, index);
+        if (first === null || last === null) {
+          volatile = true; // Unknown labels are errors, which always run
+          continue;
+        }
+        // Lines from this one onwards are invalid references, so one stands for all of them
+        for (let line = first; line <= Math.min(last, index); line++) lines.add(line);
+      }
+    };
+
+    addNames(analysis.names);
+    addReferences(analysis.references);
+    // A label already used above makes this line an error
+    analysis.writes
+      .filter(name => name.startsWith('#') && this.#run.definers.has(name))
+      .forEach(name => lines.add(this.#run.definers.get(name)));
+
+    return { lines: [...lines].sort((a, b) => a - b), volatile };
+  }
+
+  /**
+   * Find the previous result of a line if nothing it depends on has changed
+   * @param {number} index - Line index
+   * @param {{lines: number[], volatile: boolean}} dependencies - From dependencies()
+   * @returns {Object|null} Previous record ({result, writes}) or null if the line must run
+   */
+  reusable(index, dependencies) {
+    const { texts, origin, map, records } = this.#run;
+    const previous = origin[index] === null ? null : this.#records[origin[index]];
+
+    if (!previous || previous.text !== texts[index] || previous.volatile || dependencies.volatile) return null;
+    if (previous.result.type === 'error' || previous.analysis?.definition) return null;
+
+    const { lines } = dependencies;
+    if (lines.length !== previous.dependencies.length) return null;
+    const unchanged = lines.every((line, i) =>
+      line < index && map[previous.dependencies[i]] === line && !records[line].changed
+    );
+    return unchanged ? previous : null;
+  }
+
+  /**
+   * Record the outcome of a line, evaluated or reused
+   * @param {number} index - Line index
+   * @param {Object} record - `{result, writes, analysis, dependencies, volatile}`; `writes` is a
+   *   list of [name, value] pairs, where label lines also write `#label`
+   */
+  record(index, { result, writes = [], analysis = null, dependencies = [], volatile = false }) {
+    const { texts, origin } = this.#run;
+    const previous = origin[index] === null ? null : this.#records[origin[index]];
+
+    // An edited line that still produces the same result and definitions does not affect the lines below.
+    // A redefined function shows the same result (its signature) whatever its body, so its text decides.
+    const redefined = Boolean(analysis?.definition) && previous?.text !== texts[index];
+    const changed = !previous || redefined ||
+      (previous.result !== result && !LineDependencyGraph.#sameOutcome(previous, result, writes));
+
+    this.#run.records[index] = { text: texts[index], result, writes, analysis, dependencies, volatile, changed };
+    for (const [name] of writes) {
+      this.#run.definers.set(name, index);
+    }
+  }
+
+  /**
+   * Finish the run; its records become the baseline for the next one
+   */
+  finishRun() {
+    this.#records = this.#run.records;
+    this.#texts = this.#run.texts;
+    this.#run = null;
+  }
+
+  /**
+   * Forget all previous results, e.g. when exchange rates or other global inputs change
+   */
+  clear() {
+    this.#records = [];
+    this.#texts = [];
+  }
+
+  /**
+   * Resolve a line reference node to a 0-based line index in the current run
+   * @param {Object} reference - Line reference node
+   * @param {number} index - Index of the line containing the reference
+   * @returns {number|null} Line index, or null for an unknown label
+   */
+  #resolveReference(reference, index) {
+    if (reference.label !== undefined) {
+      return this.#run.definers.get(`#${reference.label}`) ?? null;
+    }
+    if (reference.offset !== undefined) {
+      return index + reference.offset;
+    }
+    return reference.line - 1;
+  }
+
+  /**
+   * Add the lines read by a block keyword (`total`, `above`, `prev`, ...) that is not shadowed
+   * @param {string} name - Name read by the line
+   * @param {number} index - Line index
+   * @param {Set<number>} lines - Dependencies being collected
+   */
+  #addKeywordLines(name, index, lines) {
+    if (Keywords.PREVIOUS.includes(name) && index > 0) {
+      lines.add(index - 1);
+    }
+    if (Keywords.BLOCK.includes(name)) {
+      // The block runs up to the previous blank line or heading, which bound it too
+      for (let line = index - 1; line >= 0; line--) {
+        lines.add(line);
+        if (['empty', 'heading'].includes(this.#run.records[line].result.type)) break;
+      }
+    }
+  }
+
+  /**
+   * Check whether a line produced the same result and definitions as in the previous run
+   * @param {Object} previous - Previous record
+   * @param {Object} result - New result
+   * @param {Array} writes - New [name, value] pairs
+   * @returns {boolean} True if nothing downstream can tell the difference
+   */
+  static #sameOutcome(previous, result, writes) {
+    const a = previous.result;
+    const sameResult = ['type', 'value', 'unit', 'format', 'error', 'label', 'aggregatesBlock']
+      .every(key => a[key] === result[key]) && String(a.raw) === String(result.raw);
+
+    return sameResult && previous.writes.length === writes.length &&
+      previous.writes.every(([name, value], i) => writes[i][0] === name && String(writes[i][1]) === String(value));
+  }
+}
@@ -0,0 +1,460 @@
+// File Overview: js/units.js
+// This file implements dimensional units for the evaluator: values such as `5 km`, `60 mph`
+// or `9.81 m/s^2` that carry a unit alongside their number.
+//
+// 1. Units Registry (`unitDefinitions`):
+//    - Every unit has a canonical symbol, a dimension (e.g. length, or length/time for speeds),
+//      a conversion factor to the base unit of that dimension, an optional offset (temperatures)
+//      and a list of aliases ("kilometers", "°C", ...).
+//    - Factors are kept as exact fractions (numerator/denominator strings, turned into Decimals
+//      when used) so that conversions like 212 °F to °C come out exact instead of accumulating
+//      rounding errors.
+//
+// 2. Quantities (`Quantity`):
+//    - A Decimal value plus a unit, where a unit is a list of `{ name, power }` terms
+//      (e.g. m/s^2 is [{ name: 'm', power: 1 }, { name: 's', power: -2 }]).
+//    - Results whose units cancel out (e.g. km / m) become plain Decimals again.
+//
+// 3. Unit-aware Arithmetic (`add`, `subtract`, `multiply`, `divide`, `modulo`, `power`, `negate`):
+//    - Accept any mix of Decimals and Quantities. Addition and subtraction require matching
+//      dimensions and convert the right operand into the left operand's unit; `5 m + 3 s` is an error.
+//    - Multiplication and division combine units, converting units of the same dimension so that
+//      `10 km / 500 m` is simply 20.
+//    - `compareValues` orders two values the same way, so `1 km > 900 m` compares like units.
+//
+// 4. Conversion (`convertTo`): Implements the `in` / `to` operator (e.g. `60 mph to km/h`),
+//    including temperature offsets.
+//
+// Currencies are units of the `currency` dimension. They are not built in: the exchange-rate
+// table (see js/services/ExchangeRateService.js) registers one unit per currency code at runtime.
+
+import { Decimal } from './decimal.js';
+import { ErrorCodes, CalculationError, unknownNameError } from './errors.js';
+
+// Names of the base dimensions, used in error messages.
+const dimensionNames = {
+  length: 'length',
+  mass: 'mass',
+  time: 'time',
+  temperature: 'temperature',
+  data: 'data size',
+  currency: 'currency'
+};
+
+// **Units Registry**
+// `factor` converts one unit into the base unit of its dimension (metre, kilogram, second, kelvin,
+// byte); a string such as '5/9' is an exact fraction. `offset` is added before applying the factor,
+// so kelvin = (°F + 459.67) * 5/9.
+const unitDefinitions = [
+  // Length
+  { symbol: 'm', dimension: { length: 1 }, factor: '1', aliases: ['meter', 'meters', 'metre', 'metres'] },
+  { symbol: 'mm', dimension: { length: 1 }, factor: '0.001', aliases: ['millimeter', 'millimeters', 'millimetre', 'millimetres'] },
+  { symbol: 'cm', dimension: { length: 1 }, factor: '0.01', aliases: ['centimeter', 'centimeters', 'centimetre', 'centimetres'] },
+  { symbol: 'km', dimension: { length: 1 }, factor: '1000', aliases: ['kilometer', 'kilometers', 'kilometre', 'kilometres'] },
+  { symbol: 'in', dimension: { length: 1 }, factor: '0.0254', aliases: ['inch', 'inches'] },
+  { symbol: 'ft', dimension: { length: 1 }, factor: '0.3048', aliases: ['foot', 'feet'] },
+  { symbol: 'yd', dimension: { length: 1 }, factor: '0.9144', aliases: ['yard', 'yards'] },
+  { symbol: 'mi', dimension: { length: 1 }, factor: '1609.344', aliases: ['mile', 'miles'] },
+  { symbol: 'nmi', dimension: { length: 1 }, factor: '1852', aliases: ['nauticalmile', 'nauticalmiles'] },
+
+  // Mass
+  { symbol: 'kg', dimension: { mass: 1 }, factor: '1', aliases: ['kilogram', 'kilograms', 'kilo', 'kilos'] },
+  { symbol: 'g', dimension: { mass: 1 }, factor: '0.001', aliases: ['gram', 'grams'] },
+  { symbol: 'mg', dimension: { mass: 1 }, factor: '0.000001', aliases: ['milligram', 'milligrams'] },
+  { symbol: 't', dimension: { mass: 1 }, factor: '1000', aliases: ['tonne', 'tonnes'] },
+  { symbol: 'lb', dimension: { mass: 1 }, factor: '0.45359237', aliases: ['lbs', 'pound', 'pounds'] },
+  { symbol: 'oz', dimension: { mass: 1 }, factor: '0.028349523125', aliases: ['ounce', 'ounces'] },
+  { symbol: 'st', dimension: { mass: 1 }, factor: '6.35029318', aliases: ['stone', 'stones'] },
+
+  // Time
+  { symbol: 's', dimension: { time: 1 }, factor: '1', aliases: ['sec', 'secs', 'second', 'seconds'] },
+  { symbol: 'ms', dimension: { time: 1 }, factor: '0.001', aliases: ['millisecond', 'milliseconds'] },
+  { symbol: 'min', dimension: { time: 1 }, factor: '60', aliases: ['mins', 'minute', 'minutes'] },
+  { symbol: 'h', dimension: { time: 1 }, factor: '3600', aliases: ['hr', 'hrs', 'hour', 'hours'] },
+  { symbol: 'day', dimension: { time: 1 }, factor: '86400', aliases: ['d', 'days'] },
+  { symbol: 'week', dimension: { time: 1 }, factor: '604800', aliases: ['wk', 'weeks'] },
+  { symbol: 'month', dimension: { time: 1 }, factor: '2629800', aliases: ['mo', 'months'] },
+  { symbol: 'year', dimension: { time: 1 }, factor: '31557600', aliases: ['yr', 'yrs', 'years'] },
+
+  // Temperature
+  { symbol: 'K', dimension: { temperature: 1 }, factor: '1', aliases: ['kelvin'] },
+  { symbol: '°C', dimension: { temperature: 1 }, factor: '1', offset: '273.15', aliases: ['C', 'degC', 'celsius'] },
+  { symbol: '°F', dimension: { temperature: 1 }, factor: '5/9', offset: '459.67', aliases: ['F', 'degF', 'fahrenheit'] },
+
+  // Area
+  { symbol: 'ha', dimension: { length: 2 }, factor: '10000', aliases: ['hectare', 'hectares'] },
+  { symbol: 'acre', dimension: { length: 2 }, factor: '4046.8564224', aliases: ['acres'] },
+  { symbol: 'sqm', dimension: { length: 2 }, factor: '1', aliases: [] },
+  { symbol: 'sqft', dimension: { length: 2 }, factor: '0.09290304', aliases: [] },
+
+  // Volume
+  { symbol: 'L', dimension: { length: 3 }, factor: '0.001', aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+  { symbol: 'mL', dimension: { length: 3 }, factor: '0.000001', aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+  { symbol: 'gal', dimension: { length: 3 }, factor: '0.003785411784', aliases: ['gallon', 'gallons'] },
+  { symbol: 'qt', dimension: { length: 3 }, factor: '0.000946352946', aliases: ['quart', 'quarts'] },
+  { symbol: 'pt', dimension: { length: 3 }, factor: '0.000473176473', aliases: ['pint', 'pints'] },
+  { symbol: 'cup', dimension: { length: 3 }, factor: '0.0002365882365', aliases: ['cups'] },
+  { symbol: 'floz', dimension: { length: 3 }, factor: '0.0000295735295625', aliases: [] },
+  { symbol: 'tbsp', dimension: { length: 3 }, factor: '0.00001478676478125', aliases: [] },
+  { symbol: 'tsp', dimension: { length: 3 }, factor: '0.00000492892159375', aliases: [] },
+
+  // Speed
+  { symbol: 'mph', dimension: { length: 1, time: -1 }, factor: '1609.344/3600', aliases: [] },
+  { symbol: 'kph', dimension: { length: 1, time: -1 }, factor: '1000/3600', aliases: [] },
+  { symbol: 'knot', dimension: { length: 1, time: -1 }, factor: '1852/3600', aliases: ['knots', 'kn'] },
+
+  // Force, energy and power
+  { symbol: 'N', dimension: { mass: 1, length: 1, time: -2 }, factor: '1', aliases: ['newton', 'newtons'] },
+  { symbol: 'J', dimension: { mass: 1, length: 2, time: -2 }, factor: '1', aliases: ['joule', 'joules'] },
+  { symbol: 'kJ', dimension: { mass: 1, length: 2, time: -2 }, factor: '1000', aliases: [] },
+  { symbol: 'kcal', dimension: { mass: 1, length: 2, time: -2 }, factor: '4184', aliases: [] },
+  { symbol: 'kWh', dimension: { mass: 1, length: 2, time: -2 }, factor: '3600000', aliases: [] },
+  { symbol: 'W', dimension: { mass: 1, length: 2, time: -3 }, factor: '1', aliases: ['watt', 'watts'] },
+  { symbol: 'kW', dimension: { mass: 1, length: 2, time: -3 }, factor: '1000', aliases: [] },
+
+  // Data sizes (decimal and binary prefixes)
+  { symbol: 'B', dimension: { data: 1 }, factor: '1', aliases: ['byte', 'bytes'] },
+  { symbol: 'bit', dimension: { data: 1 }, factor: '1/8', aliases: ['bits'] },
+  { symbol: 'kB', dimension: { data: 1 }, factor: '1000', aliases: ['KB'] },
+  { symbol: 'MB', dimension: { data: 1 }, factor: '1000000', aliases: [] },
+  { symbol: 'GB', dimension: { data: 1 }, factor: '1000000000', aliases: [] },
+  { symbol: 'TB', dimension: { data: 1 }, factor: '1000000000000', aliases: [] },
+  { symbol: 'KiB', dimension: { data: 1 }, factor: '1024', aliases: [] },
+  { symbol: 'MiB', dimension: { data: 1 }, factor: '1048576', aliases: [] },
+  { symbol: 'GiB', dimension: { data: 1 }, factor: '1073741824', aliases: [] },
+  { symbol: 'TiB', dimension: { data: 1 }, factor: '1099511627776', aliases: [] }
+];
+
+// Lookup tables built from the registry: canonical symbol -> unit, and any name -> canonical symbol.
+const units = new Map();
+const unitNames = new Map();
+
+// Adds a unit to the registry. Used for the built-in units above and for units defined at
+// runtime. `factor` may be a string fraction like '5/9', a number or a Decimal. `decimals`
+// fixes how many decimal places results in this unit are displayed with (e.g. 2 for money).
+function registerUnit({ symbol, dimension, factor, offset = '0', aliases = [], decimals }) {
+  const [numerator, denominator = '1'] = String(factor).split('/');
+  units.set(symbol, {
+    symbol,
+    dimension,
+    factor: { numerator, denominator },
+    offset: String(offset),
+    aliases,
+    decimals
+  });
+  for (const name of [symbol, ...aliases]) {
+    unitNames.set(name, symbol);
+  }
+}
+
+// Removes a runtime unit (and its aliases) from the registry.
+function unregisterUnit(symbol) {
+  const unit = units.get(symbol);
+  if (!unit) return;
+  units.delete(symbol);
+  for (const name of [symbol, ...unit.aliases]) {
+    if (unitNames.get(name) === symbol) unitNames.delete(name);
+  }
+}
+
+// Lists the registered units of one base dimension (e.g. 'currency') as registerUnit definitions,
+// so they can be registered again after being replaced.
+function unitsOfDimension(name) {
+  return [...units.values()]
+    .filter(unit => Object.keys(unit.dimension).length === 1 && unit.dimension[name] === 1)
+    .map(({ factor, ...unit }) => ({ ...unit, factor: `${factor.numerator}/${factor.denominator}` }));
+}
+
+unitDefinitions.forEach(registerUnit);
+
+// Checks whether a name refers to a known unit (by symbol or alias).
+function isUnitName(name) {
+  return unitNames.has(name);
+}
+
+// Checks whether a name is a unit of time (e.g. h, minutes, weeks), which can form durations.
+function isTimeUnit(name) {
+  const symbol = unitNames.get(name);
+  return Boolean(symbol) && sameDimension(units.get(symbol).dimension, { time: 1 });
+}
+
+// Resolves parsed unit terms (which may use aliases) to canonical unit terms.
+function resolveUnit(terms) {
+  return normalizeTerms(terms.map(({ name, power }) => {
+    const symbol = unitNames.get(name);
+    if (!symbol) throw unknownNameError(ErrorCodes.UNKNOWN_UNIT, `Unknown unit: ${name}`, name, [...unitNames.keys()]);
+    return { name: symbol, power };
+  }));
+}
+
+// **Unit Terms**
+
+// Merges repeated units and drops units whose powers cancel out.
+function normalizeTerms(terms) {
+  const merged = [];
+  for (const { name, power } of terms) {
+    const existing = merged.find(term => term.name === name);
+    if (existing) {
+      existing.power += power;
+    } else {
+      merged.push({ name, power });
+    }
+  }
+  return merged.filter(term => term.power !== 0);
+}
+
+// Computes the dimension of a list of unit terms, e.g. km/h -> { length: 1, time: -1 }.
+function dimensionOf(terms) {
+  const dimension = {};
+  for (const { name, power } of terms) {
+    for (const [base, exponent] of Object.entries(units.get(name).dimension)) {
+      dimension[base] = (dimension[base] || 0) + exponent * power;
+      if (dimension[base] === 0) delete dimension[base];
+    }
+  }
+  return dimension;
+}
+
+// Compares two dimensions.
+function sameDimension(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => (a[key] || 0) === (b[key] || 0));
+}
+
+// Describes a dimension for error messages, e.g. "length/time".
+function describeDimension(dimension) {
+  const describe = (entries) => entries
+    .map(([base, exponent]) => `${dimensionNames[base] || base}${Math.abs(exponent) === 1 ? '' : `^${Math.abs(exponent)}`}`)
+    .join('·');
+  const entries = Object.entries(dimension);
+  const numerator = describe(entries.filter(([, exponent]) => exponent > 0)) || '1';
+  const denominator = describe(entries.filter(([, exponent]) => exponent < 0));
+  if (entries.length === 0) return 'a plain number';
+  return denominator ? `${numerator}/${denominator}` : numerator;
+}
+
+// Computes the combined conversion factor of unit terms as an exact fraction.
+function factorOf(terms) {
+  let numerator = new Decimal(1);
+  let denominator = new Decimal(1);
+  for (const { name, power } of terms) {
+    const { factor } = units.get(name);
+    const [top, bottom] = power > 0 ? [factor.numerator, factor.denominator] : [factor.denominator, factor.numerator];
+    numerator = numerator.times(new Decimal(top).pow(Math.abs(power)));
+    denominator = denominator.times(new Decimal(bottom).pow(Math.abs(power)));
+  }
+  return { numerator, denominator };
+}
+
+// Returns the offset of a unit (only a single, non-compound unit such as °C can have one).
+function offsetOf(terms) {
+  if (terms.length === 1 && terms[0].power === 1) {
+    return new Decimal(units.get(terms[0].name).offset);
+  }
+  return new Decimal(0);
+}
+
+// Renders unit terms as a label, e.g. "km/h", "m/s^2" or "kg·m".
+function unitLabel(terms) {
+  const render = ({ name, power }) => (Math.abs(power) === 1 ? name : `${name}^${Math.abs(power)}`);
+  const numerator = terms.filter(term => term.power > 0).map(render);
+  const denominator = terms.filter(term => term.power < 0).map(render);
+  const top = numerator.join('·') || '1';
+  if (denominator.length === 0) return top;
+  return denominator.length === 1 ? `${top}/${denominator[0]}` : `${top}/(${denominator.join('·')})`;
+}
+
+// Returns the number of decimal places to display for a unit, or undefined for full precision.
+// Only single units such as USD have a fixed number of decimals; compound units do not.
+function displayDecimals(terms) {
+  if (terms.length === 1 && terms[0].power === 1) {
+    return units.get(terms[0].name)?.decimals;
+  }
+  return undefined;
+}
+
+// **Quantity Value Type**
+// A number with a unit. `value` is expressed in `unit` (not in base units).
+class Quantity {
+  constructor(value, unit) {
+    this.value = value;
+    this.unit = unit;
+  }
+
+  // The unit label, e.g. "km/h".
+  get label() {
+    return unitLabel(this.unit);
+  }
+
+  isNaN() {
+    return this.value.isNaN();
+  }
+
+  toString() {
+    return `${this.value.toString()} ${this.label}`;
+  }
+}
+
+// Checks whether a value is a Quantity.
+function isQuantity(value) {
+  return value instanceof Quantity;
+}
+
+// Checks whether a value is a duration (a quantity of time such as 3 weeks or 2.5 h).
+function isDuration(value) {
+  return isQuantity(value) && sameDimension(dimensionOf(value.unit), { time: 1 });
+}
+
+// Creates a Quantity, or a plain Decimal when the unit cancels out completely.
+function createQuantity(value, unit) {
+  const terms = normalizeTerms(unit);
+  if (terms.length === 0) return value;
+  if (Object.keys(dimensionOf(terms)).length === 0) {
+    // Dimensionless (e.g. km/m): fold the conversion factor into the number.
+    const { numerator, denominator } = factorOf(terms);
+    return value.times(numerator).dividedBy(denominator);
+  }
+  return new Quantity(value, terms);
+}
+
+// Splits a value into its number and unit terms; plain Decimals have no unit.
+function split(value) {
+  return isQuantity(value) ? [value.value, value.unit] : [value, []];
+}
+
+// Converts a number between units of the same dimension. With `absolute`, offsets are applied
+// (20 °C is 68 °F); without it the number is a difference (a change of 20 °C is 36 °F).
+function convertValue(value, fromTerms, toTerms, absolute) {
+  const from = factorOf(fromTerms);
+  const to = factorOf(toTerms);
+  const fromOffset = absolute ? offsetOf(fromTerms) : new Decimal(0);
+  const toOffset = absolute ? offsetOf(toTerms) : new Decimal(0);
+  return value.plus(fromOffset)
+    .times(from.numerator).times(to.denominator)
+    .dividedBy(from.denominator.times(to.numerator))
+    .minus(toOffset);
+}
+
+// Throws a descriptive error unless two unit term lists have the same dimension.
+function assertCompatible(fromTerms, toTerms, action) {
+  const fromDimension = dimensionOf(fromTerms);
+  const toDimension = dimensionOf(toTerms);
+  if (!sameDimension(fromDimension, toDimension)) {
+    const fromLabel = fromTerms.length ? unitLabel(fromTerms) : 'a plain number';
+    const toLabel = toTerms.length ? unitLabel(toTerms) : 'a plain number';
+    throw new CalculationError(ErrorCodes.UNIT_MISMATCH, `Cannot ${action} ${fromLabel} (${describeDimension(fromDimension)}) and ${toLabel} (${describeDimension(toDimension)})`);
+  }
+}
+
+// **Unit-aware Arithmetic**
+
+// Adds or subtracts two values with compatible units, in the left operand's unit.
+// A plain number combined with a quantity is taken to be in the quantity's unit (5 km + 3 = 8 km).
+function addOrSubtract(left, right, subtracting) {
+  const [leftValue, leftUnit] = split(left);
+  const [rightValue, rightUnit] = split(right);
+  const combine = (a, b) => (subtracting ? a.minus(b) : a.plus(b));
+
+  if (leftUnit.length === 0 || rightUnit.length === 0) {
+    return createQuantity(combine(leftValue, rightValue), leftUnit.length ? leftUnit : rightUnit);
+  }
+  assertCompatible(leftUnit, rightUnit, subtracting ? 'subtract' : 'add');
+  return createQuantity(combine(leftValue, convertValue(rightValue, rightUnit, leftUnit, false)), leftUnit);
+}
+
+function add(left, right) {
+  return addOrSubtract(left, right, false);
+}
+
+function subtract(left, right) {
+  return addOrSubtract(left, right, true);
+}
+
+// Multiplies or divides two values, combining their units. Units on the right that share a
+// dimension with a unit on the left are converted first, so km * m becomes km^2 (not km·m).
+function multiplyOrDivide(left, right, dividing) {
+  const [leftValue, leftUnit] = split(left);
+  let [rightValue, rightUnit] = split(right);
+
+  rightUnit = rightUnit.map(({ name, power }) => {
+    const match = leftUnit.find(term => term.name !== name &&
+      sameDimension(units.get(term.name).dimension, units.get(name).dimension));
+    if (!match) return { name, power };
+    rightValue = convertValue(rightValue, [{ name, power }], [{ name: match.name, power }], false);
+    return { name: match.name, power };
+  });
+
+  if (dividing) {
+    if (rightValue.isZero()) return new Decimal(NaN);
+    const inverted = rightUnit.map(({ name, power }) => ({ name, power: -power }));
+    return createQuantity(leftValue.dividedBy(rightValue), [...leftUnit, ...inverted]);
+  }
+  return createQuantity(leftValue.times(rightValue), [...leftUnit, ...rightUnit]);
+}
+
+function multiply(left, right) {
+  return multiplyOrDivide(left, right, false);
+}
+
+function divide(left, right) {
+  return multiplyOrDivide(left, right, true);
+}
+
+// Computes the remainder; with units, both operands must share a dimension.
+function modulo(left, right) {
+  const [leftValue, leftUnit] = split(left);
+  const [rightValue, rightUnit] = split(right);
+  if (rightUnit.length > 0) {
+    assertCompatible(leftUnit, rightUnit, 'take the remainder of');
+  }
+  const divisor = rightUnit.length ? convertValue(rightValue, rightUnit, leftUnit, false) : rightValue;
+  if (divisor.isZero()) return new Decimal(NaN);
+  return createQuantity(leftValue.modulo(divisor), leftUnit);
+}
+
+// Raises a value to a power. A quantity can only be raised to a whole-number power.
+function power(base, exponent) {
+  if (isQuantity(exponent)) {
+    throw new CalculationError(ErrorCodes.UNIT_MISMATCH, `Exponent cannot have a unit (${exponent.label})`);
+  }
+  if (!isQuantity(base)) return base.pow(exponent);
+  if (!exponent.isInteger()) {
+    throw new CalculationError(ErrorCodes.UNIT_MISMATCH, `Cannot raise ${base.label} to a fractional power`);
+  }
+  const n = exponent.toNumber();
+  return createQuantity(base.value.pow(exponent), base.unit.map(term => ({ name: term.name, power: term.power * n })));
+}
+
+// Negates a value, keeping its unit.
+function negate(value) {
+  return isQuantity(value) ? new Quantity(value.value.negated(), value.unit) : value.negated();
+}
+
+// Compares two values, converting the right one into the left one's unit (20 °C > 60 °F).
+// Returns -1, 0 or 1, or NaN when either number is NaN.
+function compareValues(left, right) {
+  const [leftValue, leftUnit] = split(left);
+  const [rightValue, rightUnit] = split(right);
+  if (leftUnit.length === 0 || rightUnit.length === 0) {
+    return leftValue.comparedTo(rightValue);
+  }
+  assertCompatible(leftUnit, rightUnit, 'compare');
+  return leftValue.comparedTo(convertValue(rightValue, rightUnit, leftUnit, true));
+}
+
+// **Conversion**
+// Implements `value to unit` / `value in unit`. A plain number simply takes on the unit.
+function convertTo(value, unit) {
+  if (!isQuantity(value)) {
+    return createQuantity(value, unit);
+  }
+  assertCompatible(value.unit, unit, 'convert between');
+  return new Quantity(convertValue(value.value, value.unit, unit, true), unit);
+}
+
+// Export the registry helpers, the Quantity type and unit-aware arithmetic for the parser and evaluator.
+export {
+  Quantity, isQuantity, isDuration, createQuantity, isUnitName, isTimeUnit, resolveUnit, registerUnit, unregisterUnit, unitLabel,
+  displayDecimals, unitsOfDimension,
+  add, subtract, multiply, divide, modulo, power, negate, compareValues, convertTo
+};
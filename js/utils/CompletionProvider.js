@@ -0,0 +1,218 @@
+import { Keywords } from '../lexerParser.js';
+import { functions, constants } from '../evaluator.js';
+import { dateKeywords } from '../dates.js';
+
+/**
+ * Completion Provider - Works out what can be typed at the cursor for editor autocomplete
+ *
+ * Offers the variables and functions defined on lines above the cursor, the names brought in
+ * by `import` lines above it, built-in functions (with their signatures), constants and
+ * keywords. After `#` it offers the document's line labels instead. Matches on a prefix rank
+ * first, then on a substring, then on the letters in order (so `gt` finds `grandTotal`).
+ * Definitions come from the last calculation (see CalculationEngine.processLines), so the
+ * document is not lexed again on every keystroke.
+ */
+export class CompletionProvider {
+  /**
+   * Most completions offered at once
+   */
+  static LIMIT = 50;
+
+  /**
+   * Order of kinds among equally good matches
+   */
+  static #KIND_ORDER = ['variable', 'function', 'label', 'builtin', 'constant', 'keyword'];
+
+  /**
+   * What the block keywords (Keywords.BLOCK and Keywords.PREVIOUS), which CalculationEngine
+   * computes from the lines above, stand for
+   */
+  static #KEYWORD_DETAILS = {
+    total: 'sum of the block above',
+    subtotal: 'sum of the block above',
+    above: 'numbers in the block above',
+    prev: 'result of the line above',
+    ans: 'result of the line above'
+  };
+
+  /**
+   * Find the completions for the word at the cursor
+   * @param {string} content - Editor content
+   * @param {number} cursor - Cursor offset
+   * @param {Object} [scope] - What the last calculation found
+   * @param {Object} [scope.variables] - Variable values (or their text) by name, from processLines
+   * @param {Array} [scope.results] - Result rows, used for the signatures of user functions
+   * @param {Array} [scope.definitions] - What each line defines, from processLines
+   * @returns {{from: number, to: number, query: string, items: Array<Object>}|null} Range to
+   *   replace and the items `{label, insert, kind, detail}`, or null when nothing applies
+   */
+  static complete(content, cursor, { variables = {}, results = [], definitions = [] } = {}) {
+    const context = CompletionProvider.#wordAt(content, cursor);
+    if (!context) return null;
+
+    const candidates = context.label
+      ? CompletionProvider.#labels(definitions)
+      : [
+        ...CompletionProvider.#definitionsAbove(definitions, context.line, variables, results),
+        ...CompletionProvider.#builtins()
+      ];
+
+    // A document's own definitions come first, so they hide built-ins of the same name
+    const unique = [...new Map(candidates.reverse().map(item => [item.name, item])).values()];
+    const items = unique
+      .map(item => ({ item, rank: CompletionProvider.#rank(item.name, context.query) }))
+      .filter(({ item, rank }) => rank !== null && item.name !== context.query)
+      .sort((a, b) => a.rank - b.rank ||
+        CompletionProvider.#KIND_ORDER.indexOf(a.item.kind) - CompletionProvider.#KIND_ORDER.indexOf(b.item.kind) ||
+        (b.item.definedOn ?? -1) - (a.item.definedOn ?? -1) ||
+        a.item.name.localeCompare(b.item.name))
+      .slice(0, CompletionProvider.LIMIT)
+      .map(({ item: { name, definedOn, ...item } }) => item);
+
+    if (items.length === 0) return null;
+    return { from: context.from, to: context.to, query: context.query, items };
+  }
+
+  /**
+   * Find the word being typed at the cursor
+   * Nothing is completed in comments, headings, strings, document references or right after a
+   * digit (where a unit is being typed, as in `5km`)
+   * @param {string} content - Editor content
+   * @param {number} cursor - Cursor offset
+   * @returns {{from: number, to: number, query: string, line: number, label: boolean}|null} Word context
+   */
+  static #wordAt(content, cursor) {
+    const lineStart = content.lastIndexOf('\n', cursor - 1) + 1;
+    const before = content.slice(lineStart, cursor);
+    const after = content.slice(cursor).match(/^[A-Za-z0-9]*/)[0];
+    const line = content.slice(0, lineStart).split('\n').length - 1;
+
+    const trimmed = before.trimStart();
+    if (trimmed.startsWith('//') || (/^#(#|\s|$)/.test(trimmed) && !/^#[A-Za-z]*$/.test(trimmed))) return null;
+    if (before.includes('//') || (before.match(/"/g) ?? []).length % 2 === 1 || /@"[^"]*"\.[A-Za-z0-9]*$/.test(before)) {
+      return null;
+    }
+
+    const label = /#([A-Za-z][A-Za-z0-9]*)?$/.exec(before);
+    if (label) {
+      const query = label[1] ?? '';
+      return { from: cursor - query.length, to: cursor + after.length, query, line, label: true };
+    }
+
+    const word = /(^|[^A-Za-z0-9°])([A-Za-z][A-Za-z0-9]*)$/.exec(before);
+    if (!word) return null;
+    const query = word[2];
+    return { from: cursor - query.length, to: cursor + after.length, query, line, label: false };
+  }
+
+  /**
+   * Rank how well a name matches what was typed
+   * @param {string} name - Candidate name
+   * @param {string} query - Typed text
+   * @returns {number|null} 0 for a prefix, 1 for a prefix ignoring case, 2 for a substring,
+   *   3 for the letters in order, or null for no match
+   */
+  static #rank(name, query) {
+    if (name.startsWith(query)) return 0;
+    const lowerName = name.toLowerCase();
+    const lowerQuery = query.toLowerCase();
+    if (lowerName.startsWith(lowerQuery)) return 1;
+    if (lowerName.includes(lowerQuery)) return 2;
+
+    let position = 0;
+    for (const char of lowerQuery) {
+      position = lowerName.indexOf(char, position) + 1;
+      if (position === 0) return null;
+    }
+    return 3;
+  }
+
+  /**
+   * List the variables and functions defined on the lines above one line
+   * @param {Array} definitions - Definitions from the last calculation
+   * @param {number} cursorLine - 0-based line of the cursor
+   * @param {Object} variables - Variable values by name
+   * @param {Array} results - Result rows
+   * @returns {Array<Object>} Candidates
+   */
+  static #definitionsAbove(definitions, cursorLine, variables, results) {
+    const defined = new Map();
+    let importedOn = null;
+
+    for (const { name, line, kind } of definitions) {
+      if (line >= cursorLine) break;
+      if (kind === 'import') {
+        importedOn ??= line;
+      } else if (kind !== 'label' && !defined.has(name)) {
+        defined.set(name, { index: line, kind });
+      }
+    }
+
+    const items = [];
+    for (const [name, { index, kind }] of defined) {
+      const detail = kind === 'function'
+        ? results[index]?.value ?? `${name}()`
+        : CompletionProvider.#describeValue(variables[name]);
+      items.push({
+        name,
+        label: name,
+        insert: kind === 'function' ? `${name}(` : name,
+        kind,
+        detail,
+        definedOn: index
+      });
+    }
+
+    // Names an import line above brought in are variables without a defining line in this document
+    if (importedOn !== null) {
+      for (const name of Object.keys(variables)) {
+        if (defined.has(name)) continue;
+        items.push({
+          name, label: name, insert: name, kind: 'variable', detail: CompletionProvider.#describeValue(variables[name]),
+          definedOn: importedOn
+        });
+      }
+    }
+    return items;
+  }
+
+  /**
+   * List the line labels of the document, offered after `#`
+   * @param {Array} definitions - Definitions from the last calculation
+   * @returns {Array<Object>} Candidates
+   */
+  static #labels(definitions) {
+    return definitions
+      .filter(({ kind }) => kind === 'label')
+      .map(({ name, line }) => ({ name, label: `#${name}`, insert: name, kind: 'label', detail: `line ${line + 1}` }));
+  }
+
+  /**
+   * List the built-in functions, constants and keywords
+   * @returns {Array<Object>} Candidates
+   */
+  static #builtins() {
+    return [
+      ...Object.entries(functions).map(([name, { signature }]) => ({
+        name, label: name, insert: `${name}(`, kind: 'builtin', detail: signature
+      })),
+      { name: 'if', label: 'if', insert: 'if(', kind: 'builtin', detail: 'if(condition, then, else)' },
+      ...Object.keys(constants).map(name => ({ name, label: name, insert: name, kind: 'constant', detail: 'constant' })),
+      ...Object.keys(dateKeywords).map(name => ({ name, label: name, insert: name, kind: 'constant', detail: 'date' })),
+      ...[...Keywords.BLOCK, ...Keywords.PREVIOUS].map(name => ({
+        name, label: name, insert: name, kind: 'keyword', detail: CompletionProvider.#KEYWORD_DETAILS[name] ?? 'keyword'
+      }))
+    ];
+  }
+
+  /**
+   * Describe a variable's value for the completion list
+   * @param {*} value - Value, or its text from the calculation worker
+   * @returns {string} Short description
+   */
+  static #describeValue(value) {
+    if (value === undefined) return '';
+    const text = typeof value === 'object' && value !== null && value.type === 'function' ? 'function' : String(value);
+    return text.length > 24 ? `= ${text.slice(0, 23)}…` : `= ${text}`;
+  }
+}
@@ -0,0 +1,192 @@
+import { TokenTypes, lexer } from '../lexerParser.js';
+
+/**
+ * Line Reference Tracker - Keeps absolute line references (#N) pointing at the same
+ * logical line when lines are inserted, deleted or moved, like spreadsheets do for cells
+ *
+ * Relative references (#-1) and labels (#subtotal) follow the text by design and are
+ * never rewritten. A reference to a deleted line becomes #REF, so it shows an error
+ * instead of silently pointing at whichever line moved into its place.
+ */
+export class LineReferenceTracker {
+  /**
+   * Placeholder written in place of a reference to a deleted line
+   */
+  static DELETED_REFERENCE = '#REF';
+
+  /**
+   * Work out which line of the new content each line of the previous content became
+   *
+   * Unchanged lines at the start and end keep their identity. Inside the changed block,
+   * lines whose text is still present are treated as moved; the remaining lines are paired
+   * in order (an edited or split line keeps its identity) and any left over were deleted.
+   * @param {string[]} oldLines - Lines before the edit
+   * @param {string[]} newLines - Lines after the edit
+   * @returns {Array<number|null>} 0-based new index for each old line, or null if deleted
+   */
+  static mapLines(oldLines, newLines) {
+    const map = new Array(oldLines.length).fill(null);
+    const shortest = Math.min(oldLines.length, newLines.length);
+
+    let prefix = 0;
+    while (prefix < shortest && oldLines[prefix] === newLines[prefix]) {
+      map[prefix] = prefix;
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < shortest - prefix &&
+      oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+      map[oldLines.length - 1 - suffix] = newLines.length - 1 - suffix;
+      suffix++;
+    }
+
+    // Lines whose text reappears elsewhere in the changed block were moved
+    const unusedNew = [];
+    for (let j = prefix; j < newLines.length - suffix; j++) {
+      unusedNew.push(j);
+    }
+    const unmatchedOld = [];
+    for (let i = prefix; i < oldLines.length - suffix; i++) {
+      const position = unusedNew.findIndex(j => newLines[j] === oldLines[i]);
+      if (position === -1) {
+        unmatchedOld.push(i);
+      } else {
+        map[i] = unusedNew[position];
+        unusedNew.splice(position, 1);
+      }
+    }
+
+    // Pair what is left in order: these lines were edited rather than replaced
+    unmatchedOld.forEach((i, k) => {
+      if (k < unusedNew.length) {
+        map[i] = unusedNew[k];
+      }
+    });
+
+    return map;
+  }
+
+  /**
+   * Rewrite the #N references in edited content so they follow their lines
+   * @param {string} previous - Content before the edit
+   * @param {string} content - Content after the edit
+   * @param {number} [cursor] - Cursor offset in the edited content
+   * @returns {{content: string, cursor: number}} Renumbered content and adjusted cursor
+   */
+  static renumber(previous, content, cursor = content.length) {
+    const oldLines = previous.split('\n');
+    const newLines = content.split('\n');
+    const map = this.mapLines(oldLines, newLines);
+
+    if (map.every((target, index) => target === index)) {
+      return { content, cursor };
+    }
+
+    let offset = 0;
+    let newCursor = cursor;
+    const lines = newLines.map(line => {
+      const edits = this.#referenceEdits(line, map);
+      let rewritten = line;
+      // Apply right to left so earlier spans stay valid
+      for (const edit of edits.reverse()) {
+        rewritten = rewritten.slice(0, edit.start) + edit.text + rewritten.slice(edit.end);
+        const start = offset + edit.start;
+        const end = offset + edit.end;
+        if (cursor >= end) {
+          newCursor += edit.text.length - (edit.end - edit.start);
+        } else if (cursor > start) {
+          newCursor += Math.min(cursor - start, edit.text.length) - (cursor - start);
+        }
+      }
+      offset += line.length + 1;
+      return rewritten;
+    });
+
+    return { content: lines.join('\n'), cursor: newCursor };
+  }
+
+  /**
+   * Find the references in a line that must change
+   * @param {string} line - Line text
+   * @param {Array<number|null>} map - Line map from mapLines
+   * @returns {Array<{start: number, end: number, text: string}>} Edits in line order
+   */
+  static #referenceEdits(line, map) {
+    let tokens;
+    try {
+      tokens = lexer(line);
+    } catch (error) {
+      return []; // Leave lines we cannot read untouched
+    }
+
+    const edits = [];
+    const isAbsolute = (token) => token?.type === TokenTypes.LINEREF &&
+      typeof token.value === 'number' && token.value > 0;
+
+    for (let t = 0; t < tokens.length; t++) {
+      const token = tokens[t];
+      if (!isAbsolute(token)) continue;
+
+      const rangeEnd = tokens[t + 1]?.type === TokenTypes.RANGE && isAbsolute(tokens[t + 2])
+        ? tokens[t + 2]
+        : null;
+
+      if (rangeEnd) {
+        // A range shrinks to the lines that survive, like deleting rows inside a spreadsheet range
+        const [from, to] = this.#mapRange(token.value, rangeEnd.value, map);
+        edits.push(this.#edit(token, from), this.#edit(rangeEnd, to));
+        t += 2;
+      } else {
+        edits.push(this.#edit(token, this.#mapLine(token.value, map)));
+      }
+    }
+
+    return edits.filter(edit => edit.text !== line.slice(edit.start, edit.end));
+  }
+
+  /**
+   * Map a 1-based line number through the line map
+   * @param {number} line - Line number before the edit
+   * @param {Array<number|null>} map - Line map from mapLines
+   * @returns {string} Reference text after the edit
+   */
+  static #mapLine(line, map) {
+    if (line > map.length) {
+      return `#${line}`; // Already pointed past the end; nothing to follow
+    }
+    const target = map[line - 1];
+    return target === null ? this.DELETED_REFERENCE : `#${target + 1}`;
+  }
+
+  /**
+   * Map the two ends of a line range, dropping deleted lines at either end
+   * @param {number} from - First line of the range before the edit
+   * @param {number} to - Last line of the range before the edit
+   * @param {Array<number|null>} map - Line map from mapLines
+   * @returns {string[]} Reference texts for both ends
+   */
+  static #mapRange(from, to, map) {
+    if (from > to || to > map.length) {
+      return [this.#mapLine(from, map), this.#mapLine(to, map)];
+    }
+    let first = from;
+    let last = to;
+    while (first <= last && map[first - 1] === null) first++;
+    while (last >= first && map[last - 1] === null) last--;
+    if (first > last) {
+      return [this.DELETED_REFERENCE, this.DELETED_REFERENCE];
+    }
+    return [this.#mapLine(first, map), this.#mapLine(last, map)];
+  }
+
+  /**
+   * Build an edit replacing a token's text
+   * @param {Object} token - Token with start/end span
+   * @param {string} text - Replacement text
+   * @returns {{start: number, end: number, text: string}} Edit
+   */
+  static #edit(token, text) {
+    return { start: token.start, end: token.end, text };
+  }
+}
@@ -0,0 +1,185 @@
+import { TokenTypes, Keywords, lexer } from '../lexerParser.js';
+import { functions, constants } from '../evaluator.js';
+import { dateKeywords } from '../dates.js';
+import { TextSearch } from './TextSearch.js';
+
+/**
+ * Symbol Renamer - Renames a variable or function throughout a document
+ *
+ * Works on the identifier token spans from lexer() (see TextSearch.identifiers), so only
+ * real uses of the name change: `rates`, the unit in `5 m`, comments and strings are left
+ * alone. A line label (`sub: …`) also defines a variable, so it is renamed together with its
+ * `#sub` references. Other documents can be updated too: `@"Sheet".name` references to the renamed
+ * variable, and uses of the name in documents that `import "Sheet"` without defining it.
+ */
+export class SymbolRenamer {
+  /**
+   * Words the parser gives a meaning of its own, which cannot name a variable
+   */
+  static #RESERVED = new Set(Keywords.ALL);
+
+  /**
+   * Find the variable or function name at an offset
+   * @param {string} content - Document text
+   * @param {number} offset - Offset, e.g. of the cursor; the end of a name counts as on it
+   * @returns {{name: string, start: number, end: number}|null} Name and its span, or null
+   */
+  static symbolAt(content, offset) {
+    const symbol = SymbolRenamer.#symbols(content).find(({ start, end }) => start <= offset && offset <= end);
+    return symbol ? { name: symbol.name, start: symbol.start, end: symbol.end } : null;
+  }
+
+  /**
+   * Find the places a name is used in a document
+   * @param {string} content - Document text
+   * @param {string} name - Variable, function or label name
+   * @returns {Array<{name: string, start: number, end: number}>} Spans of the name, in order
+   */
+  static uses(content, name) {
+    return SymbolRenamer.#symbols(content).filter(symbol => symbol.name === name);
+  }
+
+  /**
+   * Check a new name for a symbol
+   * @param {string} newName - Proposed name
+   * @param {string} oldName - Current name
+   * @param {string} content - Document text
+   * @returns {string|null} Why the name cannot be used, or null if it can
+   */
+  static validate(newName, oldName, content) {
+    if (!/^[A-Za-z][A-Za-z0-9]*$/.test(newName)) {
+      return 'Use letters and digits, starting with a letter';
+    }
+    if (SymbolRenamer.#RESERVED.has(newName) || Object.hasOwn(functions, newName) ||
+        Object.hasOwn(constants, newName) || Object.hasOwn(dateKeywords, newName)) {
+      return `"${newName}" is a built-in name`;
+    }
+    if (newName !== oldName && SymbolRenamer.uses(content, newName).length > 0) {
+      return `"${newName}" is already used in this document`;
+    }
+    return null;
+  }
+
+  /**
+   * Rename every use of a name in a document
+   * @param {string} content - Document text
+   * @param {string} oldName - Current name
+   * @param {string} newName - New name
+   * @returns {{content: string, count: number}} New text and the number of places changed
+   */
+  static rename(content, oldName, newName) {
+    const spans = SymbolRenamer.uses(content, oldName);
+    return { content: SymbolRenamer.#apply(content, spans, newName), count: spans.length };
+  }
+
+  /**
+   * Rename the uses of another document's variable
+   * @param {string} content - Text of the document that may refer to the renamed variable
+   * @param {string} documentName - Name of the document whose variable is renamed
+   * @param {string} oldName - Current name
+   * @param {string} newName - New name
+   * @returns {{content: string, count: number}} New text and the number of places changed
+   */
+  static renameReferences(content, documentName, oldName, newName) {
+    const spans = [];
+    let imports = false;
+    let defines = false;
+    let lineStart = 0;
+
+    for (const line of content.split('\n')) {
+      const offset = lineStart + line.length - line.trimStart().length;
+      lineStart += line.length + 1;
+
+      const tokens = SymbolRenamer.#tokens(line);
+      if (!tokens) continue;
+
+      for (const token of tokens) {
+        // The name is the last part of @"Document".name
+        if (token.type === TokenTypes.DOCREF && token.value.document === documentName && token.value.name === oldName) {
+          spans.push({ start: offset + token.end - oldName.length, end: offset + token.end });
+        }
+      }
+
+      // `name: expression` labels the line; the expression may itself be an import or a definition
+      const statement = tokens[0]?.type === TokenTypes.VARIABLE && tokens[1]?.type === TokenTypes.COLON
+        ? tokens.slice(2)
+        : tokens;
+      const [first, second] = statement;
+      if (first?.type !== TokenTypes.VARIABLE) continue;
+      if (first.value === 'import' && second?.type === TokenTypes.STRING && second.value === documentName) {
+        imports = true;
+      } else if (first.value === oldName && (second?.type === TokenTypes.ASSIGN ||
+          (second?.type === TokenTypes.LPAREN && statement.some(token => token.type === TokenTypes.ASSIGN)))) {
+        defines = true;
+      }
+    }
+
+    // An imported name is used like one of the document's own, unless the document defines it too
+    if (imports && !defines) {
+      spans.push(...TextSearch.identifiers(content).filter(({ name }) => name === oldName));
+    }
+
+    spans.sort((a, b) => a.start - b.start);
+    return { content: SymbolRenamer.#apply(content, spans, newName), count: spans.length };
+  }
+
+  /**
+   * List every name in a document: identifiers, line labels and the labels of `#label` references
+   * @param {string} content - Document text
+   * @returns {Array<{name: string, start: number, end: number}>} Names in order
+   */
+  static #symbols(content) {
+    const symbols = TextSearch.identifiers(content);
+    let lineStart = 0;
+
+    for (const line of content.split('\n')) {
+      const offset = lineStart + line.length - line.trimStart().length;
+      lineStart += line.length + 1;
+
+      const tokens = SymbolRenamer.#tokens(line);
+      if (!tokens) continue;
+
+      tokens.forEach((token, index) => {
+        if (index === 0 && token.type === TokenTypes.VARIABLE && tokens[1]?.type === TokenTypes.COLON) {
+          symbols.push({ name: token.value, start: offset + token.start, end: offset + token.end });
+        } else if (token.type === TokenTypes.LINEREF && typeof token.value === 'string') {
+          // The label follows the `#`
+          symbols.push({ name: token.value, start: offset + token.start + 1, end: offset + token.end });
+        }
+      });
+    }
+    return symbols.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Replace spans of a text with a name
+   * @param {string} content - Text
+   * @param {Array<{start: number, end: number}>} spans - Spans in order, not overlapping
+   * @param {string} newName - Replacement
+   * @returns {string} New text
+   */
+  static #apply(content, spans, newName) {
+    let result = '';
+    let position = 0;
+    for (const { start, end } of spans) {
+      result += content.slice(position, start) + newName;
+      position = end;
+    }
+    return result + content.slice(position);
+  }
+
+  /**
+   * Lex a line, skipping comments, headings and lines the lexer cannot read
+   * @param {string} line - Line text
+   * @returns {Array|null} Tokens, or null
+   */
+  static #tokens(line) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('//') || /^#(#|\s|$)/.test(trimmed)) return null;
+    try {
+      return lexer(trimmed);
+    } catch {
+      return null;
+    }
+  }
+}
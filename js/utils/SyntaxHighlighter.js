@@ -0,0 +1,211 @@
+import { TokenTypes, Keywords, lexer } from '../lexerParser.js';
+import { isUnitName } from '../units.js';
+import { constants } from '../evaluator.js';
+
+/**
+ * Syntax Highlighter - Renders document text as HTML with a class for each kind of token
+ *
+ * Lines are split with the same lexer the calculator uses, so the colours follow the token
+ * spans it reports. Comment and heading lines follow the rules of CalculationEngine; lines the
+ * lexer cannot read are shown as plain text. Errors from the last calculation of a line are
+ * underlined at their span (see js/errors.js), and find bar matches are marked.
+ */
+export class SyntaxHighlighter {
+  // Least recently used lines are evicted first; Map keeps keys in insertion order
+  static #cache = new Map();
+  static #CACHE_LIMIT = 2000;
+  static #cacheLimit = SyntaxHighlighter.#CACHE_LIMIT;
+
+  /**
+   * Words the parser treats as keywords rather than variables
+   */
+  static #KEYWORDS = new Set(Keywords.ALL);
+
+  /**
+   * Class for each token type that does not depend on its neighbours
+   */
+  static #TOKEN_CLASSES = {
+    [TokenTypes.NUMBER]: 'hl-number',
+    [TokenTypes.DATE]: 'hl-number',
+    [TokenTypes.CURRENCY]: 'hl-unit',
+    [TokenTypes.OPERATOR]: 'hl-operator',
+    [TokenTypes.ASSIGN]: 'hl-operator',
+    [TokenTypes.QUESTION]: 'hl-operator',
+    [TokenTypes.COLON]: 'hl-operator',
+    [TokenTypes.RANGE]: 'hl-operator',
+    [TokenTypes.LPAREN]: 'hl-punctuation',
+    [TokenTypes.RPAREN]: 'hl-punctuation',
+    [TokenTypes.LBRACKET]: 'hl-punctuation',
+    [TokenTypes.RBRACKET]: 'hl-punctuation',
+    [TokenTypes.COMMA]: 'hl-punctuation',
+    [TokenTypes.LINEREF]: 'hl-reference',
+    [TokenTypes.DOCREF]: 'hl-reference',
+    [TokenTypes.STRING]: 'hl-string'
+  };
+
+  /**
+   * Highlight each line of a document
+   * @param {string[]} lines - Document lines
+   * @param {Array<Object|undefined>} [marks] - Marks from the last calculation of each line, see highlightLine
+   * @returns {string[]} HTML of each line
+   */
+  static highlightLines(lines, marks = []) {
+    // Room for every line of this document, plus the variants of lines being edited
+    SyntaxHighlighter.#cacheLimit = lines.length + SyntaxHighlighter.#CACHE_LIMIT;
+    return lines.map((line, index) => SyntaxHighlighter.highlightLine(line, marks[index]));
+  }
+
+  /**
+   * Highlight one line
+   * @param {string} line - Line text
+   * @param {Object} [marks] - What the last calculation of the line found
+   * @param {boolean} [marks.prose] - The line is a plain sentence, not an expression
+   * @param {{start: number, end: number}|null} [marks.errorSpan] - Error span in the trimmed line
+   * @param {Array<{start: number, end: number, current: boolean}>} [marks.matches] - Search matches in the line
+   * @returns {string} HTML
+   */
+  static highlightLine(line, { prose = false, errorSpan = null, matches = [] } = {}) {
+    const matchKey = matches.map(({ start, end, current }) => `${start}-${end}${current ? '*' : ''}`).join(',');
+    const key = `${prose ? 1 : 0}:${errorSpan ? `${errorSpan.start}-${errorSpan.end}` : ''}:${matchKey}:${line}`;
+    const cache = SyntaxHighlighter.#cache;
+    const cached = cache.get(key);
+    if (cached !== undefined) {
+      cache.delete(key);
+      cache.set(key, cached);
+      return cached;
+    }
+
+    const html = SyntaxHighlighter.#render(line, prose, errorSpan, matches);
+    // A shorter document than the last one lowers the limit, so several lines may go
+    while (cache.size >= SyntaxHighlighter.#cacheLimit) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, html);
+    return html;
+  }
+
+  /**
+   * Build the HTML for one line
+   * @param {string} line - Line text
+   * @param {boolean} prose - The line is a plain sentence
+   * @param {{start: number, end: number}|null} errorSpan - Error span in the trimmed line
+   * @param {Array<{start: number, end: number, current: boolean}>} matches - Search matches in the line
+   * @returns {string} HTML
+   */
+  static #render(line, prose, errorSpan, matches) {
+    const trimmed = line.trim();
+    const indent = line.length - line.trimStart().length;
+
+    // One class per character of the line, so token classes, search matches and the error underline combine simply
+    const classes = new Array(line.length).fill('');
+    const found = new Array(line.length).fill('');
+    for (const { start, end, current } of matches) {
+      found.fill(current ? 'hl-match hl-match-current' : 'hl-match', start, end);
+    }
+
+    // Comment and heading lines are annotations, as in CalculationEngine
+    if (trimmed.startsWith('//')) {
+      classes.fill('hl-comment');
+    } else if (/^#(#|\s|$)/.test(trimmed)) {
+      classes.fill('hl-heading');
+    } else if (prose) {
+      classes.fill('hl-text');
+    } else {
+      SyntaxHighlighter.#classifyLine(trimmed, indent, classes);
+    }
+
+    const errors = new Array(line.length).fill(false);
+    if (errorSpan && !prose) {
+      // An error at the end of the line (e.g. `2 +`) underlines the last character
+      const start = indent + (errorSpan.start < errorSpan.end ? errorSpan.start : Math.max(0, errorSpan.start - 1));
+      const end = indent + Math.max(errorSpan.end, errorSpan.start + 1);
+      errors.fill(true, Math.min(start, line.length), Math.min(end, line.length));
+    }
+
+    let html = '';
+    let runStart = 0;
+    for (let i = 1; i <= line.length; i++) {
+      if (i < line.length && classes[i] === classes[runStart] && found[i] === found[runStart] &&
+          errors[i] === errors[runStart]) continue;
+      const className = [classes[runStart], found[runStart], errors[runStart] ? 'hl-error' : ''].filter(Boolean).join(' ');
+      html += SyntaxHighlighter.#wrap(className, line.slice(runStart, i));
+      runStart = i;
+    }
+    return html;
+  }
+
+  /**
+   * Set the token class of each character of an expression line
+   * @param {string} trimmed - Line text without surrounding whitespace
+   * @param {number} indent - Length of the leading whitespace
+   * @param {string[]} classes - Class of each character, filled in place
+   */
+  static #classifyLine(trimmed, indent, classes) {
+    try {
+      const tokens = lexer(trimmed);
+      SyntaxHighlighter.#classifyTokens(tokens).forEach((className, index) => {
+        classes.fill(className, indent + tokens[index].start, indent + tokens[index].end);
+      });
+      // Anything left between tokens other than whitespace is an end-of-line `//` comment
+      const tail = tokens.length > 0 ? tokens[tokens.length - 1].end : 0;
+      const comment = trimmed.slice(tail).search(/\S/);
+      if (comment !== -1) {
+        classes.fill('hl-comment', indent + tail + comment);
+      }
+    } catch {
+      // Unreadable lines stay plain; their error is underlined once calculated
+    }
+  }
+
+  /**
+   * Choose the class of each token
+   * Names are functions before `(`, units after a number, currency or conversion keyword
+   * (or after `/`, `*` or `^` following a unit, as in km/h), keywords or constants if the
+   * parser treats them so, and variables otherwise.
+   * @param {Array} tokens - Tokens of a trimmed line
+   * @returns {string[]} Class of each token
+   */
+  static #classifyTokens(tokens) {
+    const classes = [];
+    tokens.forEach((token, index) => {
+      if (token.type !== TokenTypes.VARIABLE) {
+        const isWord = token.type === TokenTypes.OPERATOR && /^[a-z]/.test(token.value);
+        classes.push(isWord ? 'hl-keyword' : SyntaxHighlighter.#TOKEN_CLASSES[token.type] ?? '');
+        return;
+      }
+
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      const afterUnitOperator = previous?.type === TokenTypes.OPERATOR && ['/', '*', '^'].includes(previous.value) &&
+        classes[index - 2] === 'hl-unit';
+      const afterQuantity = [TokenTypes.NUMBER, TokenTypes.CURRENCY].includes(previous?.type) ||
+        (previous?.type === TokenTypes.VARIABLE && ['in', 'to'].includes(previous.value)) || afterUnitOperator;
+
+      if (next?.type === TokenTypes.LPAREN) {
+        classes.push('hl-function');
+      } else if (['in', 'to'].includes(token.value) && previous && next) {
+        classes.push('hl-keyword');
+      } else if (afterQuantity && isUnitName(token.value)) {
+        classes.push('hl-unit');
+      } else if (SyntaxHighlighter.#KEYWORDS.has(token.value) && !(token.value === 'import' && index > 0)) {
+        classes.push('hl-keyword');
+      } else if (Object.hasOwn(constants, token.value)) {
+        classes.push('hl-constant');
+      } else {
+        classes.push('hl-variable');
+      }
+    });
+    return classes;
+  }
+
+  /**
+   * Escape text and wrap it in a span with a class
+   * @param {string} className - Class, or an empty string for plain text
+   * @param {string} text - Text
+   * @returns {string} HTML
+   */
+  static #wrap(className, text) {
+    const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return className ? `<span class="${className}">${escaped}</span>` : escaped;
+  }
+}
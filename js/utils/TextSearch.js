@@ -0,0 +1,162 @@
+import { TokenTypes, Keywords, lexer } from '../lexerParser.js';
+import { isUnitName } from '../units.js';
+
+/**
+ * Text Search - Finds and replaces text in a document for the find bar
+ *
+ * Plain searches match the text as typed, optionally as a whole word or with case; regex
+ * searches use JavaScript regular expressions and `$1`/`$<name>` in the replacement. The
+ * variable-aware mode matches identifier tokens from lexer() instead of text, so `rate`
+ * finds the variable `rate` but not `rates`, a unit in `5 m` or a word in a comment.
+ */
+export class TextSearch {
+  /**
+   * Most matches find() reports for one document by default, enough to mark and count them
+   */
+  static LIMIT = 5000;
+
+  /**
+   * Words the parser treats as keywords rather than names
+   */
+  static #KEYWORDS = new Set(Keywords.ALL);
+
+  /**
+   * Keywords that read as a variable once a line above defines one with their name
+   */
+  static #SHADOWABLE = new Set([...Keywords.BLOCK, ...Keywords.PREVIOUS]);
+
+  /**
+   * Find every match in a document
+   * @param {string} text - Document text
+   * @param {string} query - Text, regular expression or name to find
+   * @param {Object} [options] - Search options
+   * @param {boolean} [options.regex] - Treat the query as a regular expression
+   * @param {boolean} [options.caseSensitive] - Match case
+   * @param {boolean} [options.wholeWord] - Only match whole words
+   * @param {boolean} [options.variables] - Only match identifiers whose whole name matches
+   * @param {number} [options.limit] - Most matches to return, e.g. Infinity to replace them all
+   * @returns {Array<{start: number, end: number, captures: Array, groups: Object|undefined}>} Matches in order
+   * @throws {SyntaxError} If the query is an invalid regular expression
+   */
+  static find(text, query, {
+    regex = false, caseSensitive = false, wholeWord = false, variables = false, limit = TextSearch.LIMIT
+  } = {}) {
+    if (!query) return [];
+
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const flags = caseSensitive ? 'g' : 'gi';
+
+    if (variables) {
+      const pattern = new RegExp(`^(?:${source})$`, flags.replace('g', ''));
+      return TextSearch.identifiers(text)
+        .filter(({ name }) => pattern.test(name))
+        .slice(0, limit)
+        .map(({ start, end, name }) => ({ start, end, captures: [name], groups: undefined }));
+    }
+
+    const pattern = new RegExp(wholeWord ? `(?<![A-Za-z0-9_])(?:${source})(?![A-Za-z0-9_])` : source, flags);
+    const matches = [];
+    for (const match of text.matchAll(pattern)) {
+      // Empty matches (e.g. `^` or `x*`) would select nothing
+      if (match[0] === '') continue;
+      matches.push({ start: match.index, end: match.index + match[0].length, captures: [...match], groups: match.groups });
+      if (matches.length >= limit) break;
+    }
+    return matches;
+  }
+
+  /**
+   * Replace matches in a document
+   * @param {string} text - Document text
+   * @param {Array<Object>} matches - Matches from find(), in order and not overlapping
+   * @param {string} replacement - Replacement text
+   * @param {Object} [options] - Search options the matches were found with
+   * @param {boolean} [options.regex] - Expand `$&`, `$1` and `$<name>` in the replacement
+   * @returns {string} New text
+   */
+  static replace(text, matches, replacement, { regex = false } = {}) {
+    let result = '';
+    let position = 0;
+    for (const match of matches) {
+      result += text.slice(position, match.start) + (regex ? TextSearch.#expand(replacement, match) : replacement);
+      position = match.end;
+    }
+    return result + text.slice(position);
+  }
+
+  /**
+   * List the identifiers of a document that name variables or functions
+   * Units after a quantity (`5 m`), keywords, line labels (`name:`) and anything in comments,
+   * headings or strings are left out. Keywords such as `total` count as names once a line above
+   * defines them, as the evaluator then reads the variable.
+   * @param {string} text - Document text
+   * @returns {Array<{name: string, start: number, end: number, line: number}>} Identifiers in
+   *   order, with offsets into the document and 0-based line numbers
+   */
+  static identifiers(text) {
+    const identifiers = [];
+    const defined = new Set();
+    let lineStart = 0;
+
+    text.split('\n').forEach((line, lineIndex) => {
+      const offset = lineStart + line.length - line.trimStart().length;
+      lineStart += line.length + 1;
+
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('//') || /^#(#|\s|$)/.test(trimmed)) return;
+      let tokens;
+      try {
+        tokens = lexer(trimmed);
+      } catch {
+        return;
+      }
+
+      // Units continue after `/`, `*` or `^` following a unit, as in km/h
+      const units = new Set();
+      tokens.forEach((token, index) => {
+        if (token.type !== TokenTypes.VARIABLE) return;
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+
+        const isLabel = index === 0 && next?.type === TokenTypes.COLON;
+        const shadowed = defined.has(token.value) && TextSearch.#SHADOWABLE.has(token.value) &&
+          !(token.value === 'above' && previous?.type === TokenTypes.VARIABLE);
+        const isKeyword = TextSearch.#KEYWORDS.has(token.value) && !shadowed &&
+          next?.type !== TokenTypes.ASSIGN && next?.type !== TokenTypes.LPAREN;
+        const afterQuantity = [TokenTypes.NUMBER, TokenTypes.CURRENCY].includes(previous?.type) ||
+          (previous?.type === TokenTypes.VARIABLE && ['in', 'to', 'as'].includes(previous.value)) ||
+          (previous?.type === TokenTypes.OPERATOR && ['/', '*', '^'].includes(previous.value) && units.has(index - 2));
+        const isUnit = afterQuantity && isUnitName(token.value) && next?.type !== TokenTypes.LPAREN;
+        if (isUnit) units.add(index);
+        if (isLabel || isKeyword || isUnit) return;
+
+        identifiers.push({ name: token.value, start: offset + token.start, end: offset + token.end, line: lineIndex });
+      });
+
+      // `name = …`, `name(x) = …` and `name: …` define the name for the lines below
+      const [first, second] = tokens;
+      if (first?.type === TokenTypes.VARIABLE && (second?.type === TokenTypes.ASSIGN ||
+          second?.type === TokenTypes.COLON ||
+          (second?.type === TokenTypes.LPAREN && tokens.some(token => token.type === TokenTypes.ASSIGN)))) {
+        defined.add(first.value);
+      }
+    });
+    return identifiers;
+  }
+
+  /**
+   * Expand `$$`, `$&`, `$1`…`$99` and `$<name>` in a regex replacement
+   * @param {string} replacement - Replacement text
+   * @param {Object} match - Match with its captures and named groups
+   * @returns {string} Expanded replacement
+   */
+  static #expand(replacement, match) {
+    return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, what, name) => {
+      if (what === '$') return '$';
+      if (what === '&') return match.captures[0];
+      if (name !== undefined) return match.groups?.[name] ?? '';
+      const index = Number(what);
+      return index > 0 && index < match.captures.length ? match.captures[index] ?? '' : token;
+    });
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Undo History - Undo and redo for one document, stored as diffs
+ *
+ * Each edit is kept as the single changed range (`{ start, removed, inserted }`) rather than a
+ * copy of the document, together with the selection and scroll position before and after it.
+ * Typing is grouped into word-level transactions: characters typed one after another join
+ * the current transaction until a word starts after a space or punctuation, a line break is
+ * typed, the cursor moves elsewhere or the user pauses. Runs of deletions group the same way.
+ */
+export class UndoHistory {
+  #undoStack = [];
+  #redoStack = [];
+  #sealed = true;
+
+  /**
+   * Most transactions kept; the oldest are forgotten first
+   */
+  static LIMIT = 500;
+
+  /**
+   * Pause in milliseconds after which typing starts a new transaction
+   */
+  static PAUSE = 1500;
+
+  /**
+   * Find the changed range between two versions of a document
+   * @param {string} before - Text before the edit
+   * @param {string} after - Text after the edit
+   * @returns {{start: number, removed: string, inserted: string}|null} Change, or null if equal
+   */
+  static diff(before, after) {
+    if (before === after) return null;
+
+    let start = 0;
+    const shortest = Math.min(before.length, after.length);
+    while (start < shortest && before[start] === after[start]) start++;
+
+    let end = 0;
+    while (end < shortest - start && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+
+    return {
+      start,
+      removed: before.slice(start, before.length - end),
+      inserted: after.slice(start, after.length - end)
+    };
+  }
+
+  /**
+   * Record an edit
+   * @param {string} before - Text before the edit
+   * @param {string} after - Text after the edit
+   * @param {Object} [options] - Edit details
+   * @param {string} [options.kind] - 'typing' or 'deleting' for edits that may be grouped,
+   *   anything else (the default) for edits that always stand alone, such as a paste
+   * @param {{start: number, end: number}} [options.selectionBefore] - Selection before the edit
+   * @param {{start: number, end: number}} [options.selectionAfter] - Selection after the edit
+   * @param {number} [options.scrollBefore] - Scroll position before the edit
+   * @param {number} [options.scrollAfter] - Scroll position after the edit
+   * @param {number} [options.time] - Time of the edit in milliseconds
+   */
+  record(before, after, {
+    kind = 'edit', selectionBefore, selectionAfter, scrollBefore = 0, scrollAfter = scrollBefore, time = Date.now()
+  } = {}) {
+    const change = UndoHistory.diff(before, after);
+    if (!change) return;
+
+    this.#redoStack = [];
+    const last = this.#undoStack[this.#undoStack.length - 1];
+
+    if (last && this.#continues(last, change, kind, time)) {
+      if (kind === 'typing') {
+        last.change.inserted += change.inserted;
+      } else {
+        // Backspace grows the deleted range to the left, Delete to the right
+        last.change.removed = change.start < last.change.start
+          ? change.removed + last.change.removed
+          : last.change.removed + change.removed;
+        last.change.start = Math.min(last.change.start, change.start);
+      }
+      last.selectionAfter = selectionAfter ?? UndoHistory.#selectionAfter(last.change);
+      last.scrollAfter = scrollAfter;
+      last.time = time;
+      return;
+    }
+
+    this.#undoStack.push({
+      kind,
+      change,
+      selectionBefore: selectionBefore ?? { start: change.start, end: change.start + change.removed.length },
+      selectionAfter: selectionAfter ?? UndoHistory.#selectionAfter(change),
+      scrollBefore,
+      scrollAfter,
+      time
+    });
+    if (this.#undoStack.length > UndoHistory.LIMIT) this.#undoStack.shift();
+    this.#sealed = !['typing', 'deleting'].includes(kind);
+  }
+
+  /**
+   * Check whether an edit extends the last transaction
+   * @param {Object} last - Last transaction
+   * @param {Object} change - New change
+   * @param {string} kind - Kind of the new edit
+   * @param {number} time - Time of the new edit
+   * @returns {boolean} True if the edit joins the transaction
+   */
+  #continues(last, change, kind, time) {
+    if (this.#sealed || last.kind !== kind || time - last.time > UndoHistory.PAUSE) return false;
+
+    if (kind === 'typing') {
+      const previous = last.change.inserted[last.change.inserted.length - 1] ?? '';
+      const startsWord = /\w/.test(change.inserted) && !/\w/.test(previous);
+      return change.removed === '' && change.inserted.length === 1 && change.inserted !== '\n' && !startsWord &&
+        change.start === last.change.start + last.change.inserted.length;
+    }
+    if (kind === 'deleting') {
+      return change.inserted === '' && last.change.inserted === '' &&
+        (change.start + change.removed.length === last.change.start || change.start === last.change.start);
+    }
+    return false;
+  }
+
+  /**
+   * End the current transaction, so the next edit starts a new one (e.g. after the cursor moves)
+   */
+  seal() {
+    this.#sealed = true;
+  }
+
+  /**
+   * Undo the last transaction
+   * @param {string} text - Current text
+   * @returns {{text: string, selection: Object, scrollTop: number}|null} Text, selection and
+   *   scroll position to restore, or null if there is nothing to undo
+   */
+  undo(text) {
+    const transaction = this.#undoStack.pop();
+    if (!transaction) return null;
+
+    const { start, removed, inserted } = transaction.change;
+    if (text.slice(start, start + inserted.length) !== inserted) {
+      // The text was changed without being recorded; the history no longer applies
+      this.clear();
+      return null;
+    }
+
+    this.#redoStack.push(transaction);
+    this.#sealed = true;
+    return {
+      text: text.slice(0, start) + removed + text.slice(start + inserted.length),
+      selection: transaction.selectionBefore,
+      scrollTop: transaction.scrollBefore
+    };
+  }
+
+  /**
+   * Redo the last undone transaction
+   * @param {string} text - Current text
+   * @returns {{text: string, selection: Object, scrollTop: number}|null} Text, selection and
+   *   scroll position to restore, or null if there is nothing to redo
+   */
+  redo(text) {
+    const transaction = this.#redoStack.pop();
+    if (!transaction) return null;
+
+    const { start, removed, inserted } = transaction.change;
+    if (text.slice(start, start + removed.length) !== removed) {
+      this.clear();
+      return null;
+    }
+
+    this.#undoStack.push(transaction);
+    this.#sealed = true;
+    return {
+      text: text.slice(0, start) + inserted + text.slice(start + removed.length),
+      selection: transaction.selectionAfter,
+      scrollTop: transaction.scrollAfter
+    };
+  }
+
+  /**
+   * Check whether there is anything to undo
+   * @returns {boolean} True if undo is possible
+   */
+  canUndo() {
+    return this.#undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is anything to redo
+   * @returns {boolean} True if redo is possible
+   */
+  canRedo() {
+    return this.#redoStack.length > 0;
+  }
+
+  /**
+   * Forget all transactions
+   */
+  clear() {
+    this.#undoStack = [];
+    this.#redoStack = [];
+    this.#sealed = true;
+  }
+
+  /**
+   * Cursor after a change: at the end of the inserted text
+   * @param {Object} change - Change
+   * @returns {{start: number, end: number}} Selection
+   */
+  static #selectionAfter(change) {
+    const end = change.start + change.inserted.length;
+    return { start: end, end };
+  }
+}
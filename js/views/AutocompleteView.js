@@ -0,0 +1,169 @@
+/**
+ * Autocomplete View - Shows the completion popup at the editor cursor
+ * High cohesion: Only responsible for the completion popup UI
+ */
+export class AutocompleteView {
+  #elements;
+  #eventHandlers = new Map();
+  #items = [];
+  #selectedIndex = 0;
+
+  constructor() {
+    this.#elements = this.#initializeElements();
+    this.#bindInternalEvents();
+  }
+
+  /**
+   * Initialize DOM element references
+   * @returns {Object} Element references
+   */
+  #initializeElements() {
+    const elements = {
+      popup: document.getElementById('autocomplete')
+    };
+
+    // Validate required elements exist
+    Object.entries(elements).forEach(([key, element]) => {
+      if (!element) {
+        throw new Error(`Required autocomplete element not found: ${key}`);
+      }
+    });
+
+    return elements;
+  }
+
+  /**
+   * Bind internal DOM events
+   */
+  #bindInternalEvents() {
+    // Keep the focus (and the on-screen keyboard) in the editor while an item is tapped
+    this.#elements.popup.addEventListener('mousedown', (e) => e.preventDefault());
+  }
+
+  /**
+   * Show completions below the cursor (or above it when there is no room below)
+   * @param {Array<{label: string, kind: string, detail: string}>} items - Completions
+   * @param {{top: number, left: number, height: number}} caret - Caret box relative to the editor
+   */
+  show(items, caret) {
+    const { popup } = this.#elements;
+    this.#items = items;
+    this.#selectedIndex = 0;
+
+    popup.replaceChildren(...items.map((item, index) => this.#renderItem(item, index)));
+    popup.classList.remove('hidden');
+
+    // Keep the popup inside the editor
+    const container = popup.offsetParent ?? document.body;
+    const left = Math.max(0, Math.min(caret.left, container.clientWidth - popup.offsetWidth));
+    const below = caret.top + caret.height;
+    const top = below + popup.offsetHeight > container.clientHeight && caret.top > popup.offsetHeight
+      ? caret.top - popup.offsetHeight
+      : below;
+    popup.style.left = `${left}px`;
+    popup.style.top = `${top}px`;
+
+    this.#updateSelection();
+  }
+
+  /**
+   * Build the list item for one completion
+   * @param {Object} item - Completion
+   * @param {number} index - Index in the list
+   * @returns {HTMLElement} List item
+   */
+  #renderItem(item, index) {
+    const option = document.createElement('li');
+    option.className = `autocomplete-item ${item.kind}`;
+    option.id = `autocomplete-item-${index}`;
+    option.setAttribute('role', 'option');
+    option.dataset.index = index;
+
+    const label = document.createElement('span');
+    label.className = 'autocomplete-label';
+    label.textContent = item.label;
+
+    const detail = document.createElement('span');
+    detail.className = 'autocomplete-detail';
+    detail.textContent = item.detail;
+
+    option.append(label, detail);
+    return option;
+  }
+
+  /**
+   * Hide the popup
+   */
+  hide() {
+    this.#elements.popup.classList.add('hidden');
+    this.#items = [];
+  }
+
+  /**
+   * Check whether the popup is open
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return !this.#elements.popup.classList.contains('hidden');
+  }
+
+  /**
+   * Move the selection, wrapping around at either end
+   * @param {number} delta - Items to move by (negative moves up)
+   */
+  moveSelection(delta) {
+    if (this.#items.length === 0) return;
+    this.#selectedIndex = (this.#selectedIndex + delta + this.#items.length) % this.#items.length;
+    this.#updateSelection();
+  }
+
+  /**
+   * Get the selected completion
+   * @returns {Object|null} Completion, or null when the popup is closed
+   */
+  getSelected() {
+    return this.isOpen() ? this.#items[this.#selectedIndex] ?? null : null;
+  }
+
+  /**
+   * Mark the selected item and scroll it into view
+   */
+  #updateSelection() {
+    for (const option of this.#elements.popup.children) {
+      const selected = Number(option.dataset.index) === this.#selectedIndex;
+      option.classList.toggle('selected', selected);
+      option.setAttribute('aria-selected', String(selected));
+      if (selected) option.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Register completion click (or tap) handler
+   * @param {Function} callback - Called with the chosen completion
+   * @returns {Function} Cleanup function
+   */
+  onSelect(callback) {
+    const handler = (e) => {
+      const option = e.target.closest('.autocomplete-item');
+      if (!option) return;
+      callback(this.#items[Number(option.dataset.index)]);
+    };
+    this.#elements.popup.addEventListener('click', handler);
+    this.#eventHandlers.set('select', handler);
+
+    return () => {
+      this.#elements.popup.removeEventListener('click', handler);
+      this.#eventHandlers.delete('select');
+    };
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    for (const handler of this.#eventHandlers.values()) {
+      this.#elements.popup.removeEventListener('click', handler);
+    }
+    this.#eventHandlers.clear();
+  }
+}
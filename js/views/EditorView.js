@@ -1,14 +1,34 @@
+import { SyntaxHighlighter } from '../utils/SyntaxHighlighter.js';
+
 /**
  * Editor View - Handles DOM interactions for the editor
  * High cohesion: Only responsible for editor UI
+ *
+ * The textarea's text is transparent; a highlighted copy is drawn behind it and kept at the
+ * same size and scroll position, so the caret and selection still come from the textarea.
  */
 export class EditorView {
   #elements;
   #eventHandlers = new Map();
   #savedCursorPosition = null;
+  #renderedResults = [];
+  #highlightedLines = [];
+  // A trailing space keeps a final empty line as tall as it is in the textarea
+  #highlightEnd = document.createTextNode(' ');
+  #lineMarks = [];
+  #searchMatches = [];
+  #currentMatch = -1;
+  #listeners = new Set();
+  #measure = null;
+
+  /**
+   * How long a touch must be held, in milliseconds, to count as a long press
+   */
+  static #LONG_PRESS_DELAY = 500;
 
   constructor(container) {
     this.#elements = this.#initializeElements(container);
+    this.#elements.highlight.replaceChildren(this.#highlightEnd);
     this.#bindInternalEvents();
   }
   
@@ -20,6 +40,7 @@ export class EditorView {
   #initializeElements(container) {
     const elements = {
       editor: container.querySelector('.editor'),
+      highlight: container.querySelector('.editor-highlight'),
       results: container.querySelector('.results'),
       lineNumbers: container.querySelector('.line-numbers'),
       variableToolbar: document.querySelector('#variable-toolbar')
@@ -49,11 +70,20 @@ export class EditorView {
           const { scrollTop } = this.#elements.editor;
           this.#elements.results.scrollTop = scrollTop;
           this.#elements.lineNumbers.scrollTop = scrollTop;
+          this.#syncHighlightScroll();
           scrolling = false;
         });
       }
     }, { passive: true });
 
+    // Redraw the highlighting as the user types (registered before any controller's input handler)
+    this.#elements.editor.addEventListener('input', () => this.#renderHighlight());
+
+    // The highlighting wraps lines at the textarea's inner width, which excludes its scrollbar
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => this.#syncHighlightSize()).observe(this.#elements.editor);
+    }
+
     // Handle mobile keyboard visibility
     if (this.#isMobile()) {
       this.#setupMobileKeyboardHandling();
@@ -84,36 +114,50 @@ export class EditorView {
     }
   }
   
+  /**
+   * Add an editor event listener that destroy() removes
+   * Several controllers may listen to the same event, so each registration is kept separately
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   * @returns {Function} Cleanup function
+   */
+  #listen(event, handler) {
+    const editor = this.#elements.editor;
+    const listener = { event, handler };
+    editor.addEventListener(event, handler);
+    this.#listeners.add(listener);
+
+    return () => {
+      editor.removeEventListener(event, handler);
+      this.#listeners.delete(listener);
+    };
+  }
+
   /**
    * Register input event handler
    * @param {Function} callback - Input callback function
    * @returns {Function} Cleanup function
    */
   onInput(callback) {
-    const handler = (e) => callback(e.target.value, e);
-    this.#elements.editor.addEventListener('input', handler);
-    this.#eventHandlers.set('input', handler);
-    
-    return () => {
-      this.#elements.editor.removeEventListener('input', handler);
-      this.#eventHandlers.delete('input');
-    };
+    return this.#listen('input', (e) => callback(e.target.value, e));
   }
   
+  /**
+   * Register handler called before the browser changes the content, while the old selection is still known
+   * @param {Function} callback - Called with the input type and the event, which may be cancelled
+   * @returns {Function} Cleanup function
+   */
+  onBeforeInput(callback) {
+    return this.#listen('beforeinput', (e) => callback(e.inputType, e));
+  }
+
   /**
    * Register scroll event handler
    * @param {Function} callback - Scroll callback function
    * @returns {Function} Cleanup function
    */
   onScroll(callback) {
-    const handler = (e) => callback(e.target.scrollTop, e);
-    this.#elements.editor.addEventListener('scroll', handler);
-    this.#eventHandlers.set('scroll', handler);
-    
-    return () => {
-      this.#elements.editor.removeEventListener('scroll', handler);
-      this.#eventHandlers.delete('scroll');
-    };
+    return this.#listen('scroll', (e) => callback(e.target.scrollTop, e));
   }
   
   /**
@@ -122,13 +166,62 @@ export class EditorView {
    * @returns {Function} Cleanup function
    */
   onKeyDown(callback) {
-    const handler = (e) => callback(e.key, e);
-    this.#elements.editor.addEventListener('keydown', handler);
-    this.#eventHandlers.set('keydown', handler);
-    
+    return this.#listen('keydown', (e) => callback(e.key, e));
+  }
+
+  /**
+   * Register blur event handler
+   * @param {Function} callback - Blur callback function
+   * @returns {Function} Cleanup function
+   */
+  onBlur(callback) {
+    return this.#listen('blur', callback);
+  }
+
+  /**
+   * Register handler for clicks and taps in the editor, which may move the cursor
+   * @param {Function} callback - Click callback function
+   * @returns {Function} Cleanup function
+   */
+  onClick(callback) {
+    return this.#listen('click', callback);
+  }
+  
+  /**
+   * Register long-press handler: a touch held still on the editor
+   * @param {Function} callback - Called with the content offset under the finger
+   * @returns {Function} Cleanup function
+   */
+  onLongPress(callback) {
+    let timer = null;
+    let origin = null;
+    const cancel = () => {
+      clearTimeout(timer);
+      timer = null;
+    };
+
+    const cleanups = [
+      this.#listen('touchstart', (e) => {
+        cancel();
+        if (e.touches.length !== 1) return;
+        origin = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        timer = setTimeout(() => {
+          timer = null;
+          callback(this.getOffsetAt(origin.x, origin.y));
+        }, EditorView.#LONG_PRESS_DELAY);
+      }),
+      // Scrolling or dragging a selection is not a long press
+      this.#listen('touchmove', (e) => {
+        const touch = e.touches[0];
+        if (timer && touch && Math.hypot(touch.clientX - origin.x, touch.clientY - origin.y) > 10) cancel();
+      }),
+      this.#listen('touchend', cancel),
+      this.#listen('touchcancel', cancel)
+    ];
+
     return () => {
-      this.#elements.editor.removeEventListener('keydown', handler);
-      this.#eventHandlers.delete('keydown');
+      cancel();
+      cleanups.forEach(cleanup => cleanup());
     };
   }
   
@@ -145,8 +238,114 @@ export class EditorView {
       if (cursorPos <= content.length) {
         this.#elements.editor.setSelectionRange(cursorPos, cursorPos);
       }
+      this.#renderHighlight();
+    }
+  }
+
+  /**
+   * Draw the highlighted copy of the editor content
+   * Errors from the last calculation are underlined on lines that have not changed since.
+   * Each line is its own element and only lines whose HTML changed are replaced, as in updateResults.
+   */
+  #renderHighlight() {
+    const { editor, highlight } = this.#elements;
+    const lines = editor.value.split('\n');
+    const matches = this.#matchesByLine(lines);
+    const marks = lines.map((line, index) => ({
+      ...(this.#lineMarks[index]?.text === line ? this.#lineMarks[index] : {}),
+      matches: matches[index]
+    }));
+    const html = SyntaxHighlighter.highlightLines(lines, marks);
+
+    const rows = highlight.children;
+    html.forEach((lineHtml, index) => {
+      if (rows[index] && this.#highlightedLines[index] === lineHtml) return;
+
+      const row = document.createElement('span');
+      row.innerHTML = `${lineHtml}\n`;
+      if (rows[index]) {
+        rows[index].replaceWith(row);
+      } else {
+        highlight.insertBefore(row, this.#highlightEnd);
+      }
+    });
+
+    while (rows.length > html.length) {
+      highlight.lastElementChild.remove();
+    }
+
+    this.#highlightedLines = html;
+    this.#syncHighlightScroll();
+  }
+
+  /**
+   * Split the search matches into ranges within each line
+   * @param {string[]} lines - Editor lines
+   * @returns {Array<Array<{start: number, end: number, current: boolean}>>} Ranges of each line
+   */
+  #matchesByLine(lines) {
+    const byLine = lines.map(() => []);
+    let line = 0;
+    let lineStart = 0;
+    this.#searchMatches.forEach(({ start, end }, index) => {
+      // A match may run over several lines (e.g. a regex with \n)
+      while (line < lines.length - 1 && start > lineStart + lines[line].length) {
+        lineStart += lines[line].length + 1;
+        line++;
+      }
+      for (let i = line, from = lineStart; i < lines.length && from <= end; from += lines[i].length + 1, i++) {
+        const range = { start: Math.max(start - from, 0), end: Math.min(end - from, lines[i].length) };
+        if (range.end > range.start) byLine[i].push({ ...range, current: index === this.#currentMatch });
+      }
+    });
+    return byLine;
+  }
+
+  /**
+   * Mark search matches in the editor
+   * @param {Array<{start: number, end: number}>} matches - Matches in order, as content offsets
+   * @param {number} [current] - Index of the current match, or -1 for none
+   */
+  setSearchMatches(matches, current = -1) {
+    this.#searchMatches = matches;
+    this.#currentMatch = current;
+    this.#renderHighlight();
+  }
+
+  /**
+   * Select a range and scroll it into view without moving the focus
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   */
+  revealRange(start, end) {
+    const editor = this.#elements.editor;
+    editor.setSelectionRange(start, end);
+
+    const { top, height } = this.getCaretCoordinates(start);
+    if (top < 0 || top + height > editor.clientHeight) {
+      // Leave the match a third of the way down, so the lines around it are visible too
+      editor.scrollTop = Math.max(0, editor.scrollTop + top - editor.clientHeight / 3);
     }
   }
+
+  /**
+   * Match the highlighting's size to the textarea's inner size
+   */
+  #syncHighlightSize() {
+    const { editor, highlight } = this.#elements;
+    highlight.style.width = `${editor.clientWidth}px`;
+    highlight.style.height = `${editor.clientHeight}px`;
+    this.#syncHighlightScroll();
+  }
+
+  /**
+   * Scroll the highlighting to the textarea's scroll position
+   */
+  #syncHighlightScroll() {
+    const { editor, highlight } = this.#elements;
+    highlight.scrollTop = editor.scrollTop;
+    highlight.scrollLeft = editor.scrollLeft;
+  }
   
   /**
    * Get current editor content
@@ -159,42 +358,106 @@ export class EditorView {
   /**
    * Update calculation results display
    * Enhanced with better error messages and formatting
+   * Only rows whose result changed since the last update are replaced, so typing in a long
+   * document does not rebuild every row.
    * @param {Array} results - Array of calculation results
    */
   updateResults(results) {
-    const resultElements = results.map((result, index) => {
-      const div = document.createElement('div');
-      div.className = `result ${result.type || 'default'}`;
-
-      if (result.type === 'error') {
-        div.textContent = '!';
-        // Enhanced error tooltip with more context
-        const errorMsg = result.error || 'Calculation error';
-        const lineNum = result.line || index + 1;
-        div.title = `Error on line ${lineNum}: ${errorMsg}`;
-        // Add subtle shake animation on error
-        div.style.animation = 'none';
-        requestAnimationFrame(() => {
-          div.style.animation = 'errorPulse 300ms ease-out';
-        });
-      } else if (result.type === 'empty') {
-        // Use non-breaking space to maintain line height alignment
-        div.innerHTML = '&nbsp;';
-        div.className = 'result empty';
+    const container = this.#elements.results;
+    const rows = container.children;
+
+    // Rows are keyed by position; a row is only rebuilt when what it shows changed
+    results.forEach((result, index) => {
+      const previous = this.#renderedResults[index];
+      if (rows[index] && previous && this.#sameDisplay(previous, result, index)) return;
+
+      const row = this.#renderResult(result, index);
+      if (rows[index]) {
+        rows[index].replaceWith(row);
       } else {
-        // Format large numbers with commas for readability
-        const formattedValue = this.#formatNumber(result.value);
-        div.textContent = formattedValue;
-        // Add title with full precision for long numbers
-        if (formattedValue !== result.value && result.value) {
-          div.title = `Full value: ${result.value}`;
-        }
+        container.appendChild(row);
       }
-
-      return div.outerHTML;
     });
 
-    this.#elements.results.innerHTML = resultElements.join('');
+    while (rows.length > results.length) {
+      container.lastElementChild.remove();
+    }
+
+    this.#renderedResults = results.map((result, index) => ({ result, line: result.line || index + 1 }));
+
+    // Remember which lines are prose or failed, and where, for the highlighting
+    const lines = this.#elements.editor.value.split('\n');
+    this.#lineMarks = results.map((result, index) => ({
+      text: lines[index],
+      prose: result.type === 'text',
+      errorSpan: result.type === 'error' ? result.span ?? null : null
+    }));
+    this.#renderHighlight();
+  }
+
+  /**
+   * Check whether a row already shows a result
+   * @param {Object} previous - Previously rendered result and its line number
+   * @param {Object} result - New result
+   * @param {number} index - Row index
+   * @returns {boolean} True if the row can be kept
+   */
+  #sameDisplay(previous, result, index) {
+    if (previous.result === result) return true;
+    const a = previous.result;
+    return ['type', 'value', 'unit', 'format', 'error'].every(key => a[key] === result[key]) &&
+      String(a.raw) === String(result.raw) && previous.line === (result.line || index + 1);
+  }
+
+  /**
+   * Build the row for one result
+   * @param {Object} result - Calculation result
+   * @param {number} index - Row index
+   * @returns {HTMLElement} Result row
+   */
+  #renderResult(result, index) {
+    const div = document.createElement('div');
+    div.className = `result ${result.type || 'default'}`;
+
+    if (result.type === 'error') {
+      div.textContent = '!';
+      // Enhanced error tooltip with more context
+      const errorMsg = result.error || 'Calculation error';
+      const lineNum = result.line || index + 1;
+      div.title = `Error on line ${lineNum}: ${errorMsg}`;
+      // Add subtle shake animation on error
+      div.style.animation = 'errorPulse 300ms ease-out';
+    } else if (result.type === 'empty') {
+      // Use non-breaking space to maintain line height alignment
+      div.innerHTML = '&nbsp;';
+      div.className = 'result empty';
+    } else if (['comment', 'heading', 'text'].includes(result.type)) {
+      // Annotation lines have no result, but keep their row for alignment
+      div.innerHTML = '&nbsp;';
+    } else if (['date', 'list', 'boolean', 'import'].includes(result.type)) {
+      // Dates, lists, true/false and imports are shown as rendered; a formatted date keeps its ISO form in the tooltip
+      div.textContent = result.value;
+      if (result.format && result.raw) {
+        div.title = `Date: ${result.raw.toString()}`;
+      }
+    } else if (result.format) {
+      // Hex, binary, octal, scientific and duration results are shown exactly as rendered
+      div.textContent = result.value;
+      if (result.raw) {
+        div.title = `${result.format === 'duration' ? 'Value' : 'Decimal value'}: ${result.raw.toString()}`;
+      }
+    } else {
+      // Format large numbers with commas for readability
+      const formattedValue = this.#formatNumber(result.value);
+      // Quantities show their unit label after the number
+      div.textContent = result.unit ? `${formattedValue} ${result.unit}` : formattedValue;
+      // Add title with full precision for long numbers
+      if (formattedValue !== result.value && result.value) {
+        div.title = `Full value: ${result.value}${result.unit ? ` ${result.unit}` : ''}`;
+      }
+    }
+
+    return div;
   }
 
   /**
@@ -205,7 +468,8 @@ export class EditorView {
   #formatNumber(value) {
     if (!value || value === '-' || value === '') return value;
 
-    const num = parseFloat(value);
+    // Only plain numeric text is grouped; dates such as 2026-10-19 are left untouched
+    const num = Number(value);
     if (isNaN(num)) return value;
 
     // For large numbers, add thousand separators
@@ -279,6 +543,79 @@ export class EditorView {
     editor.dispatchEvent(new Event('input', { bubbles: true }));
   }
 
+  /**
+   * Replace a range of the content, as if typed, and put the cursor after the new text
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @param {string} text - Replacement text
+   */
+  replaceRange(start, end, text) {
+    const editor = this.#elements.editor;
+    editor.setSelectionRange(start, end);
+    editor.setRangeText(text, start, end, 'end');
+    editor.focus();
+
+    // Trigger input event to update calculations
+    editor.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  /**
+   * Get where the cursor is drawn, relative to the editor's top-left corner
+   * Measured on a hidden copy of the text laid out like the highlighting
+   * @param {number} [position] - Offset to measure, the cursor by default
+   * @returns {{top: number, left: number, height: number}} Caret box in pixels
+   */
+  getCaretCoordinates(position = this.#elements.editor.selectionStart) {
+    const { editor, highlight } = this.#elements;
+    if (!this.#measure) {
+      this.#measure = document.createElement('div');
+      this.#measure.className = 'editor-highlight editor-measure';
+      this.#measure.setAttribute('aria-hidden', 'true');
+      highlight.after(this.#measure);
+    }
+
+    const marker = document.createElement('span');
+    marker.textContent = '\u200b';
+    this.#measure.style.width = `${editor.clientWidth}px`;
+    this.#measure.textContent = editor.value.slice(0, position);
+    this.#measure.appendChild(marker);
+
+    const coordinates = {
+      top: marker.offsetTop - editor.scrollTop,
+      left: marker.offsetLeft - editor.scrollLeft,
+      height: marker.offsetHeight
+    };
+    this.#measure.textContent = '';
+    return coordinates;
+  }
+
+  /**
+   * Find the content offset drawn at a point on the screen
+   * Binary search over caret positions, which are laid out in reading order
+   * @param {number} clientX - Horizontal viewport coordinate
+   * @param {number} clientY - Vertical viewport coordinate
+   * @returns {number} Offset of the caret position at or before the point
+   */
+  getOffsetAt(clientX, clientY) {
+    const rect = this.#elements.editor.getBoundingClientRect();
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+
+    let low = 0;
+    let high = this.#elements.editor.value.length;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      const { top, left, height } = this.getCaretCoordinates(middle);
+      const before = top + height <= y || (top <= y && left <= x);
+      if (before) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
   /**
    * Save current cursor position
    */
@@ -318,6 +655,22 @@ export class EditorView {
     editor.dispatchEvent(new Event('input', { bubbles: true }));
   }
 
+  /**
+   * Register click handler for error rows (`!`) in the results column
+   * @param {Function} callback - Called with the index of the clicked row
+   * @returns {Function} Cleanup function
+   */
+  onErrorClick(callback) {
+    const results = this.#elements.results;
+    const handler = (e) => {
+      const row = e.target.closest('.result.error');
+      if (row) callback(Array.prototype.indexOf.call(results.children, row));
+    };
+    results.addEventListener('click', handler);
+
+    return () => results.removeEventListener('click', handler);
+  }
+
   /**
    * Register line reference button click handler
    * @param {Function} callback - Click callback function
@@ -374,13 +727,36 @@ export class EditorView {
     this.#elements.editor.setSelectionRange(start, end);
   }
   
+  /**
+   * Get the editor's scroll position
+   * @returns {number} Scroll offset from the top in pixels
+   */
+  getScrollTop() {
+    return this.#elements.editor.scrollTop;
+  }
+
+  /**
+   * Scroll the editor (the results and line numbers follow)
+   * @param {number} scrollTop - Scroll offset from the top in pixels
+   */
+  setScrollTop(scrollTop) {
+    this.#elements.editor.scrollTop = scrollTop;
+  }
+
   /**
    * Clean up event listeners
    */
   destroy() {
-    for (const [event, handler] of this.#eventHandlers) {
+    for (const { event, handler } of this.#listeners) {
       this.#elements.editor.removeEventListener(event, handler);
     }
+    this.#listeners.clear();
+
+    const lineRefButton = document.getElementById('line-ref');
+    const lineRefHandler = this.#eventHandlers.get('lineRefClick');
+    if (lineRefButton && lineRefHandler) {
+      lineRefButton.removeEventListener('click', lineRefHandler);
+    }
     this.#eventHandlers.clear();
   }
 }
\ No newline at end of file
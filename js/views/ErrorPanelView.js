@@ -0,0 +1,185 @@
+/**
+ * Error Panel View - Lists the lines that failed to calculate, with a link to each location
+ * High cohesion: Only responsible for the error panel UI
+ */
+export class ErrorPanelView {
+  #elements;
+  #eventHandlers = new Map();
+  #escapeHandler;
+  #errors = [];
+
+  constructor() {
+    this.#elements = this.#initializeElements();
+    this.#bindInternalEvents();
+  }
+
+  /**
+   * Initialize DOM element references
+   * @returns {Object} Element references
+   */
+  #initializeElements() {
+    const elements = {
+      panel: document.getElementById('error-panel'),
+      title: document.getElementById('error-panel-title'),
+      closeBtn: document.getElementById('error-panel-close'),
+      list: document.getElementById('error-list'),
+      toggleBtn: document.getElementById('errors'),
+      count: document.getElementById('error-count')
+    };
+
+    // Validate required elements exist
+    Object.entries(elements).forEach(([key, element]) => {
+      if (!element) {
+        throw new Error(`Required error panel element not found: ${key}`);
+      }
+    });
+
+    return elements;
+  }
+
+  /**
+   * Bind internal DOM events
+   */
+  #bindInternalEvents() {
+    this.#elements.toggleBtn.addEventListener('click', () => this.toggle());
+    this.#elements.closeBtn.addEventListener('click', () => this.hide());
+
+    // ESC key to close the panel
+    this.#escapeHandler = (e) => {
+      if (e.key === 'Escape' && this.isOpen()) {
+        this.hide();
+      }
+    };
+    document.addEventListener('keydown', this.#escapeHandler);
+  }
+
+  /**
+   * Show the current errors
+   * The toolbar button shows how many there are and is hidden when there are none
+   * @param {Array<{line: number, column: number|null, message: string, code: string}>} errors - Errors by line
+   */
+  update(errors) {
+    this.#errors = errors;
+    const { list, title, toggleBtn, count } = this.#elements;
+
+    list.replaceChildren(...errors.map((error, index) => this.#renderError(error, index)));
+
+    title.textContent = errors.length === 1 ? '1 error' : `${errors.length} errors`;
+    count.textContent = errors.length > 99 ? '99+' : String(errors.length);
+    toggleBtn.title = errors.length > 0 ? `Errors (${errors.length})` : 'Errors';
+    toggleBtn.classList.toggle('hidden', errors.length === 0);
+
+    if (errors.length === 0) {
+      this.hide();
+    }
+  }
+
+  /**
+   * Build the list item for one error
+   * @param {Object} error - Error entry
+   * @param {number} index - Index in the error list
+   * @returns {HTMLElement} List item
+   */
+  #renderError(error, index) {
+    const item = document.createElement('li');
+    item.className = 'error-item';
+    item.dataset.line = error.line;
+
+    const location = document.createElement('button');
+    location.className = 'error-location';
+    location.dataset.index = index;
+    location.textContent = error.column ? `Line ${error.line}, col ${error.column}` : `Line ${error.line}`;
+    location.title = 'Go to this location';
+
+    const message = document.createElement('span');
+    message.className = 'error-message';
+    message.textContent = error.message;
+
+    const code = document.createElement('span');
+    code.className = 'error-code';
+    code.textContent = error.code;
+
+    item.append(location, message, code);
+    return item;
+  }
+
+  /**
+   * Open the panel
+   * @param {number} [line] - Line whose error to highlight and scroll into view
+   */
+  show(line) {
+    this.#elements.panel.classList.remove('hidden');
+    this.#highlightLine(line);
+  }
+
+  /**
+   * Close the panel
+   */
+  hide() {
+    this.#elements.panel.classList.add('hidden');
+  }
+
+  /**
+   * Open the panel if it is closed, close it otherwise
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Check whether the panel is open
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return !this.#elements.panel.classList.contains('hidden');
+  }
+
+  /**
+   * Highlight the error of one line
+   * @param {number} [line] - Line number, or nothing to clear the highlight
+   */
+  #highlightLine(line) {
+    for (const item of this.#elements.list.children) {
+      const selected = Number(item.dataset.line) === line;
+      item.classList.toggle('selected', selected);
+      if (selected) item.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Register location click handler
+   * @param {Function} callback - Called with the error entry whose location was clicked
+   * @returns {Function} Cleanup function
+   */
+  onLocationClick(callback) {
+    const handler = (e) => {
+      const location = e.target.closest('.error-location');
+      if (!location) return;
+      const error = this.#errors[Number(location.dataset.index)];
+      this.#highlightLine(error.line);
+      callback(error);
+    };
+    this.#elements.list.addEventListener('click', handler);
+    this.#eventHandlers.set('locationClick', handler);
+
+    return () => {
+      this.#elements.list.removeEventListener('click', handler);
+      this.#eventHandlers.delete('locationClick');
+    };
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    for (const handler of this.#eventHandlers.values()) {
+      this.#elements.list.removeEventListener('click', handler);
+    }
+    this.#eventHandlers.clear();
+    document.removeEventListener('keydown', this.#escapeHandler);
+  }
+}
@@ -0,0 +1,373 @@
+/**
+ * Find Bar View - Shows the find and replace bar and the matches in other tabs
+ * High cohesion: Only responsible for the find bar UI
+ */
+export class FindBarView {
+  #elements;
+  #listeners = new Set();
+  #tabResults = [];
+  #total = 0;
+
+  constructor() {
+    this.#elements = this.#initializeElements();
+    this.#bindInternalEvents();
+  }
+
+  /**
+   * Initialize DOM element references
+   * @returns {Object} Element references
+   */
+  #initializeElements() {
+    const elements = {
+      bar: document.getElementById('find-bar'),
+      input: document.getElementById('find-input'),
+      count: document.getElementById('find-count'),
+      prevBtn: document.getElementById('find-prev'),
+      nextBtn: document.getElementById('find-next'),
+      closeBtn: document.getElementById('find-close'),
+      toggleReplaceBtn: document.getElementById('find-toggle-replace'),
+      replaceRow: document.getElementById('replace-row'),
+      replaceInput: document.getElementById('replace-input'),
+      replaceBtn: document.getElementById('replace-one'),
+      replaceAllBtn: document.getElementById('replace-all'),
+      caseSensitive: document.getElementById('find-case'),
+      wholeWord: document.getElementById('find-word'),
+      regex: document.getElementById('find-regex'),
+      variables: document.getElementById('find-variables'),
+      allTabs: document.getElementById('find-all-tabs'),
+      tabResults: document.getElementById('find-tab-results')
+    };
+
+    // Validate required elements exist
+    Object.entries(elements).forEach(([key, element]) => {
+      if (!element) {
+        throw new Error(`Required find bar element not found: ${key}`);
+      }
+    });
+
+    return elements;
+  }
+
+  /**
+   * Bind internal DOM events
+   */
+  #bindInternalEvents() {
+    // Option buttons are toggles; registered before any controller's handler so it sees the new state
+    for (const button of this.#optionButtons()) {
+      button.addEventListener('click', () => {
+        button.setAttribute('aria-pressed', String(button.getAttribute('aria-pressed') !== 'true'));
+      });
+    }
+
+    this.#elements.toggleReplaceBtn.addEventListener('click', () => {
+      this.#setReplaceVisible(this.#elements.replaceRow.classList.contains('hidden'));
+    });
+  }
+
+  /**
+   * Get the option toggle buttons
+   * @returns {HTMLElement[]} Option buttons
+   */
+  #optionButtons() {
+    const { caseSensitive, wholeWord, regex, variables, allTabs } = this.#elements;
+    return [caseSensitive, wholeWord, regex, variables, allTabs];
+  }
+
+  /**
+   * Register a DOM event handler for cleanup on destroy
+   * @param {HTMLElement} element - Element to listen on
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   * @returns {Function} Cleanup function
+   */
+  #listen(element, event, handler) {
+    element.addEventListener(event, handler);
+    const listener = { element, event, handler };
+    this.#listeners.add(listener);
+
+    return () => {
+      element.removeEventListener(event, handler);
+      this.#listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Open the bar and focus the search field
+   * @param {Object} [options] - Open options
+   * @param {boolean} [options.replace] - Show the replace field too
+   * @param {string} [options.query] - Text to search for, e.g. the editor's selection
+   */
+  open({ replace = false, query } = {}) {
+    const { bar, input } = this.#elements;
+    bar.classList.remove('hidden');
+    if (replace) this.#setReplaceVisible(true);
+    if (query) input.value = query;
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Close the bar
+   */
+  close() {
+    this.#elements.bar.classList.add('hidden');
+    this.showTabResults([]);
+  }
+
+  /**
+   * Check whether the bar is open
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return !this.#elements.bar.classList.contains('hidden');
+  }
+
+  /**
+   * Show or hide the replace field
+   * @param {boolean} visible - True to show
+   */
+  #setReplaceVisible(visible) {
+    const { replaceRow, toggleReplaceBtn } = this.#elements;
+    replaceRow.classList.toggle('hidden', !visible);
+    toggleReplaceBtn.setAttribute('aria-expanded', String(visible));
+  }
+
+  /**
+   * Get the text to search for
+   * @returns {string} Query
+   */
+  getQuery() {
+    return this.#elements.input.value;
+  }
+
+  /**
+   * Get the replacement text
+   * @returns {string} Replacement
+   */
+  getReplacement() {
+    return this.#elements.replaceInput.value;
+  }
+
+  /**
+   * Get the search options
+   * @returns {{caseSensitive: boolean, wholeWord: boolean, regex: boolean, variables: boolean, allTabs: boolean}} Options
+   */
+  getOptions() {
+    const pressed = (button) => button.getAttribute('aria-pressed') === 'true';
+    const { caseSensitive, wholeWord, regex, variables, allTabs } = this.#elements;
+    return {
+      caseSensitive: pressed(caseSensitive),
+      wholeWord: pressed(wholeWord),
+      regex: pressed(regex),
+      variables: pressed(variables),
+      allTabs: pressed(allTabs)
+    };
+  }
+
+  /**
+   * Show the match count, or why the query cannot be searched
+   * @param {Object} status - Search status
+   * @param {number} [status.current] - 0-based index of the current match, or -1
+   * @param {number} [status.total] - Number of matches
+   * @param {string} [status.message] - Message shown instead of the count
+   * @param {boolean} [status.invalid] - The query cannot be searched, e.g. an invalid regex
+   */
+  showStatus({ current = -1, total = 0, message = null, invalid = false }) {
+    const { count, input, prevBtn, nextBtn, replaceBtn } = this.#elements;
+    input.setAttribute('aria-invalid', String(invalid));
+    count.classList.toggle('error', invalid);
+
+    if (message) {
+      count.textContent = message;
+    } else if (!input.value) {
+      count.textContent = '';
+    } else if (total === 0) {
+      count.textContent = 'No results';
+    } else {
+      count.textContent = current >= 0 ? `${current + 1} of ${total}` : `${total} found`;
+    }
+
+    this.#total = total;
+    prevBtn.disabled = nextBtn.disabled = total === 0;
+    replaceBtn.disabled = current < 0;
+    this.#updateReplaceAll();
+  }
+
+  /**
+   * List the matches in other tabs
+   * @param {Array<{tabId: string, name: string, matches: Array<{start: number, line: number, preview: string}>}>} results -
+   *   Matches of each tab that has any; an empty list hides the section
+   */
+  showTabResults(results) {
+    this.#tabResults = results;
+    const { tabResults } = this.#elements;
+    tabResults.replaceChildren(...results.map((result, index) => this.#renderTabResult(result, index)));
+    tabResults.classList.toggle('hidden', results.length === 0);
+    this.#updateReplaceAll();
+  }
+
+  /**
+   * Enable Replace All while this tab or any listed tab has a match
+   */
+  #updateReplaceAll() {
+    this.#elements.replaceAllBtn.disabled = this.#total === 0 && this.#tabResults.length === 0;
+  }
+
+  /**
+   * Build the list item for the matches of one tab
+   * @param {Object} result - Tab and its matches
+   * @param {number} index - Index in the result list
+   * @returns {HTMLElement} List item
+   */
+  #renderTabResult(result, index) {
+    const item = document.createElement('li');
+    item.className = 'find-tab-result';
+
+    const title = document.createElement('div');
+    title.className = 'find-tab-name';
+    title.textContent = `${result.name} (${result.matches.length})`;
+
+    const list = document.createElement('ul');
+    list.append(...result.matches.map((match, matchIndex) => {
+      const option = document.createElement('li');
+      const button = document.createElement('button');
+      button.className = 'find-tab-match';
+      button.dataset.result = index;
+      button.dataset.match = matchIndex;
+      button.title = 'Go to this match';
+
+      const line = document.createElement('span');
+      line.className = 'find-tab-line';
+      line.textContent = `Line ${match.line}`;
+
+      const preview = document.createElement('span');
+      preview.className = 'find-tab-preview';
+      preview.textContent = match.preview;
+
+      button.append(line, preview);
+      option.append(button);
+      return option;
+    }));
+
+    item.append(title, list);
+    return item;
+  }
+
+  /**
+   * Register handler for changes to the query or options
+   * @param {Function} callback - Called when the search should run again
+   * @returns {Function} Cleanup function
+   */
+  onSearch(callback) {
+    const cleanups = [
+      this.#listen(this.#elements.input, 'input', () => callback()),
+      ...this.#optionButtons().map(button => this.#listen(button, 'click', () => callback()))
+    ];
+    return () => cleanups.forEach(cleanup => cleanup());
+  }
+
+  /**
+   * Register next match handler (next button, or Enter in the search field)
+   * @param {Function} callback - Next callback function
+   * @returns {Function} Cleanup function
+   */
+  onNext(callback) {
+    const cleanups = [
+      this.#listen(this.#elements.nextBtn, 'click', () => callback()),
+      this.#listen(this.#elements.input, 'keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+          e.preventDefault();
+          callback();
+        }
+      })
+    ];
+    return () => cleanups.forEach(cleanup => cleanup());
+  }
+
+  /**
+   * Register previous match handler (previous button, or Shift+Enter in the search field)
+   * @param {Function} callback - Previous callback function
+   * @returns {Function} Cleanup function
+   */
+  onPrevious(callback) {
+    const cleanups = [
+      this.#listen(this.#elements.prevBtn, 'click', () => callback()),
+      this.#listen(this.#elements.input, 'keydown', (e) => {
+        if (e.key === 'Enter' && e.shiftKey) {
+          e.preventDefault();
+          callback();
+        }
+      })
+    ];
+    return () => cleanups.forEach(cleanup => cleanup());
+  }
+
+  /**
+   * Register replace handler (replace button, or Enter in the replace field)
+   * @param {Function} callback - Replace callback function
+   * @returns {Function} Cleanup function
+   */
+  onReplace(callback) {
+    const cleanups = [
+      this.#listen(this.#elements.replaceBtn, 'click', () => callback()),
+      this.#listen(this.#elements.replaceInput, 'keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          callback();
+        }
+      })
+    ];
+    return () => cleanups.forEach(cleanup => cleanup());
+  }
+
+  /**
+   * Register replace all handler
+   * @param {Function} callback - Replace all callback function
+   * @returns {Function} Cleanup function
+   */
+  onReplaceAll(callback) {
+    return this.#listen(this.#elements.replaceAllBtn, 'click', () => callback());
+  }
+
+  /**
+   * Register close handler (close button, or Escape in the bar)
+   * @param {Function} callback - Close callback function
+   * @returns {Function} Cleanup function
+   */
+  onClose(callback) {
+    const cleanups = [
+      this.#listen(this.#elements.closeBtn, 'click', () => callback()),
+      this.#listen(this.#elements.bar, 'keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          callback();
+        }
+      })
+    ];
+    return () => cleanups.forEach(cleanup => cleanup());
+  }
+
+  /**
+   * Register handler for clicks on a match in another tab
+   * @param {Function} callback - Called with the tab ID and the match's offset in that tab
+   * @returns {Function} Cleanup function
+   */
+  onTabResultClick(callback) {
+    return this.#listen(this.#elements.tabResults, 'click', (e) => {
+      const button = e.target.closest('.find-tab-match');
+      if (!button) return;
+      const result = this.#tabResults[Number(button.dataset.result)];
+      callback(result.tabId, result.matches[Number(button.dataset.match)].start);
+    });
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    for (const { element, event, handler } of this.#listeners) {
+      element.removeEventListener(event, handler);
+    }
+    this.#listeners.clear();
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Rename Modal View - Asks for the new name of a variable or function
+ * High cohesion: Only responsible for the rename modal UI
+ */
+export class RenameModalView {
+  #elements;
+  #eventHandlers = new Map();
+  #escapeHandler;
+
+  constructor() {
+    this.#elements = this.#initializeElements();
+    this.#bindInternalEvents();
+  }
+
+  /**
+   * Initialize DOM element references
+   * @returns {Object} Element references
+   */
+  #initializeElements() {
+    const elements = {
+      modal: document.getElementById('rename-modal'),
+      title: document.getElementById('rename-title'),
+      closeBtn: document.getElementById('rename-close'),
+      input: document.getElementById('rename-input'),
+      summary: document.getElementById('rename-summary'),
+      message: document.getElementById('rename-message'),
+      otherTabsRow: document.getElementById('rename-other-tabs-row'),
+      otherTabs: document.getElementById('rename-other-tabs'),
+      otherTabsLabel: document.getElementById('rename-other-tabs-label'),
+      confirmBtn: document.getElementById('rename-confirm'),
+      cancelBtn: document.getElementById('rename-cancel')
+    };
+
+    // Validate required elements exist
+    Object.entries(elements).forEach(([key, element]) => {
+      if (!element) {
+        throw new Error(`Required rename modal element not found: ${key}`);
+      }
+    });
+
+    return elements;
+  }
+
+  /**
+   * Bind internal DOM events
+   */
+  #bindInternalEvents() {
+    this.#elements.closeBtn.addEventListener('click', () => this.close());
+    this.#elements.cancelBtn.addEventListener('click', () => this.close());
+    this.#elements.modal.addEventListener('click', (e) => {
+      if (e.target === this.#elements.modal) this.close();
+    });
+
+    // ESC key to close modal
+    this.#escapeHandler = (e) => {
+      if (e.key === 'Escape' && this.isOpen()) {
+        this.close();
+      }
+    };
+    document.addEventListener('keydown', this.#escapeHandler);
+  }
+
+  /**
+   * Open the modal with the current name selected
+   * @param {Object} details - What is being renamed
+   * @param {string} details.name - Current name
+   * @param {number} details.uses - Places the name is used in this document
+   * @param {number} details.references - Places other tabs refer to it
+   * @param {number} details.tabs - Number of other tabs that refer to it
+   */
+  show({ name, uses, references, tabs }) {
+    const { modal, title, input, summary, message, otherTabsRow, otherTabs, otherTabsLabel, confirmBtn } = this.#elements;
+
+    title.textContent = `Rename "${name}"`;
+    summary.textContent = uses === 1 ? 'Used in 1 place in this document.' : `Used in ${uses} places in this document.`;
+    message.textContent = '';
+    confirmBtn.disabled = false;
+
+    otherTabsRow.classList.toggle('hidden', references === 0);
+    otherTabs.checked = references > 0;
+    otherTabsLabel.textContent = `Also update ${references} ${references === 1 ? 'reference' : 'references'} in ` +
+      `${tabs} other ${tabs === 1 ? 'tab' : 'tabs'}`;
+
+    modal.classList.remove('hidden');
+    document.body.classList.add('modal-open');
+
+    input.value = name;
+    setTimeout(() => {
+      input.focus();
+      input.select();
+    }, 100);
+  }
+
+  /**
+   * Close the modal
+   */
+  close() {
+    this.#elements.modal.classList.add('hidden');
+    document.body.classList.remove('modal-open');
+  }
+
+  /**
+   * Check whether the modal is open
+   * @returns {boolean} True if open
+   */
+  isOpen() {
+    return !this.#elements.modal.classList.contains('hidden');
+  }
+
+  /**
+   * Get the new name
+   * @returns {string} Name as typed, without surrounding whitespace
+   */
+  getName() {
+    return this.#elements.input.value.trim();
+  }
+
+  /**
+   * Check whether other tabs should be updated too
+   * @returns {boolean} True if the option is shown and checked
+   */
+  getUpdateOtherTabs() {
+    return !this.#elements.otherTabsRow.classList.contains('hidden') && this.#elements.otherTabs.checked;
+  }
+
+  /**
+   * Show why the name cannot be used, or clear the message
+   * @param {string|null} message - Problem with the name, or null if it can be used
+   */
+  showValidation(message) {
+    this.#elements.message.textContent = message ?? '';
+    this.#elements.input.setAttribute('aria-invalid', String(Boolean(message)));
+    this.#elements.confirmBtn.disabled = Boolean(message);
+  }
+
+  /**
+   * Register name input handler
+   * @param {Function} callback - Called with the name as it is typed
+   * @returns {Function} Cleanup function
+   */
+  onNameInput(callback) {
+    const handler = () => callback(this.getName());
+    this.#elements.input.addEventListener('input', handler);
+    this.#eventHandlers.set('nameInput', { element: this.#elements.input, event: 'input', handler });
+
+    return () => {
+      this.#elements.input.removeEventListener('input', handler);
+      this.#eventHandlers.delete('nameInput');
+    };
+  }
+
+  /**
+   * Register confirm handler (rename button, or Enter in the name field)
+   * @param {Function} callback - Called with the new name
+   * @returns {Function} Cleanup function
+   */
+  onConfirm(callback) {
+    const clickHandler = () => callback(this.getName());
+    const keyHandler = (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        if (!this.#elements.confirmBtn.disabled) callback(this.getName());
+      }
+    };
+    this.#elements.confirmBtn.addEventListener('click', clickHandler);
+    this.#elements.input.addEventListener('keydown', keyHandler);
+    this.#eventHandlers.set('confirmClick', { element: this.#elements.confirmBtn, event: 'click', handler: clickHandler });
+    this.#eventHandlers.set('confirmKey', { element: this.#elements.input, event: 'keydown', handler: keyHandler });
+
+    return () => {
+      this.#elements.confirmBtn.removeEventListener('click', clickHandler);
+      this.#elements.input.removeEventListener('keydown', keyHandler);
+      this.#eventHandlers.delete('confirmClick');
+      this.#eventHandlers.delete('confirmKey');
+    };
+  }
+
+  /**
+   * Clean up event listeners
+   */
+  destroy() {
+    for (const { element, event, handler } of this.#eventHandlers.values()) {
+      element.removeEventListener(event, handler);
+    }
+    this.#eventHandlers.clear();
+    document.removeEventListener('keydown', this.#escapeHandler);
+  }
+}
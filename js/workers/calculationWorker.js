@@ -0,0 +1,95 @@
+/**
+ * Calculation Worker - Runs CalculationEngine off the main thread
+ *
+ * Messages from the page:
+ * - `{ type: 'process', id, lines, document }` evaluates a document; any run still in progress is cancelled
+ * - `{ type: 'cancel', id }` cancels a run
+ * - `{ type: 'invalidate' }` forgets cached parses and results
+ * - `{ type: 'rates', table }` registers the currencies of an exchange rate table as units
+ * - `{ type: 'document', requestId, content }` answers a document request (content is null if missing)
+ *
+ * Messages to the page:
+ * - `{ type: 'result', id, results, variables, documents, definitions }` when a run finishes
+ * - `{ type: 'cancelled', id }` or `{ type: 'error', id, error }` when it does not
+ * - `{ type: 'document', requestId, name }` asks for another document's content (@"Name".x, import "Name")
+ */
+import Decimal from '../vendor/decimal.mjs';
+import { setDecimal } from '../decimal.js';
+import { CalculationEngine } from '../services/CalculationEngine.js';
+import { ExchangeRateService } from '../services/ExchangeRateService.js';
+
+// Workers have no `window.Decimal`, so the calculation modules get the module build instead.
+// It is a copy of decimal.js from npm kept in js/vendor, so the worker also starts offline.
+setDecimal(Decimal);
+
+const runs = new Map(); // Run id -> AbortController
+const documentRequests = new Map(); // Request id -> resolve function
+let nextDocumentRequest = 1;
+
+// Never stores anything: the page owns the saved table and sends it here
+const exchangeRates = new ExchangeRateService(null);
+
+const engine = new CalculationEngine(null, null, (name) => new Promise((resolve) => {
+  const requestId = nextDocumentRequest++;
+  documentRequests.set(requestId, resolve);
+  self.postMessage({ type: 'document', requestId, name });
+}));
+
+/**
+ * Make a result row safe to post: evaluated values become their text
+ * @param {Object} result - Result row from the engine
+ * @returns {Object} Cloneable result row
+ */
+function toMessage(result) {
+  return result.raw === undefined ? result : { ...result, raw: String(result.raw) };
+}
+
+/**
+ * Evaluate a document and post the outcome
+ * @param {Object} message - `process` message
+ */
+async function runDocument({ id, lines, document }) {
+  // Only one run at a time: the engine's dependency graph follows a single document
+  runs.forEach(controller => controller.abort());
+
+  const controller = new AbortController();
+  runs.set(id, controller);
+  try {
+    const { results, updatedVariables, documents, definitions } = await engine.processLines(lines, {}, {
+      document,
+      signal: controller.signal
+    });
+    const variables = Object.fromEntries(Object.keys(updatedVariables).map(name => [name, String(updatedVariables[name])]));
+    self.postMessage({ type: 'result', id, results: results.map(toMessage), variables, documents, definitions });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      self.postMessage({ type: 'cancelled', id });
+    } else {
+      self.postMessage({ type: 'error', id, error: error.message });
+    }
+  } finally {
+    runs.delete(id);
+  }
+}
+
+self.addEventListener('message', ({ data }) => {
+  switch (data.type) {
+    case 'process':
+      runDocument(data);
+      break;
+    case 'cancel':
+      runs.get(data.id)?.abort();
+      break;
+    case 'invalidate':
+      engine.invalidate();
+      break;
+    case 'rates':
+      exchangeRates.useTable(data.table);
+      engine.invalidate();
+      break;
+    case 'document':
+      documentRequests.get(data.requestId)?.(data.content);
+      documentRequests.delete(data.requestId);
+      break;
+  }
+});
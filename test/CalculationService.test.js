@@ -0,0 +1,26 @@
+// Behaviour of CalculationService on the main thread, as where module workers are unavailable.
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from 'decimal.js';
+import { setDecimal } from '../js/decimal.js';
+import { CalculationService } from '../js/services/CalculationService.js';
+
+describe('CalculationService without a worker', () => {
+  before(() => setDecimal(Decimal));
+
+  it('calculates on the main thread', async () => {
+    const service = new CalculationService(null, null);
+    const { results, definitions } = await service.processLines(['price = 10', 'price * 2']);
+    assert.deepEqual(results.map(result => result.value), ['10', '20']);
+    assert.deepEqual(definitions, [{ name: 'price', line: 0, kind: 'variable' }]);
+  });
+
+  it('cancels a run that newer input supersedes', async () => {
+    const service = new CalculationService(null, null);
+    const first = service.processLines(['1 + 1']);
+    const second = service.processLines(['2 + 2']);
+    await assert.rejects(first, { name: 'AbortError' });
+    assert.equal((await second).results[0].value, '4');
+  });
+});
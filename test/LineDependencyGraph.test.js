@@ -0,0 +1,102 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from 'decimal.js';
+import { setDecimal } from '../js/decimal.js';
+import { lexer, Parser } from '../js/lexerParser.js';
+import { evaluate } from '../js/evaluator.js';
+import { LineDependencyGraph } from '../js/services/LineDependencyGraph.js';
+import { CalculationEngine } from '../js/services/CalculationEngine.js';
+
+describe('LineDependencyGraph', () => {
+  let graph;
+
+  before(() => setDecimal(Decimal));
+  beforeEach(() => {
+    graph = new LineDependencyGraph();
+  });
+
+  // Runs a document through the graph the way CalculationEngine does, evaluating only the lines
+  // it cannot reuse. Returns the 0-based indices of the evaluated lines.
+  function run(texts) {
+    const scope = {};
+    const values = [];
+    const evaluated = [];
+
+    graph.startRun(texts);
+    texts.forEach((text, index) => {
+      const ast = new Parser(lexer(text)).parse();
+      const analysis = LineDependencyGraph.analyze(ast);
+      const dependencies = graph.dependencies(index, analysis);
+
+      let record = graph.reusable(index, dependencies);
+      if (record) {
+        for (const [name, value] of record.writes) scope[name] = value;
+      } else {
+        evaluated.push(index);
+        const value = evaluate(ast, scope, values, index);
+        const writes = analysis.writes.filter(name => !name.startsWith('#')).map(name => [name, scope[name]]);
+        record = { result: { type: 'number', value: String(value), raw: value }, writes };
+      }
+
+      values.push(record.result.raw);
+      graph.record(index, { ...record, analysis, dependencies: dependencies.lines, volatile: dependencies.volatile });
+    });
+    graph.finishRun();
+    return evaluated;
+  }
+
+  it('evaluates every line on the first run and none when nothing changed', () => {
+    const texts = ['a = 1', 'b = a + 1', 'b * 2'];
+    assert.deepEqual(run(texts), [0, 1, 2]);
+    assert.deepEqual(run(texts), []);
+  });
+
+  it('re-evaluates an edited line and the lines that read its variables', () => {
+    run(['a = 1', 'b = 2', 'c = a + 1', 'd = b * 2']);
+    assert.deepEqual(run(['a = 1', 'b = 3', 'c = a + 1', 'd = b * 2']), [1, 3]);
+  });
+
+  it('stops at an edited line whose value did not change', () => {
+    run(['b = 2', 'd = b * 2']);
+    assert.deepEqual(run(['b = 1 + 1', 'd = b * 2']), [0]);
+  });
+
+  it('follows line references', () => {
+    run(['10', '#1 * 2', '5']);
+    assert.deepEqual(run(['11', '#1 * 2', '5']), [0, 1]);
+  });
+
+  it('makes block totals depend on the lines above them', () => {
+    const texts = ['10', '20', '30', 'total'];
+    graph.startRun(texts);
+    texts.slice(0, 3).forEach((text, index) => graph.record(index, { result: { type: 'number', value: text } }));
+    const analysis = LineDependencyGraph.analyze(new Parser(lexer('total')).parse());
+    assert.deepEqual(graph.dependencies(3, analysis), { lines: [0, 1, 2], volatile: false });
+  });
+
+  it('keeps the results of lines that only moved down', () => {
+    run(['a = 1', 'b = a + 1']);
+    assert.deepEqual(run(['x = 5', 'a = 1', 'b = a + 1']), [0]);
+  });
+
+  it('always evaluates lines that depend on the current date', () => {
+    run(['today', '1 + 1']);
+    assert.deepEqual(run(['today', '1 + 1']), [0]);
+  });
+
+  it('gives CalculationEngine the same results as evaluating from scratch', async () => {
+    const edits = [
+      ['a = 5', 'b = a * 2', 'f(n) = n * a', 'f(2)', 'x: 10', '#x + b', 'total'],
+      ['a = 7', 'b = a * 2', 'f(n) = n * a', 'f(2)', 'x: 10', '#x + b', 'total'],
+      ['a = 7', 'b = a * 2', 'f(n) = n + a', 'f(2)', '', 'x: 10', '#x + b', 'total'],
+      ['b = a * 2', 'a = 7', 'f(n) = n + a', 'f(2)', 'x: 11', '#x + b', 'subtotal'],
+      ['a = 1', 'f(n) = n + a', 'f(2)', 'sum(#1..#3)', 'prev + 1']
+    ];
+    const show = ({ results }) => results.map(({ type, value, error }) => `${type} ${value} ${error ?? ''}`);
+    const incremental = new CalculationEngine(null, null, null, { logErrors: false });
+    for (const lines of edits) {
+      const fresh = new CalculationEngine(null, null, null, { logErrors: false });
+      assert.deepEqual(show(await incremental.processLines(lines)), show(await fresh.processLines(lines)));
+    }
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LineReferenceTracker } from '../js/utils/LineReferenceTracker.js';
+
+describe('LineReferenceTracker', () => {
+  it('keeps unchanged and edited lines in place', () => {
+    assert.deepEqual(LineReferenceTracker.mapLines(['a', 'b', 'c'], ['a', 'x', 'c']), [0, 1, 2]);
+  });
+
+  it('maps moved lines and marks deleted ones', () => {
+    assert.deepEqual(LineReferenceTracker.mapLines(['a', 'b', 'c'], ['b', 'a']), [1, 0, null]);
+  });
+
+  it('renumbers references when a line is inserted above', () => {
+    const { content } = LineReferenceTracker.renumber('a = 1\nb = #1 + 1', 'x\na = 1\nb = #1 + 1');
+    assert.equal(content, 'x\na = 1\nb = #2 + 1');
+  });
+
+  it('renumbers both ends of a range when lines move', () => {
+    const { content } = LineReferenceTracker.renumber('a\nb\nsum(#1..#2)', 'b\na\nsum(#1..#2)');
+    assert.equal(content, 'b\na\nsum(#2..#1)');
+  });
+
+  it('turns references to deleted lines into #REF and leaves relative references alone', () => {
+    const { content } = LineReferenceTracker.renumber('a = 1\nb = 2\nc = #2 + #-1', 'a = 1\nc = #2 + #-1');
+    assert.equal(content, `a = 1\nc = ${LineReferenceTracker.DELETED_REFERENCE} + #-1`);
+  });
+
+  it('moves the cursor with the text it was in', () => {
+    const previous = 'a\n' + 'x\n'.repeat(8) + 'b = #9';
+    const content = 'new\n' + previous;
+    const { content: renumbered, cursor } = LineReferenceTracker.renumber(previous, content, content.length);
+    assert.ok(renumbered.endsWith('b = #10'));
+    assert.equal(cursor, renumbered.length);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SymbolRenamer } from '../js/utils/SymbolRenamer.js';
+
+const doc = 'tax = 5%\nprice = 100\nprice + tax // tax\ntaxes = 2\n"tax"';
+
+describe('SymbolRenamer', () => {
+  it('finds the name at an offset', () => {
+    assert.deepEqual(SymbolRenamer.symbolAt(doc, 3), { name: 'tax', start: 0, end: 3 });
+    assert.deepEqual(SymbolRenamer.symbolAt(doc, 9), { name: 'price', start: 9, end: 14 });
+    assert.equal(SymbolRenamer.symbolAt(doc, 6), null);
+  });
+
+  it('renames every use but not comments, strings or longer names', () => {
+    assert.deepEqual(SymbolRenamer.rename(doc, 'tax', 'vat'), {
+      content: 'vat = 5%\nprice = 100\nprice + vat // tax\ntaxes = 2\n"tax"',
+      count: 2
+    });
+  });
+
+  it('renames a line label together with its references', () => {
+    const labelled = 'sub: 40 + 60\nsub * 2\n#sub + 1';
+    assert.deepEqual(SymbolRenamer.symbolAt(labelled, 23), { name: 'sub', start: 22, end: 25 });
+    assert.deepEqual(SymbolRenamer.rename(labelled, 'sub', 'net'), {
+      content: 'net: 40 + 60\nnet * 2\n#net + 1',
+      count: 3
+    });
+  });
+
+  it('renames a variable named like a keyword wherever it is read', () => {
+    assert.deepEqual(SymbolRenamer.rename('total = 5\ntotal * 2', 'total', 'grand'), {
+      content: 'grand = 5\ngrand * 2',
+      count: 2
+    });
+    // Above the definition, `total` still totals the block
+    assert.deepEqual(SymbolRenamer.rename('1\ntotal\ntotal = 5\ntotal', 'total', 'grand'), {
+      content: '1\ntotal\ngrand = 5\ngrand',
+      count: 2
+    });
+  });
+
+  it('rejects invalid, built-in and taken names', () => {
+    assert.equal(SymbolRenamer.validate('vat', 'tax', doc), null);
+    assert.equal(SymbolRenamer.validate('tax', 'tax', doc), null);
+    for (const name of ['1x', 'my-tax', 'sqrt', 'pi', 'total', 'today', 'price']) {
+      assert.equal(typeof SymbolRenamer.validate(name, 'tax', doc), 'string', name);
+    }
+    assert.equal(typeof SymbolRenamer.validate('sub', 'tax', 'sub: 1\ntax = 2'), 'string');
+  });
+
+  it('renames references from documents that refer to or import the name', () => {
+    const other = 'a = @"Shop".tax\nimport "Shop"\nb = tax * 2';
+    assert.deepEqual(SymbolRenamer.renameReferences(other, 'Shop', 'tax', 'vat'), {
+      content: 'a = @"Shop".vat\nimport "Shop"\nb = vat * 2',
+      count: 2
+    });
+  });
+
+  it('leaves documents alone that define the name themselves or do not import it', () => {
+    for (const other of ['import "Shop"\ntax = 1\nb = tax', 'b = tax', 'a = @"Other".tax']) {
+      assert.deepEqual(SymbolRenamer.renameReferences(other, 'Shop', 'tax', 'vat'), { content: other, count: 0 });
+    }
+  });
+});
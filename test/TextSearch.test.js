@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextSearch } from '../js/utils/TextSearch.js';
+
+const doc = 'rate = 5\nrates = [rate, 2]\n// rate here\nd = 5 m\nm = rate * 2 // rate';
+
+// Returns the matched text of each match.
+function matched(text, matches) {
+  return matches.map(({ start, end }) => text.slice(start, end));
+}
+
+describe('TextSearch.find', () => {
+  it('finds plain text, ignoring case by default', () => {
+    assert.equal(TextSearch.find(doc, 'RATE').length, 6);
+    assert.deepEqual(matched('Rate rate', TextSearch.find('Rate rate', 'rate', { caseSensitive: true })), ['rate']);
+  });
+
+  it('matches whole words only when asked', () => {
+    assert.equal(TextSearch.find(doc, 'rate', { wholeWord: true }).length, 5);
+  });
+
+  it('matches variables, not units, comments or longer names', () => {
+    const matches = TextSearch.find(doc, 'rate', { variables: true });
+    assert.deepEqual(matches.map(({ start }) => start), [0, 18, 52]);
+    assert.deepEqual(TextSearch.find(doc, 'm', { variables: true }).map(({ start }) => start), [48]);
+  });
+
+  it('treats the query as a regular expression when asked', () => {
+    assert.deepEqual(matched('a1 b22 c', TextSearch.find('a1 b22 c', '[a-z]\\d+', { regex: true })), ['a1', 'b22']);
+    assert.throws(() => TextSearch.find('x', '(', { regex: true }), SyntaxError);
+  });
+
+  it('limits the matches it reports unless told otherwise', () => {
+    const text = 'a '.repeat(TextSearch.LIMIT + 10);
+    assert.equal(TextSearch.find(text, 'a').length, TextSearch.LIMIT);
+    assert.equal(TextSearch.find(text, 'a', { limit: Infinity }).length, TextSearch.LIMIT + 10);
+  });
+});
+
+describe('TextSearch.replace', () => {
+  it('replaces every given match', () => {
+    const text = 'a = 1\nb = a + a';
+    assert.equal(TextSearch.replace(text, TextSearch.find(text, 'a', { variables: true }), 'x'), 'x = 1\nb = x + x');
+  });
+
+  it('expands captures in regular expression replacements', () => {
+    const text = 'a1 b22';
+    const matches = TextSearch.find(text, '(?<letter>[a-z])(\\d+)', { regex: true });
+    assert.equal(TextSearch.replace(text, matches, '$2$<letter>$$', { regex: true }), '1a$ 22b$');
+  });
+
+  it('inserts the replacement literally in plain searches', () => {
+    assert.equal(TextSearch.replace('ab', TextSearch.find('ab', 'a'), '$&$1'), '$&$1b');
+  });
+});
+
+describe('TextSearch.identifiers', () => {
+  it('lists variable and function names with their lines', () => {
+    const identifiers = TextSearch.identifiers('f(x) = x * 2\ntotal\nlabel: f(3)\nspeed = 50 km/h');
+    assert.deepEqual(identifiers.map(({ name, line }) => `${name}@${line}`), ['f@0', 'x@0', 'x@0', 'f@2', 'speed@3']);
+  });
+
+  it('leaves out every keyword the parser knows', () => {
+    const identifiers = TextSearch.identifiers('p = 20% off 50\nq = p as % of 80\nprev + ans');
+    assert.deepEqual(identifiers.map(({ name }) => name), ['p', 'q', 'p']);
+  });
+});
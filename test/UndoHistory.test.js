@@ -0,0 +1,91 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { UndoHistory } from '../js/utils/UndoHistory.js';
+
+describe('UndoHistory', () => {
+  let history;
+  let text;
+  let time;
+
+  // Records typing one character at a time at the end of the text.
+  function type(characters, { pause = 100 } = {}) {
+    for (const character of characters) {
+      const before = text;
+      text += character;
+      history.record(before, text, { kind: 'typing', time: time += pause });
+    }
+  }
+
+  // Records pressing Backspace at the end of the text.
+  function backspace(times) {
+    for (let i = 0; i < times; i++) {
+      const before = text;
+      text = text.slice(0, -1);
+      history.record(before, text, { kind: 'deleting', time: time += 100 });
+    }
+  }
+
+  // Undoes everything and returns the text each undo removed.
+  function undoAll() {
+    const chunks = [];
+    let step;
+    while ((step = history.undo(text))) {
+      chunks.push(text.slice(step.text.length));
+      text = step.text;
+    }
+    return chunks;
+  }
+
+  beforeEach(() => {
+    history = new UndoHistory();
+    text = '';
+    time = 0;
+  });
+
+  it('finds the changed range', () => {
+    assert.deepEqual(UndoHistory.diff('abcabc', 'abcXabc'), { start: 3, removed: '', inserted: 'X' });
+    assert.equal(UndoHistory.diff('same', 'same'), null);
+  });
+
+  it('undoes typing a word at a time and starts over at a new line', () => {
+    type('x = 5 + y\nz');
+    assert.deepEqual(undoAll(), ['z', '\n', 'y', '5 + ', 'x = ']);
+    assert.equal(text, '');
+  });
+
+  it('redoes what was undone until a new edit', () => {
+    type('abc');
+    text = history.undo(text).text;
+    assert.ok(history.canRedo());
+    text = history.redo(text).text;
+    assert.equal(text, 'abc');
+
+    text = history.undo(text).text;
+    type('x');
+    assert.equal(history.canRedo(), false);
+  });
+
+  it('groups a run of deletions', () => {
+    type('hello');
+    history.seal();
+    backspace(3);
+    assert.equal(history.undo(text).text, 'hello');
+  });
+
+  it('starts a new step after a pause', () => {
+    type('ab');
+    type('cd', { pause: UndoHistory.PAUSE + 1 });
+    assert.equal(history.undo(text).text, 'abc');
+  });
+
+  it('restores the selection and scroll position from before the edit', () => {
+    history.record('a', 'ab', { selectionBefore: { start: 1, end: 1 }, selectionAfter: { start: 2, end: 2 }, scrollBefore: 40 });
+    assert.deepEqual(history.undo('ab'), { text: 'a', selection: { start: 1, end: 1 }, scrollTop: 40 });
+  });
+
+  it('forgets the history when the text no longer matches it', () => {
+    type('abc');
+    assert.equal(history.undo('something else'), null);
+    assert.equal(history.canUndo(), false);
+  });
+});
@@ -0,0 +1,67 @@
+// Behaviour of the crackulate command-line runner (bin/crackulate.js).
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/crackulate.js', import.meta.url));
+
+// Runs the CLI and resolves to its exit code and output.
+function crackulate(...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('crackulate run', () => {
+  let directory;
+  let file;
+
+  before(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'crackulate-'));
+    file = path.join(directory, 'budget.calc');
+    await writeFile(file, 'import "Rates"\nprice = 40\nprice * (1 + vat)\n');
+    await writeFile(path.join(directory, 'Rates.calc'), 'vat = 20%\n');
+    await writeFile(path.join(directory, 'broken.calc'), '1 +\n');
+  });
+
+  after(() => rm(directory, { recursive: true, force: true }));
+
+  it('prints each line with its result and exits with 0', async () => {
+    const { code, stdout } = await crackulate('run', file);
+    assert.equal(code, 0);
+    assert.match(stdout, /price \* \(1 \+ vat\)\s+48\n/);
+  });
+
+  it('gives variables values with --set', async () => {
+    const { stdout } = await crackulate('run', file, '--set', 'price=50');
+    assert.match(stdout, /price = 40\s+50 \(set\)/);
+    assert.match(stdout, /\s60\n/);
+  });
+
+  it('prints JSON with --json', async () => {
+    const { stdout } = await crackulate('run', file, '--json');
+    const output = JSON.parse(stdout);
+    assert.equal(output.lines[2].text, '48');
+    assert.deepEqual(output.documents, ['Rates']);
+    assert.equal(output.variables.price, '40');
+  });
+
+  it('exits with 1 when a line has an error', async () => {
+    const { code, stdout } = await crackulate('run', path.join(directory, 'broken.calc'));
+    assert.equal(code, 1);
+    assert.match(stdout, /error at col 4/);
+  });
+
+  it('exits with 2 for usage errors', async () => {
+    assert.equal((await crackulate('run')).code, 2);
+    assert.equal((await crackulate('run', path.join(directory, 'missing.calc'))).code, 2);
+    assert.equal((await crackulate('run', file, '--format', 'xml')).code, 2);
+  });
+});
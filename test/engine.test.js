@@ -0,0 +1,201 @@
+// Behaviour of the calculator language, through the headless evaluateDocument (js/engine.js).
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from 'decimal.js';
+import { evaluateDocument } from '../js/engine.js';
+import { isUnitName, registerUnit, unregisterUnit } from '../js/units.js';
+
+const documents = {
+  Rates: 'vat = 20%\nfee = 3',
+  Loop: 'import "Loop"'
+};
+
+// Evaluates a document and returns its line results.
+async function calc(text, options = {}) {
+  const { lines } = await evaluateDocument(text, { Decimal, documents, ...options });
+  return lines;
+}
+
+// Evaluates one line and returns its result.
+async function line(text) {
+  return (await calc(text))[0];
+}
+
+// Asserts the display text of each line of a document.
+async function assertResults(text, expected) {
+  const lines = await calc(text);
+  assert.deepEqual(lines.map(result => result.text), expected);
+}
+
+// Asserts that a line fails with an error code.
+async function assertError(text, code) {
+  const result = await line(text);
+  assert.equal(result.type, 'error', `${text} should fail, got ${result.text}`);
+  assert.equal(result.code, code, `${text}: ${result.error}`);
+}
+
+describe('arithmetic', () => {
+  it('follows operator precedence and associativity', async () => {
+    await assertResults('1 + 2 * 3\n-2^2\n2^3^2\n2^-1\n(1 + 2) * 3', ['7', '-4', '512', '0.5', '9']);
+  });
+
+  it('uses decimal arithmetic', async () => {
+    await assertResults('0.1 + 0.2', ['0.3']);
+  });
+
+  it('treats % between operands as modulo', async () => {
+    await assertResults('7 % 3\n10 % -3\n10 % +3\nx = 4\n10 % -x', ['1', '1', '1', '4', '2']);
+  });
+
+  it('reads hex, binary, octal and scientific literals and output formats', async () => {
+    await assertResults('0xff\n0b101\n0o17\n1.5e3\n255 as hex', ['255', '5', '15', '1500', '0xFF']);
+  });
+});
+
+describe('functions', () => {
+  it('calls built-in functions', async () => {
+    await assertResults('sqrt(16)\nmax(3, 9, 4)\nround(2.567, 2)', ['4', '9', '2.57']);
+  });
+
+  it('defines functions with their own parameter scope', async () => {
+    await assertResults('x = 10\nf(x) = x * 2 + 1\nf(4)\nx', ['10', 'f(x)', '9', '10']);
+  });
+
+  it('checks the number of arguments', async () => {
+    const [, call] = await calc('f(x) = x\nf(1, 2)');
+    assert.equal(call.code, 'ARGUMENT_COUNT');
+  });
+});
+
+describe('percentages', () => {
+  it('adds, takes and discounts percentages', async () => {
+    await assertResults('20%\n200 + 10%\n200 - 10%\n15% of 80\n20% off 50\n30 as % of 120',
+      ['20%', '220', '180', '12', '40', '25%']);
+  });
+
+  it('subtracts from a percentage when the sign is not attached to an operand', async () => {
+    await assertResults('10% - 3\n10%-3\n10 % - 3', ['-2.9', '-2.9', '-2.9']);
+  });
+
+  it('rejects percentages of values that are not plain numbers', async () => {
+    for (const text of ['$5%', '(5 km)%', 'true%', '[1, 2]%', '2026-01-01%']) {
+      await assertError(text, 'TYPE_MISMATCH');
+    }
+  });
+});
+
+describe('annotations', () => {
+  it('does not evaluate comments, headings or prose', async () => {
+    const lines = await calc('// note\n# Heading\nmilk 3\ncall Bob at 5\nDon\'t forget!');
+    assert.deepEqual(lines.map(result => result.type), ['comment', 'heading', 'text', 'text', 'text']);
+  });
+
+  it('still reports broken expressions', async () => {
+    await assertError('x -', 'UNEXPECTED_END');
+    await assertError('(1 + 2', 'UNEXPECTED_END');
+  });
+});
+
+describe('units and currencies', () => {
+  it('converts between units', async () => {
+    const lines = await calc('5 km to m\n3 m + 20 cm\n60 mph to km/h');
+    assert.deepEqual(lines.map(({ text, unit }) => `${text} ${unit}`), ['5000 m', '3.2 m', '96.56064 km/h']);
+  });
+
+  it('rejects incompatible units', async () => {
+    await assertError('5 kg + 2 m', 'UNIT_MISMATCH');
+  });
+
+  it('converts currencies with the given exchange rates', async () => {
+    const exchangeRates = { base: 'USD', asOf: '2026-10-19', rates: { EUR: 0.5 } };
+    const [result] = await calc('100 USD in EUR', { exchangeRates });
+    assert.equal(`${result.text} ${result.unit}`, '50.00 EUR');
+  });
+
+  it('keeps the exchange rates of overlapping calls apart', async () => {
+    const table = (rate) => ({ base: 'USD', asOf: null, rates: { EUR: rate } });
+    const [half, double] = await Promise.all([
+      calc('100 USD in EUR', { exchangeRates: table(0.5) }),
+      calc('100 USD in EUR', { exchangeRates: table(2) })
+    ]);
+    assert.equal(half[0].text, '50.00');
+    assert.equal(double[0].text, '200.00');
+  });
+
+  it('restores the currencies that were registered before a call', async () => {
+    registerUnit({ symbol: 'XAU', dimension: { currency: 1 }, factor: '1/0.0004', decimals: 2 });
+    try {
+      await calc('1 + 1');
+      assert.ok(isUnitName('XAU'));
+      assert.equal(isUnitName('EUR'), false);
+    } finally {
+      unregisterUnit('XAU');
+    }
+  });
+});
+
+describe('dates', () => {
+  it('adds durations and subtracts dates', async () => {
+    const lines = await calc('2026-01-31 + 1 month\n2026-03-01 - 2026-01-01');
+    assert.deepEqual(lines.map(({ type, text }) => `${type} ${text}`), ['date 2026-02-28', 'number 59']);
+    assert.equal(lines[1].unit, 'day');
+  });
+
+  it('suggests subtracting when two dates are added', async () => {
+    const result = await line('2026-10-19 + 2026-10-01');
+    assert.equal(result.code, 'TYPE_MISMATCH');
+    assert.match(result.error, /Cannot add two dates; subtract them/);
+  });
+});
+
+describe('lists, blocks and conditions', () => {
+  it('aggregates lists and line ranges', async () => {
+    await assertResults('1\n2\n3\nsum([1, 2, 3])\navg(#1..#3)', ['1', '2', '3', '6', '2']);
+  });
+
+  it('totals the block above', async () => {
+    await assertResults('10\n20\ntotal', ['10', '20', '30']);
+  });
+
+  it('compares values and picks a branch', async () => {
+    await assertResults('qty = 150\nqty > 100 ? 0.9 : 1\n3 > 2 and 1 > 2', ['150', '0.9', 'false']);
+  });
+});
+
+describe('line references', () => {
+  it('resolves absolute, relative and labelled references', async () => {
+    await assertResults('sub: 40 + 60\n#sub * 2\n#-1 + 1\n#1', ['100', '200', '201', '100']);
+  });
+
+  it('reports every invalid line reference with one code', async () => {
+    for (const text of ['#0', '#-10', '#5', '#+1']) {
+      await assertError(text, 'INVALID_LINE_REFERENCE');
+    }
+  });
+
+  it('reports unknown variables with a span', async () => {
+    const result = await line('  unknown + 1');
+    assert.equal(result.code, 'UNDEFINED_VARIABLE');
+    assert.deepEqual(result.span, { start: 2, end: 9 });
+  });
+});
+
+describe('other documents', () => {
+  it('reads variables of other documents and imports them', async () => {
+    await assertResults('@"Rates".vat\nimport "Rates"\nfee * 2', ['20%', '2 imported', '6']);
+  });
+
+  it('reports unknown documents and cycles', async () => {
+    await assertError('@"Nope".x', 'UNKNOWN_DOCUMENT');
+    await assertError('import "Loop"', 'CIRCULAR_REFERENCE');
+  });
+});
+
+describe('inputs', () => {
+  it('replaces assignments with input values', async () => {
+    const lines = await calc('price = 10\nprice * 2', { inputs: { price: '25' } });
+    assert.deepEqual(lines.map(result => result.text), ['25', '50']);
+    assert.equal(lines[0].overridden, true);
+  });
+});